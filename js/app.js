@@ -1,153 +1,276 @@
 import * as THREE from "three";
 import { PointerLockControls } from "PointerLockControls";
-import { mergeBufferGeometries, mergeVertices } from "BufferGeometryUtils";
+import { CSM } from "CSM";
+import {
+	CHUNK_SIZE,
+	CHUNK_HEIGHT,
+	BIOME_TYPES,
+	TerrainGenerator,
+	blockTypeAt,
+	blockKey,
+	chunkRandom
+} from "./terrain.js";
+import { BLOCKS, BLOCK_TYPES, getBlockDef, getFluidLevel } from "./blocks.js";
+import {
+	NEIGHBOR_OFFSETS,
+	voxelIndex,
+	generateChunkData
+} from "./chunkData.js";
+import { raycastVoxels } from "./raycast.js";
+import { farTiles, buildFarTile } from "./farTerrain.js";
+import { LightEngine } from "./lighting.js";
+import {
+	BUILTIN_TILE_SIZE,
+	TILE_FACES,
+	blockTileNames,
+	drawTile
+} from "./textures.js";
+import { ATLAS_COLUMNS, TextureAtlas, atlasTileSize } from "./textureAtlas.js";
+import {
+	MANIFEST_FILE,
+	findPackRoot,
+	manifestImages,
+	parseManifest,
+	readZip
+} from "./resourcePack.js";
+import { Player, STANDING_HEIGHT } from "./player.js";
+import { CameraRig } from "./cameraRig.js";
+import {
+	Vitals,
+	MAX_HEALTH,
+	MAX_HUNGER,
+	MAX_AIR,
+	fallDamage
+} from "./survival.js";
+import { GRID_SIZE, RecipeBook, loadRecipes } from "./crafting.js";
+import {
+	Inventory,
+	HOTBAR_SIZE,
+	BACKPACK_SIZE,
+	STACK_LIMIT
+} from "./inventory.js";
+import {
+	ItemEntity,
+	THROW_PICKUP_DELAY,
+	stepItem,
+	mergeItems
+} from "./items.js";
+import { FluidSimulator } from "./fluids.js";
+import {
+	WorldClock,
+	DEFAULT_DAY_LENGTH,
+	DEFAULT_START_TIME,
+	MIN_DAY_LENGTH,
+	MAX_DAY_LENGTH,
+	formatTimeOfDay,
+	skyStateAt
+} from "./dayCycle.js";
+import {
+	PHYSICS_STEP,
+	sweepAxis,
+	moveBoxWithStepUp,
+	limitToSupport
+} from "./physics.js";
 
 // --- Frustum Culling Setup ---
 const frustum = new THREE.Frustum();
 const projScreenMatrix = new THREE.Matrix4();
 
-// --- Perlin Noise Implementation ---
-/** Simplex noise by Stefan Gustavson, JavaScript version by Jonas Wagner (MIT license).
- *  Source: https://github.com/jwagner/simplex-noise.js (adapted below for browser direct use)
+// --- World Seed ---
+const DEFAULT_WORLD_SEED = 42;
+// Lehmer RNG modulus used by SimplexNoise.buildPermutationTable; seeds are kept in [1, SEED_MODULUS)
+const SEED_MODULUS = 2147483647;
+
+/**
+ * Turn user input into a numeric seed: integers are used as-is (negative ones
+ * wrapped into range), any other text is hashed (FNV-1a). The noise can't use
+ * 0, so integers that wrap to 0 are hashed like text.
  */
-class SimplexNoise {
-	constructor(seed) {
-		this.grad3 = new Float32Array([
-			1,
-			1,
-			0,
-			-1,
-			1,
-			0,
-			1,
-			-1,
-			0,
-			-1,
-			-1,
-			0,
-			1,
-			0,
-			1,
-			-1,
-			0,
-			1,
-			1,
-			0,
-			-1,
-			-1,
-			0,
-			-1,
-			0,
-			1,
-			1,
-			0,
-			-1,
-			1,
-			0,
-			1,
-			-1,
-			0,
-			-1,
-			-1
-		]);
-		this.p = this.buildPermutationTable(seed);
-		this.perm = new Uint8Array(512);
-		this.permMod12 = new Uint8Array(512);
-		for (let i = 0; i < 512; i++) {
-			this.perm[i] = this.p[i & 255];
-			this.permMod12[i] = this.perm[i] % 12;
-		}
+function parseSeed(value) {
+	const text = String(value ?? "").trim();
+	if (text === "") return randomSeed();
+	if (/^-?\d+$/.test(text)) {
+		const seed = ((Number(text) % SEED_MODULUS) + SEED_MODULUS) % SEED_MODULUS;
+		if (seed !== 0) return seed;
 	}
-	buildPermutationTable(seed) {
-		let p = new Uint8Array(256);
-		for (let i = 0; i < 256; i++) p[i] = i;
-		// Fisher–Yates
-		let random = (() => {
-			let s = seed || 1337;
-			return () => (s = Math.imul(16807, s) % 2147483647) / 2147483647;
-		})();
-		for (let i = 255; i > 0; i--) {
-			const r = Math.floor(random() * (i + 1));
-			[p[i], p[r]] = [p[r], p[i]];
-		}
-		return p;
-	}
-	noise2D(xin, yin) {
-		let permMod12 = this.permMod12,
-			perm = this.perm,
-			grad3 = this.grad3;
-		let n0 = 0,
-			n1 = 0,
-			n2 = 0;
-		let F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
-		let s = (xin + yin) * F2;
-		let i = Math.floor(xin + s);
-		let j = Math.floor(yin + s);
-		let G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
-		let t = (i + j) * G2;
-		let X0 = i - t;
-		let Y0 = j - t;
-		let x0 = xin - X0;
-		let y0 = yin - Y0;
-		let i1, j1;
-		if (x0 > y0) {
-			i1 = 1;
-			j1 = 0;
-		} else {
-			i1 = 0;
-			j1 = 1;
-		}
-		let x1 = x0 - i1 + G2;
-		let y1 = y0 - j1 + G2;
-		let x2 = x0 - 1.0 + 2.0 * G2;
-		let y2 = y0 - 1.0 + 2.0 * G2;
-		let ii = i & 255;
-		let jj = j & 255;
-		let gi0 = permMod12[ii + perm[jj]] * 3;
-		let gi1 = permMod12[ii + i1 + perm[jj + j1]] * 3;
-		let gi2 = permMod12[ii + 1 + perm[jj + 1]] * 3;
-		let t0 = 0.5 - x0 * x0 - y0 * y0;
-		if (t0 >= 0) {
-			t0 *= t0;
-			n0 = t0 * t0 * (grad3[gi0] * x0 + grad3[gi0 + 1] * y0);
-		}
-		let t1 = 0.5 - x1 * x1 - y1 * y1;
-		if (t1 >= 0) {
-			t1 *= t1;
-			n1 = t1 * t1 * (grad3[gi1] * x1 + grad3[gi1 + 1] * y1);
-		}
-		let t2 = 0.5 - x2 * x2 - y2 * y2;
-		if (t2 >= 0) {
-			t2 *= t2;
-			n2 = t2 * t2 * (grad3[gi2] * x2 + grad3[gi2 + 1] * y2);
-		}
-		return 70.0 * (n0 + n1 + n2);
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
 	}
+	return (hash >>> 0) % SEED_MODULUS || 1;
+}
+function randomSeed() {
+	return Math.floor(Math.random() * (SEED_MODULUS - 1)) + 1;
 }
 
-// Instantiate one global SimplexNoise
-const simplex = new SimplexNoise(42);
+// ?seed=... in the URL picks the world; otherwise the classic default seed
+const urlSeedParam = new URLSearchParams(window.location.search).get("seed");
+let worldSeed =
+	urlSeedParam !== null ? parseSeed(urlSeedParam) : DEFAULT_WORLD_SEED;
+
+// One global terrain generator (replaced whenever the world seed changes)
+let terrain = new TerrainGenerator(worldSeed);
+
+// Switch terrain generation to another seed; cached heights belong to the old one
+function setWorldSeed(seed) {
+	worldSeed = seed;
+	terrain = new TerrainGenerator(seed);
+	heightCache.clear();
+	chunkData.clear();
+	chunkLight.clear();
+	const seedValue = document.getElementById("worldSeedValue");
+	if (seedValue) seedValue.textContent = seed;
+}
 
 // --- Config ---
-const CHUNK_SIZE = 16;
-const CHUNK_HEIGHT = 128;
 let visibleRadius = 3;
 const MIN_RENDER_DIST = 2;
 const MAX_RENDER_DIST = 16;
-const blocks = new Map();
+// Heightmap terrain (see farTerrain.js) reaches this many chunks, past the voxel chunks
+const FAR_TERRAIN_RADIUS = 48;
 const chunks = new Map();
-const blockMaterials = {
-	grass: new THREE.MeshStandardMaterial({ color: 0x228b22, flatShading: true }),
-	sand: new THREE.MeshStandardMaterial({ color: 0xffd700, flatShading: true }),
-	snow: new THREE.MeshStandardMaterial({ color: 0xffffff, flatShading: true }),
-	stone: new THREE.MeshStandardMaterial({ color: 0x696969, flatShading: true }),
-	water: new THREE.MeshStandardMaterial({
-		color: 0x4169e1,
-		transparent: true,
-		opacity: 0.7,
-		flatShading: true
-	})
+// Dense voxel arrays (see chunkData.js) per loaded chunk, keyed "chunkX,chunkZ"
+const chunkData = new Map();
+// Light arrays (see lighting.js) of the chunks with meshes, same keys; the
+// workers light a chunk when it is first meshed
+const chunkLight = new Map();
+// One material per block id (see blocks.js). Chunk meshes use one geometry group
+// per block type, so this array doubles as their material list. Transparent
+// blocks (water) render in three's transparent pass after the opaque terrain,
+// double sided so the surface is visible from below, without writing depth.
+// Plant quads are double sided too so they show from every direction, and
+// cut out the clear pixels of their textures.
+// Faces are textured from the block atlas (see applyBlockAtlas). Vertex
+// colours hold each vertex's skylight, which scales the sun, moon and ambient
+// light; its block light is added on top (see patchBlockMaterial).
+const blockMaterials = BLOCKS.map((def) =>
+	patchBlockMaterial(
+		new THREE.MeshStandardMaterial({
+			transparent: def.transparent,
+			opacity: def.opacity,
+			alphaTest: def.shape === "cross" ? 0.5 : 0,
+			depthWrite: !def.transparent,
+			side:
+				def.transparent || def.shape === "cross"
+					? THREE.DoubleSide
+					: THREE.FrontSide,
+			flatShading: true,
+			vertexColors: true
+		})
+	)
+);
+
+// Replaces three's map_fragment for block materials: repeat the face's atlas
+// tile once per block, at the mip level of the unwrapped UVs (so it doesn't
+// jump at tile edges) capped where the atlas padding runs out
+const ATLAS_MAP_FRAGMENT = `
+#ifdef USE_MAP
+	float atlasTile = floor(vAtlasTile + 0.5);
+	vec2 atlasCell = vec2(mod(atlasTile, atlasColumns), floor(atlasTile / atlasColumns));
+	vec2 atlasUv = (atlasCell + 0.25 + 0.5 * fract(vUv)) * atlasCellSize;
+	vec2 texelsX = dFdx(vUv) * atlasTileSize;
+	vec2 texelsY = dFdy(vUv) * atlasTileSize;
+	float atlasLod = 0.5 * log2(max(dot(texelsX, texelsX), dot(texelsY, texelsY)));
+	diffuseColor *= textureLod(map, atlasUv, clamp(atlasLod, 0.0, atlasMaxLod));
+#endif
+`;
+
+/**
+ * Texture `material` from the block atlas, each face with the tile its
+ * `atlasTiles` uniform (top, side, bottom) names, and make it glow by the
+ * `blockLight` attribute of chunk meshes, so light from emissive blocks
+ * shows the same by day and by night.
+ */
+function patchBlockMaterial(material) {
+	material.userData.atlasTiles = { value: new THREE.Vector3() };
+	material.onBeforeCompile = (shader) => {
+		Object.assign(shader.uniforms, atlasUniforms, {
+			atlasTiles: material.userData.atlasTiles
+		});
+		shader.vertexShader = shader.vertexShader
+			.replace(
+				"#include <common>",
+				"#include <common>\nattribute float blockLight;\nvarying float vBlockLight;\nuniform vec3 atlasTiles;\nvarying float vAtlasTile;"
+			)
+			.replace(
+				"#include <begin_vertex>",
+				"#include <begin_vertex>\nvBlockLight = blockLight;\nvAtlasTile = normal.y > 0.5 ? atlasTiles.x : normal.y < -0.5 ? atlasTiles.z : atlasTiles.y;"
+			);
+		shader.fragmentShader = shader.fragmentShader
+			.replace(
+				"#include <common>",
+				"#include <common>\nvarying float vBlockLight;\nvarying float vAtlasTile;\nuniform float atlasColumns;\nuniform vec2 atlasCellSize;\nuniform float atlasTileSize;\nuniform float atlasMaxLod;"
+			)
+			.replace("#include <map_fragment>", ATLAS_MAP_FRAGMENT)
+			.replace(
+				"#include <emissivemap_fragment>",
+				"#include <emissivemap_fragment>\ntotalEmissiveRadiance += diffuse * vBlockLight;"
+			);
+	};
+	return material;
+}
+
+// --- Block Textures ---
+// Shared by every block material's shader; applyBlockAtlas fills them in
+const atlasUniforms = {
+	atlasColumns: { value: ATLAS_COLUMNS },
+	atlasCellSize: { value: new THREE.Vector2() },
+	atlasTileSize: { value: BUILTIN_TILE_SIZE },
+	atlasMaxLod: { value: 0 }
 };
+let atlasTexture = null;
+// Average colour ([r, g, b], 0..255) of each block's top tile, for the far terrain
+const blockSurfaceColors = [];
+
+// Average colour of RGBA `pixels`, ignoring clear ones
+function averageColor(pixels) {
+	const sum = [0, 0, 0];
+	let weight = 0;
+	for (let i = 0; i < pixels.length; i += 4) {
+		const alpha = pixels[i + 3];
+		for (let c = 0; c < 3; c++) sum[c] += pixels[i + c] * alpha;
+		weight += alpha;
+	}
+	return sum.map((v) => (weight > 0 ? Math.round(v / weight) : 0));
+}
+
+/**
+ * Build the block atlas from the built-in tiles, or from `pack` (see
+ * loadResourcePack) for the faces it has images for, and texture the
+ * blocks with it. Chunk meshes don't need rebuilding.
+ */
+function applyBlockAtlas(pack = null) {
+	const atlas = new TextureAtlas(pack?.tileSize ?? BUILTIN_TILE_SIZE);
+	BLOCKS.forEach((def, id) => {
+		const names = blockTileNames(def);
+		const images = pack?.faces.get(id) ?? {};
+		const tiles = TILE_FACES.map((face, f) => {
+			const path = images[face];
+			if (path) return atlas.add(`pack:${path}`, () => pack.images.get(path));
+			return atlas.add(names[f], () => drawTile(names[f], atlas.tileSize));
+		});
+		blockMaterials[id].userData.atlasTiles.value.set(...tiles);
+		blockSurfaceColors[id] = averageColor(atlas.tiles[tiles[0]]);
+	});
+	const { data, width, height } = atlas.build();
+	const texture = new THREE.DataTexture(data, width, height);
+	texture.magFilter = THREE.NearestFilter;
+	texture.minFilter = THREE.NearestMipmapLinearFilter;
+	texture.generateMipmaps = true;
+	texture.needsUpdate = true;
+	atlasUniforms.atlasCellSize.value.set(
+		atlas.cellSize / width,
+		atlas.cellSize / height
+	);
+	atlasUniforms.atlasTileSize.value = atlas.tileSize;
+	atlasUniforms.atlasMaxLod.value = atlas.maxLod;
+	for (const material of blockMaterials) material.map = texture;
+	if (atlasTexture) atlasTexture.dispose();
+	atlasTexture = texture;
+}
+applyBlockAtlas();
+
 const highlightMaterial = new THREE.MeshBasicMaterial({
 	color: 0xffffff,
 	wireframe: true
@@ -155,31 +278,30 @@ const highlightMaterial = new THREE.MeshBasicMaterial({
 
 // --- Scene Setup ---
 const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x87ceeb);
+// Shared by the background and the fog; updateSky keeps it at the sky's horizon colour
+const skyColor = new THREE.Color(0x87ceeb);
+scene.background = skyColor;
 // --- Fog Setup: The color should match the sky/background for blending effect ---
 let fogEnabled = true;
 let fogMin = 36;
 let fogMax = 80;
 const FOG_MIN_LIMIT = 20;
-const FOG_MAX_LIMIT = 256;
+const FOG_MAX_LIMIT = FAR_TERRAIN_RADIUS * CHUNK_SIZE;
 const DEFAULT_FOG_NEAR = 36;
 const DEFAULT_FOG_FAR = 80;
-const FOG_BG_COLOR = 0x87ceeb;
 
 function updateFog(fogNear, fogFar, enabled) {
 	fogEnabled = enabled;
 	if (enabled) {
-		scene.fog = new THREE.Fog(FOG_BG_COLOR, fogNear, fogFar);
-		scene.background = new THREE.Color(FOG_BG_COLOR);
+		scene.fog = new THREE.Fog(skyColor, fogNear, fogFar);
 	} else {
 		scene.fog = null;
-		// Optionally clear background color: keep consistent
-		scene.background = new THREE.Color(FOG_BG_COLOR);
 	}
 }
 updateFog(fogMin, fogMax, fogEnabled);
+const BASE_FOV = 75;
 const camera = new THREE.PerspectiveCamera(
-	75,
+	BASE_FOV,
 	window.innerWidth / window.innerHeight,
 	0.1,
 	1000
@@ -187,6 +309,9 @@ const camera = new THREE.PerspectiveCamera(
 
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
+// Only the shadow cascades cast shadows (see setShadowQuality)
+renderer.shadowMap.enabled = true;
+renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 document.body.appendChild(renderer.domElement);
 
 const gl = renderer.getContext();
@@ -213,26 +338,170 @@ function attachOcclusion(mesh) {
 
 // --- Pointer Lock First Person Controls ---
 const controls = new PointerLockControls(camera, renderer.domElement);
-const moveSpeed = 0.07;
-const gravity = 0.01;
-const jumpStrength = 0.27;
+// Speeds in blocks per second, accelerations in blocks per second squared
+const moveSpeed = 4.2;
+const gravity = 36;
+const jumpStrength = 16.2;
+// Swimming: movement is slowed in water, buoyancy cancels most of gravity when
+// submerged and drag (per second) damps vertical speed; Space swims up
+const WATER_MOVE_FACTOR = 0.5;
+const WATER_BUOYANCY = 0.9;
+const WATER_DRAG = 6.3;
+const swimAcceleration = 30;
+const maxSwimSpeed = 4;
+// Shift sprints (widening the view), Ctrl crouches: lower, slower, and held back from edges
+const SPRINT_FACTOR = 1.3;
+const SPRINT_FOV_KICK = 10;
+const CROUCH_FACTOR = 0.3;
+const CROUCH_HEIGHT = 1.5;
+// Ledges up to this high are stepped onto automatically while walking
+const MAX_STEP_HEIGHT = 1;
+// Creative flight: horizontal speed multiplier and vertical speed in blocks per second
+const FLY_SPEED_FACTOR = 2.5;
+const FLY_VERTICAL_SPEED = 8;
 const keys = {
 	forward: false,
 	backward: false,
 	left: false,
 	right: false,
-	jump: false
+	jump: false,
+	sprint: false,
+	crouch: false
 };
-const velocity = new THREE.Vector3();
-const direction = new THREE.Vector3();
-const playerHeight = 1.8;
-let onGround = false;
+// The player entity is simulated on its own; the camera rig follows it (or not, in free-fly)
+const player = new Player();
+const cameraRig = new CameraRig(camera, isSolidBlock);
+const vitals = new Vitals();
+// Simple body shown when the camera isn't at the player's eyes
+const playerModel = new THREE.Mesh(
+	new THREE.BoxGeometry(1, 1, 1),
+	new THREE.MeshStandardMaterial({ color: 0x3b5bdb })
+);
+playerModel.visible = false;
+playerModel.castShadow = true;
+playerModel.receiveShadow = true;
+scene.add(playerModel);
+
+function updatePlayerModel() {
+	playerModel.visible = cameraRig.mode !== "first";
+	if (!playerModel.visible) return;
+	const eye = player.renderPosition;
+	playerModel.scale.set(player.radius * 2, player.height, player.radius * 2);
+	playerModel.position.set(eye.x, eye.y - player.height / 2, eye.z);
+	playerModel.rotation.y = player.yaw;
+}
 
 // --- Lighting ---
-scene.add(new THREE.AmbientLight(0xffffff, 0.3));
+// Colours and intensities are set every frame by updateSky from the world clock
+const worldClock = new WorldClock();
+const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
+scene.add(ambientLight);
 const sun = new THREE.DirectionalLight(0xffffff, 1);
-sun.position.set(50, 100, 50);
 scene.add(sun);
+const moon = new THREE.DirectionalLight(0xa8b8ff, 0);
+scene.add(moon);
+// Distance of the sun and moon lights from the origin
+const LIGHT_DISTANCE = 100;
+
+// --- Shadows ---
+// Sun shadows use cascaded shadow maps: each cascade is a shadow-casting copy
+// of the sun covering a slice of the view, nearest slice sharpest. They reach
+// `maxChunks` chunks (or the render distance if less) and only chunks within
+// that reach cast shadows. While shadows are on the cascades light the scene
+// in place of `sun`.
+const SHADOW_QUALITY = {
+	off: null,
+	low: { cascades: 2, mapSize: 1024, maxChunks: 4 },
+	high: { cascades: 3, mapSize: 2048, maxChunks: 8 }
+};
+const DEFAULT_SHADOW_QUALITY = "low";
+let shadowQuality = null;
+let csm = null;
+// Layer for shadow casters culled from view: the cascades' cameras render it,
+// the main camera doesn't
+const SHADOW_CASTER_LAYER = 1;
+// Materials lit by the sun; the cascades need to know about every one of them,
+// or those without shadows would be lit by every cascade at once
+const litMaterials = new Set([...blockMaterials, playerModel.material]);
+
+// Blocks from the camera that shadows reach
+function shadowReach() {
+	const { maxChunks } = SHADOW_QUALITY[shadowQuality];
+	return Math.min(visibleRadius, maxChunks) * CHUNK_SIZE;
+}
+
+/** Let the cascades light `material`, keeping its own onBeforeCompile (see patchBlockMaterial) */
+function setupShadowMaterial(material) {
+	const own = (material.userData.ownCompile ??= material.onBeforeCompile);
+	csm.setupMaterial(material);
+	const cascades = material.onBeforeCompile;
+	material.onBeforeCompile = (shader, renderer) => {
+		cascades(shader);
+		own.call(material, shader, renderer);
+	};
+	// Programs are cached by this; the wrapper looks the same on every material
+	material.customProgramCacheKey = () => own.toString();
+	material.needsUpdate = true;
+}
+
+/** Track a material lit by the sun */
+function addLitMaterial(material) {
+	litMaterials.add(material);
+	if (csm) setupShadowMaterial(material);
+	return material;
+}
+
+/** Switch sun shadows to `quality`, a key of SHADOW_QUALITY */
+function setShadowQuality(quality) {
+	if (!(quality in SHADOW_QUALITY)) quality = DEFAULT_SHADOW_QUALITY;
+	if (quality === shadowQuality) return;
+	shadowQuality = quality;
+	if (csm) {
+		csm.remove();
+		csm.dispose();
+		csm = null;
+		for (const material of litMaterials) {
+			material.onBeforeCompile = material.userData.ownCompile;
+			delete material.customProgramCacheKey;
+		}
+	}
+	const settings = SHADOW_QUALITY[quality];
+	if (settings) {
+		csm = new CSM({
+			camera,
+			parent: scene,
+			cascades: settings.cascades,
+			shadowMapSize: settings.mapSize,
+			maxFar: shadowReach(),
+			shadowBias: -0.0005,
+			lightMargin: CHUNK_HEIGHT
+		});
+		for (const light of csm.lights) {
+			light.shadow.normalBias = 0.05;
+			light.shadow.camera.layers.enable(SHADOW_CASTER_LAYER);
+		}
+		for (const material of litMaterials) setupShadowMaterial(material);
+	}
+	sun.visible = !csm;
+}
+setShadowQuality(DEFAULT_SHADOW_QUALITY);
+
+// Refit the cascades after the render distance or the camera's projection changed
+function fitShadowCascades() {
+	if (!csm) return;
+	csm.maxFar = shadowReach();
+	csm.updateFrustums();
+}
+
+// Only chunks within the shadows' reach of the camera cast shadows
+function isShadowCaster(mesh) {
+	if (!csm || mesh.userData.state !== "ready") return false;
+	const { chunkX, chunkZ } = mesh.userData;
+	const dx = (chunkX + 0.5) * CHUNK_SIZE - camera.position.x;
+	const dz = (chunkZ + 0.5) * CHUNK_SIZE - camera.position.z;
+	// Half a chunk's diagonal and a bit, for chunks partly in reach
+	return Math.hypot(dx, dz) <= csm.maxFar + CHUNK_SIZE;
+}
 
 // --- UI Overlay ---
 const instructionOverlay = document.createElement("div");
@@ -240,12 +509,16 @@ function getControlHelpList() {
 	return `
     <div>
       <b>Controls:</b><br>
-      <span class="key">Click</span> to start / <span class="key">WASD</span> to move / <span class="key">Space</span> to jump<br>
-      <span class="key">Left click</span>: Remove block<br>
-      <span class="key">Right click</span>: Place block<br>
-      <span class="key">E</span>: Change selected item<br>
+      <span class="key">Click</span> to start / <span class="key">WASD</span> to move / <span class="key">Space</span> to jump (double-tap to fly in creative)<br>
+      <span class="key">Shift</span>: Sprint / <span class="key">Ctrl</span>: Crouch<br>
+      <span class="key">Left click</span>: Remove block (hold in survival)<br>
+      <span class="key">Right click</span>: Place selected block / eat food<br>
+      <span class="key">1</span>-<span class="key">8</span> / <span class="key">Mouse wheel</span>: Select hotbar slot<br>
+      <span class="key">E</span>: Inventory<br>
       <span class="key">Q</span>: Drop item<br>
       <span class="key">F</span>: Collect nearby items<br>
+      <span class="key">C</span>: Crafting<br>
+      <span class="key">V</span>: Camera mode (first person, third person, free-fly)<br>
       <span class="key">P</span>: Pause and settings menu<br>
     </div>`;
 }
@@ -295,17 +568,98 @@ crosshair.innerHTML = `
 </svg>`;
 document.body.appendChild(crosshair);
 
+// --- Survival HUD and death screen ---
+const vitalsEl = document.createElement("div");
+vitalsEl.id = "vitals";
+vitalsEl.innerHTML = `
+  <div class="vital-row"><span>❤️</span><div class="vital-bar"><div class="vital-fill health"></div></div></div>
+  <div class="vital-row"><span>🍗</span><div class="vital-bar"><div class="vital-fill hunger"></div></div></div>
+  <div class="vital-row air"><span>🫧</span><div class="vital-bar"><div class="vital-fill air"></div></div></div>
+`;
+document.body.appendChild(vitalsEl);
+const healthFill = vitalsEl.querySelector(".vital-fill.health");
+const hungerFill = vitalsEl.querySelector(".vital-fill.hunger");
+const airRow = vitalsEl.querySelector(".vital-row.air");
+const airFill = vitalsEl.querySelector(".vital-fill.air");
+
+function updateVitalsUI() {
+	healthFill.style.width = `${(vitals.health / MAX_HEALTH) * 100}%`;
+	hungerFill.style.width = `${(vitals.hunger / MAX_HUNGER) * 100}%`;
+	airRow.style.display = vitals.air < MAX_AIR ? "flex" : "none";
+	airFill.style.width = `${(vitals.air / MAX_AIR) * 100}%`;
+}
+
+const DEATH_MESSAGES = {
+	fall: "You hit the ground too hard.",
+	drowning: "You drowned.",
+	starvation: "You starved."
+};
+const deathScreen = document.createElement("div");
+deathScreen.innerHTML = `
+  <h1 style="margin:0 0 12px; color:#ff6b6b;">You died</h1>
+  <div id="deathMessage" style="margin-bottom:20px;"></div>
+  <button id="respawnBtn" style="font-size:20px; padding:8px 28px; cursor:pointer;">Respawn</button>
+`;
+Object.assign(deathScreen.style, {
+	position: "fixed",
+	inset: "0",
+	display: "none",
+	flexDirection: "column",
+	alignItems: "center",
+	justifyContent: "center",
+	fontSize: "22px",
+	color: "white",
+	zIndex: "1001",
+	background: "rgba(90, 0, 0, 0.55)"
+});
+document.body.appendChild(deathScreen);
+
+let isDead = false;
+function setDead(dead) {
+	isDead = dead;
+	deathScreen.style.display = dead ? "flex" : "none";
+	if (!dead) return;
+	deathScreen.querySelector("#deathMessage").textContent =
+		DEATH_MESSAGES[vitals.lastDamageCause] || "";
+	instructionOverlay.style.display = "none";
+	controls.unlock();
+}
+
+function hurtPlayer(amount, cause) {
+	if (amount <= 0) return;
+	playSound("hurt");
+	if (vitals.damage(amount, cause)) setDead(true);
+}
+
+// Back at the saved spawn point with full health; the inventory is kept
+function respawn() {
+	const [x, z] = spawnPoint;
+	vitals.reset();
+	teleportPlayer(x, findSafeSpawnY(x, z, player.height), z);
+	setDead(false);
+	controls.lock();
+}
+deathScreen.querySelector("#respawnBtn").addEventListener("click", respawn);
+
 // --- Pointer Lock events ---
-renderer.domElement.addEventListener("click", () => controls.lock());
+renderer.domElement.addEventListener("click", () => {
+	if (!isDead && !isScreenOpen()) controls.lock();
+});
 controls.addEventListener("lock", () => {
 	instructionOverlay.style.display = "none";
 });
 controls.addEventListener("unlock", () => {
-	instructionOverlay.style.display = "block";
+	// The death screen and inventory screens have their own buttons
+	if (!isDead && !isScreenOpen()) instructionOverlay.style.display = "block";
 });
 
 // --- Keyboard Movement Events ---
 document.addEventListener("keydown", (event) => {
+	// Ctrl is crouch; keep Ctrl+S, Ctrl+D etc. from reaching the browser while playing
+	if (event.ctrlKey && controls.isLocked) event.preventDefault();
+	// 1-8 select a hotbar slot
+	const digit = /^Digit([1-8])$/.exec(event.code);
+	if (digit) selectHotbarSlot(Number(digit[1]) - 1);
 	switch (event.code) {
 		case "KeyW":
 			keys.forward = true;
@@ -320,18 +674,23 @@ document.addEventListener("keydown", (event) => {
 			keys.right = true;
 			break;
 		case "Space":
+			if (!event.repeat) handleJumpPress();
 			keys.jump = true;
 			break;
+		case "ShiftLeft":
+		case "ShiftRight":
+			keys.sprint = true;
+			break;
+		case "ControlLeft":
+		case "ControlRight":
+			keys.crouch = true;
+			break;
 		case "KeyE":
-			// Toggle inventory selection
-			const inventory = getInventory();
-			inventory.selectedSlot =
-				(inventory.selectedSlot + 1) % inventory.slots.length;
-			updateInventoryUI();
+			if (!event.repeat) setInventoryOpen(!isInventoryOpen);
 			break;
 		case "KeyQ":
-			// Drop item
-			if (inventory.slots[inventory.selectedSlot].count > 0) {
+			// Drop item (creative has nothing to drop)
+			if (!isCreative() && inventory.selected.count > 0) {
 				dropItem();
 			}
 			break;
@@ -339,6 +698,17 @@ document.addEventListener("keydown", (event) => {
 			// Interact/collect nearby items
 			collectNearbyItems();
 			break;
+		case "KeyV":
+			// First person -> third person -> free-fly
+			cameraRig.cycleMode();
+			break;
+		case "KeyC":
+			if (!event.repeat) setCraftingOpen(!isCraftingOpen);
+			break;
+		case "Escape":
+			setCraftingOpen(false);
+			setInventoryOpen(false);
+			break;
 	}
 });
 document.addEventListener("keyup", (event) => {
@@ -358,6 +728,14 @@ document.addEventListener("keyup", (event) => {
 		case "Space":
 			keys.jump = false;
 			break;
+		case "ShiftLeft":
+		case "ShiftRight":
+			keys.sprint = false;
+			break;
+		case "ControlLeft":
+		case "ControlRight":
+			keys.crouch = false;
+			break;
 	}
 });
 
@@ -365,34 +743,9 @@ document.addEventListener("keyup", (event) => {
 // Cache of height map per chunk (size: CHUNK_SIZE × CHUNK_SIZE)
 const heightCache = new Map();
 
-/** Pure noise‐based height computation (original getHeight logic) */
+/** Pure noise‐based height computation (see TerrainGenerator.computeHeight) */
 function computeHeight(x, z) {
-	// Layer 1: Base, mostly flat
-	let base =
-		simplex.noise2D(x * 0.006, z * 0.006) * 1.8 +
-		simplex.noise2D((x + 500) * 0.013, (z - 888) * 0.013) * 0.4;
-	base = base * 8 + 50;
-
-	// Layer 2: Sparse Mountains
-	let mountainNoise = simplex.noise2D(x * 0.0025 + 3000, z * 0.0025 - 735);
-	if (mountainNoise > 0.52) {
-		let m = Math.min((mountainNoise - 0.52) * 1.9, 1);
-		let detail = simplex.noise2D(x * 0.022, z * 0.022) * 0.7;
-		let cliff = Math.pow(m, 2.6);
-		base += cliff * 38 + detail * 2;
-	}
-
-	// Layer 3: Rivers (deeper, more defined)
-	let riverNoise = simplex.noise2D(x * 0.002, 9999 + z * 0.002);
-	let riverBand = Math.abs(riverNoise);
-	if (riverBand < 0.15) {
-		let t = Math.pow(riverBand / 0.15, 1.7);
-		let riverDepth = (1 - t) * 24 + simplex.noise2D(x * 0.032, z * 0.032) * 2.5;
-		base -= riverDepth;
-	}
-
-	// Clamp and floor to [0, CHUNK_HEIGHT–1]
-	return Math.floor(Math.max(0, Math.min(base, CHUNK_HEIGHT - 1)));
+	return terrain.computeHeight(x, z);
 }
 
 /** Cached wrapper: stores computed heights per‐chunk so each (x,z) only pays the noise cost once */
@@ -420,144 +773,152 @@ function getHeight(x, z) {
 	return h;
 }
 
-// --- Block Existence Query ---
-function blockKey(x, y, z) {
-	return `${x},${y},${z}`;
+// --- Block Queries (dense chunk storage) ---
+/** Voxel array of a chunk, generated on the main thread if no worker has delivered it yet */
+function getChunkVoxels(chunkX, chunkZ) {
+	const key = `${chunkX},${chunkZ}`;
+	let voxels = chunkData.get(key);
+	if (!voxels) {
+		voxels = generateChunkData(chunkX, chunkZ, terrain, chunkEdits.get(key));
+		chunkData.set(key, voxels);
+	}
+	return voxels;
+}
+// Block id at (x, y, z), player edits included
+function getBlockId(x, y, z) {
+	if (y < 0 || y >= CHUNK_HEIGHT) return BLOCK_TYPES.AIR;
+	const chunkX = Math.floor(x / CHUNK_SIZE);
+	const chunkZ = Math.floor(z / CHUNK_SIZE);
+	const voxels = getChunkVoxels(chunkX, chunkZ);
+	return voxels[
+		voxelIndex(x - chunkX * CHUNK_SIZE, y, z - chunkZ * CHUNK_SIZE)
+	];
 }
 function hasBlock(x, y, z) {
-	if (y < 0 || y >= CHUNK_HEIGHT) return false;
-	const key = blockKey(x, y, z);
-	if (blocks.has(key)) return blocks.get(key);
-	return y <= getHeight(x, z);
-}
-// Add or remove block for world (true for present, false for absent)
-function setBlock(x, y, z, present) {
-	const key = blockKey(x, y, z);
-	blocks.set(key, present);
-	recordChunkEdit(x, y, z, present);
-
-	// Maintain spatial grid
-	if (present) {
-		playerEditGrid.addBlock(x, y, z);
-	} else {
-		playerEditGrid.removeBlock(x, y, z);
-	}
+	return getBlockId(x, y, z) !== BLOCK_TYPES.AIR;
+}
+// Does the block at (x, y, z) collide with the player? (water doesn't)
+function isSolidBlock(x, y, z) {
+	return getBlockDef(getBlockId(x, y, z)).solid;
+}
+// Can the block at (x, y, z) be aimed at? Solid blocks and plants, not air or water
+function isTargetableBlock(x, y, z) {
+	const id = getBlockId(x, y, z);
+	return id !== BLOCK_TYPES.AIR && getFluidLevel(id) === 0;
+}
+function isWaterAt(x, y, z) {
+	return (
+		getFluidLevel(getBlockId(Math.floor(x), Math.floor(y), Math.floor(z))) > 0
+	);
+}
+// Write a block id into the voxels and the chunk edits, without rebuilding meshes
+function writeBlock(x, y, z, id) {
+	if (y < 0 || y >= CHUNK_HEIGHT) return;
+	const chunkX = Math.floor(x / CHUNK_SIZE);
+	const chunkZ = Math.floor(z / CHUNK_SIZE);
+	const voxels = getChunkVoxels(chunkX, chunkZ);
+	voxels[voxelIndex(x - chunkX * CHUNK_SIZE, y, z - chunkZ * CHUNK_SIZE)] = id;
+	recordChunkEdit(x, y, z, id);
+}
+// Place or remove a block (BLOCK_TYPES.AIR removes)
+function setBlock(x, y, z, id) {
+	if (y < 0 || y >= CHUNK_HEIGHT) return;
+	writeBlock(x, y, z, id);
 
 	// Only update/rebuild affected chunks (NOT remove, so no flicker!)
-	for (const chunkKey of getTouchedChunks(x, y, z)) {
+	const rebuild = getTouchedChunks(x, y, z);
+	relightBlock(x, y, z, rebuild);
+	for (const chunkKey of rebuild) {
 		const [chunkX, chunkZ] = chunkKey.split(",").map(Number);
 		requestChunkRebuild(chunkX, chunkZ);
 	}
+	// Let nearby water flow into (or away from) the changed cell
+	fluids.scheduleAround(x, y, z);
 }
 
-// --- Geometry ---
-function createCubeGeometry(x, y, z) {
-	const geometry = new THREE.BoxGeometry(1, 1, 1);
-	geometry.translate(x + 0.5, y + 0.5, z + 0.5);
-	return geometry;
-}
+// --- Voxel Light ---
+// Keeps chunkLight up to date as blocks change; light stops at unlit chunks
+const voxelLight = new LightEngine({
+	getBlock: getBlockId,
+	getLight(x, y, z) {
+		const chunkX = Math.floor(x / CHUNK_SIZE);
+		const chunkZ = Math.floor(z / CHUNK_SIZE);
+		const light = chunkLight.get(`${chunkX},${chunkZ}`);
+		if (!light) return -1;
+		return light[
+			voxelIndex(x - chunkX * CHUNK_SIZE, y, z - chunkZ * CHUNK_SIZE)
+		];
+	},
+	setLight(x, y, z, packed) {
+		const chunkX = Math.floor(x / CHUNK_SIZE);
+		const chunkZ = Math.floor(z / CHUNK_SIZE);
+		chunkLight.get(`${chunkX},${chunkZ}`)[
+			voxelIndex(x - chunkX * CHUNK_SIZE, y, z - chunkZ * CHUNK_SIZE)
+		] = packed;
+	}
+});
 
-// Create a single face geometry at block (x,y,z) with given normal
-function createFaceGeometry(x, y, z, normal) {
-	const plane = new THREE.PlaneGeometry(1, 1);
-	const quat = new THREE.Quaternion();
-	quat.setFromUnitVectors(
-		new THREE.Vector3(0, 0, 1),
-		new THREE.Vector3(normal[0], normal[1], normal[2])
-	);
-	plane.applyQuaternion(quat);
-	plane.translate(
-		x + 0.5 + normal[0] * 0.5,
-		y + 0.5 + normal[1] * 0.5,
-		z + 0.5 + normal[2] * 0.5
-	);
-	return plane;
+// Add the chunks showing a light change in `cells` to `rebuild` (a Set of chunk keys)
+function addRelitChunks(cells, rebuild) {
+	for (const [x, y, z] of cells) {
+		for (const chunkKey of getTouchedChunks(x, y, z)) rebuild.add(chunkKey);
+	}
 }
 
-// Helper: test whether block (x, y, z) is considered "naturally-solid" in terrain (i.e., not a user-placed or removed block)
-function isNaturalSolidBlock(x, y, z) {
-	if (y < 0 || y >= CHUNK_HEIGHT) return false;
-	const key = blockKey(x, y, z);
-	if (blocks.has(key)) return false; // user modified – not natural
-	return y <= getHeight(x, z);
+// Relight around a changed block, adding the chunks to rebuild to `rebuild`
+function relightBlock(x, y, z, rebuild) {
+	addRelitChunks(voxelLight.update(x, y, z), rebuild);
 }
 
-// Returns merged geometry of chunk at (chunkX, chunkZ) with per-face culling & boundingSphere
-function generateChunk(chunkX, chunkZ) {
-	const geometries = [];
-	const materials = new Map();
-	const startX = chunkX * CHUNK_SIZE;
-	const startZ = chunkZ * CHUNK_SIZE;
-
-	// Spawn items when generating new chunks
-	spawnItemsInChunk(chunkX, chunkZ);
-
-	for (let x = 0; x < CHUNK_SIZE; x++) {
-		for (let z = 0; z < CHUNK_SIZE; z++) {
-			const worldX = startX + x;
-			const worldZ = startZ + z;
-			let height = CHUNK_HEIGHT - 1;
-			// Find top-most block in the terrain (natural or user-added), so we don't iterate excessive heights
-			while (height >= 0 && !hasBlock(worldX, height, worldZ)) height--;
-			for (let y = 0; y <= height; y++) {
-				if (!hasBlock(worldX, y, worldZ)) continue;
-
-				// Modified Face-Culling:
-				// - Only cull face (do NOT draw face) if BOTH this block and its neighbor
-				//   are *unmodified, natural terrain blocks*.
-				// - If EITHER is player-placed/removed, always render face if neighbor is not present.
-				// This ensures that player-created caves and any exposed block inside a "dug" region gets visible faces.
-
-				const faceDirs = [
-					[0, 1, 0],
-					[0, -1, 0],
-					[1, 0, 0],
-					[-1, 0, 0],
-					[0, 0, 1],
-					[0, 0, -1]
-				];
-				const currIsNatural = isNaturalSolidBlock(worldX, y, worldZ);
-
-				for (const normal of faceDirs) {
-					const nx = worldX + normal[0],
-						ny = y + normal[1],
-						nz = worldZ + normal[2];
-					const neighborExists = hasBlock(nx, ny, nz);
-					const neighborIsNatural = isNaturalSolidBlock(nx, ny, nz);
-					// Draw face if neighbor is air OR either block was modified by player
-					if (!neighborExists || !(currIsNatural && neighborIsNatural)) {
-						const material = getBlockMaterial(worldX, y, worldZ);
-						if (!materials.has(material)) {
-							materials.set(material, []);
-						}
-
-						materials
-							.get(material)
-							.push(createFaceGeometry(worldX, y, worldZ, normal));
-					}
-				}
+// Carry the light of a newly lit chunk across its edges into loaded neighbours
+function spreadChunkLight(chunkX, chunkZ) {
+	const edges = [];
+	for (const [dx, dz] of NEIGHBOR_OFFSETS) {
+		if (!chunkLight.has(`${chunkX + dx},${chunkZ + dz}`)) continue;
+		for (let k = 0; k < CHUNK_SIZE; k++) {
+			// Chunk-local edge cell facing that neighbour
+			const x = dx === 0 ? k : dx < 0 ? 0 : CHUNK_SIZE - 1;
+			const z = dz === 0 ? k : dz < 0 ? 0 : CHUNK_SIZE - 1;
+			for (let y = 0; y < CHUNK_HEIGHT; y++) {
+				edges.push([chunkX * CHUNK_SIZE + x, y, chunkZ * CHUNK_SIZE + z]);
 			}
 		}
 	}
+	const rebuild = new Set();
+	addRelitChunks(voxelLight.spread(edges), rebuild);
+	for (const chunkKey of rebuild) {
+		const [x, z] = chunkKey.split(",").map(Number);
+		requestChunkRebuild(x, z);
+	}
+}
 
-	if (materials.size === 0) return null;
+// --- Water Flow ---
+const FLUID_TICK_SECONDS = 0.25;
+let fluidTickTimer = 0;
+// Water only flows inside loaded chunks; everything else acts as a wall
+const fluids = new FluidSimulator({
+	getBlock(x, y, z) {
+		const key = `${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`;
+		return chunkData.has(key) ? getBlockId(x, y, z) : BLOCK_TYPES.STONE;
+	},
+	setBlock: writeBlock
+});
 
-	// Create merged geometry for each material type
-	const meshes = [];
-	for (const [material, faceGeometries] of materials.entries()) {
-		if (faceGeometries.length > 0) {
-			let chunkGeo = mergeBufferGeometries(faceGeometries, false);
-			chunkGeo = mergeVertices(chunkGeo);
-			chunkGeo.computeBoundingSphere();
-			const mesh = new THREE.Mesh(chunkGeo, material);
-			meshes.push(mesh);
-		}
+// Advance the water simulation and rebuild the chunks it changed, once each
+function updateFluids(delta) {
+	fluidTickTimer += delta;
+	if (fluidTickTimer < FLUID_TICK_SECONDS) return;
+	fluidTickTimer = 0;
+	if (!fluids.active) return;
+	const rebuild = new Set();
+	for (const [x, y, z] of fluids.tick()) {
+		for (const chunkKey of getTouchedChunks(x, y, z)) rebuild.add(chunkKey);
+		relightBlock(x, y, z, rebuild);
+	}
+	for (const chunkKey of rebuild) {
+		const [chunkX, chunkZ] = chunkKey.split(",").map(Number);
+		requestChunkRebuild(chunkX, chunkZ);
 	}
-
-	// Create a group to hold all material meshes
-	const chunkGroup = new THREE.Group();
-	meshes.forEach((mesh) => chunkGroup.add(mesh));
-	return chunkGroup;
 }
 
 // --- Chunk Handling ---
@@ -580,12 +941,17 @@ function requestChunkRebuild(chunkX, chunkZ) {
 	const key = `${chunkX},${chunkZ}`;
 	const chunk = chunks.get(key);
 	// If chunk not loaded yet, do nothing; load cycle will build correct geometry.
-	if (!chunk || chunk.userData.state === "pending") return;
+	if (!chunk) return;
+	// The first build may have read the voxels before this change; addChunk rebuilds once it lands
+	if (chunk.userData.state === "pending") {
+		chunk.userData.dirty = true;
+		return;
+	}
 	// Mark as pending, bump buildID
 	chunk.userData.pendingBuildVersion = ++globalChunkBuildID;
 	const requestedVersion = chunk.userData.pendingBuildVersion;
 	// Request geometry (async), then swap mesh in
-	requestChunkGeometry(chunkX, chunkZ, key).then((faces) => {
+	requestChunkGeometry(chunkX, chunkZ, key).then((meshData) => {
 		// It is possible for another rebuild to have been scheduled since, so ensure only latest is used.
 		if (!chunks.has(key)) return;
 		const existing = chunks.get(key);
@@ -598,10 +964,12 @@ function requestChunkRebuild(chunkX, chunkZ) {
 		}
 		// Create new mesh
 		const newMesh = new THREE.Mesh(
-			facesToBufferGeometry(faces),
-			blockMaterials.grass
+			meshDataToBufferGeometry(meshData),
+			blockMaterials
 		);
 		newMesh.frustumCulled = true;
+		newMesh.receiveShadow = true;
+		newMesh.castShadow = existing.castShadow;
 		newMesh.userData = {
 			chunkX,
 			chunkZ,
@@ -614,8 +982,8 @@ function requestChunkRebuild(chunkX, chunkZ) {
 		scene.add(newMesh);
 		scene.remove(existing);
 		// Clean up
+		// Materials are shared between chunks, only the geometry is ours
 		if (existing.geometry) existing.geometry.dispose?.();
-		if (existing.material) existing.material.dispose?.();
 		chunks.set(key, newMesh);
 	});
 }
@@ -638,7 +1006,7 @@ function addChunk(chunkX, chunkZ) {
 	scene.add(dummy);
 	chunks.set(key, dummy);
 	const thisBuildID = dummy.userData.buildVersion;
-	const promise = requestChunkGeometry(chunkX, chunkZ, key).then((faces) => {
+	const promise = requestChunkGeometry(chunkX, chunkZ, key).then((meshData) => {
 		if (!chunks.has(key)) return;
 		const existing = chunks.get(key);
 		if (
@@ -647,11 +1015,16 @@ function addChunk(chunkX, chunkZ) {
 		) {
 			return;
 		}
+		// Keep the worker-generated voxels unless the main thread populated the chunk meanwhile
+		if (!chunkData.has(key)) chunkData.set(key, meshData.voxels);
+		const newlyLit = !chunkLight.has(key);
+		if (newlyLit) chunkLight.set(key, meshData.light);
 		const mesh = new THREE.Mesh(
-			facesToBufferGeometry(faces),
-			blockMaterials.grass
+			meshDataToBufferGeometry(meshData),
+			blockMaterials
 		);
 		mesh.frustumCulled = true;
+		mesh.receiveShadow = true;
 		mesh.userData = {
 			chunkX,
 			chunkZ,
@@ -662,9 +1035,12 @@ function addChunk(chunkX, chunkZ) {
 		attachOcclusion(mesh);
 		scene.add(mesh);
 		scene.remove(existing);
+		// Materials are shared between chunks, only the geometry is ours
 		if (existing.geometry) existing.geometry.dispose?.();
-		if (existing.material) existing.material.dispose?.();
 		chunks.set(key, mesh);
+		if (newlyLit) spreadChunkLight(chunkX, chunkZ);
+		spawnItemsInChunk(chunkX, chunkZ);
+		if (existing.userData.dirty) requestChunkRebuild(chunkX, chunkZ);
 	});
 	return promise;
 }
@@ -687,195 +1063,93 @@ function getGroundHeight(x, z) {
 	return 0;
 }
 
-// Test if the player is on ground (distance at feet to ground <0.1)
-function isPlayerOnGround(p) {
-	const yFeet = p.y - playerHeight;
-	const groundY = getGroundHeight(p.x, p.z);
-	return Math.abs(yFeet - groundY) < 0.08;
-}
-
-// More accurate (step-)collision check
-function tryHorizontalMove(newPos) {
-	const rad = 0.3;
-	const minX = newPos.x - rad,
-		maxX = newPos.x + rad;
-	const minY = newPos.y - playerHeight,
-		maxY = newPos.y;
-	const minZ = newPos.z - rad,
-		maxZ = newPos.z + rad;
-	const x0 = Math.floor(minX),
-		x1 = Math.floor(maxX);
-	const y0 = Math.floor(minY),
-		y1 = Math.floor(maxY);
-	const z0 = Math.floor(minZ),
-		z1 = Math.floor(maxZ);
-	for (let x = x0; x <= x1; x++) {
-		for (let y = y0; y <= y1; y++) {
-			for (let z = z0; z <= z1; z++) {
-				if (hasBlock(x, y, z)) {
-					if (
-						minX < x + 1 &&
-						maxX > x &&
-						minY < y + 1 &&
-						maxY > y &&
-						minZ < z + 1 &&
-						maxZ > z
-					) {
-						return false;
-					}
-				}
-			}
-		}
-	}
-	return true;
-}
-
-// AABB collision detection for player
-function checkCollision(pos) {
-	const radius = 0.3;
-	const minX = pos.x - radius,
-		maxX = pos.x + radius;
-	const minY = pos.y - playerHeight,
-		maxY = pos.y;
-	const minZ = pos.z - radius,
-		maxZ = pos.z + radius;
-	const footY = minY;
-	const epsilon = 0.001;
-
-	// 1. User-modified blocks via grid:
-	const gridBlocks = playerEditGrid.queryAABB(
-		minX,
-		maxX,
-		minY,
-		maxY,
-		minZ,
-		maxZ
-	);
-	for (const [x, y, z] of gridBlocks) {
-		// Only collide with present blocks
-		if (!hasBlock(x, y, z)) continue;
-		const blockMinX = x,
-			blockMaxX = x + 1;
-		const blockMinY = y,
-			blockMaxY = y + 1;
-		const blockMinZ = z,
-			blockMaxZ = z + 1;
-		if (blockMaxY <= footY + epsilon) continue;
-		if (
-			minX < blockMaxX &&
-			maxX > blockMinX &&
-			minY < blockMaxY &&
-			maxY > blockMinY &&
-			minZ < blockMaxZ &&
-			maxZ > blockMinZ
-		) {
-			return true;
-		}
-	}
-
-	// 2. Procedural: If no collision with user blocks, check procedural blocks only
-	const x0 = Math.floor(minX),
-		x1 = Math.floor(maxX);
-	const y0 = Math.floor(minY),
-		y1 = Math.floor(maxY);
-	const z0 = Math.floor(minZ),
-		z1 = Math.floor(maxZ);
-	for (let x = x0; x <= x1; x++) {
-		for (let y = y0; y <= y1; y++) {
-			for (let z = z0; z <= z1; z++) {
-				const key = blockKey(x, y, z);
-				// Only include *non-user-modified* blocks from procedural terrain
-				if (!blocks.has(key) && y <= getHeight(x, z)) {
-					const blockMinX = x,
-						blockMaxX = x + 1;
-					const blockMinY = y,
-						blockMaxY = y + 1;
-					const blockMinZ = z,
-						blockMaxZ = z + 1;
-					if (blockMaxY <= footY + epsilon) continue;
-					if (
-						minX < blockMaxX &&
-						maxX > blockMinX &&
-						minY < blockMaxY &&
-						maxY > blockMinY &&
-						minZ < blockMaxZ &&
-						maxZ > blockMinZ
-					) {
-						return true;
-					}
-				}
-			}
-		}
-	}
-	return false;
-}
-
 // --- Raycasting for block interactions ---
-const raycaster = new THREE.Raycaster();
-const mouse = { x: 0, y: 0 };
+// How far (in blocks) the player can reach to break or place blocks
+let blockReach = 6;
+const rayDirVec = new THREE.Vector3();
 const highlightMesh = new THREE.Mesh(
 	new THREE.BoxGeometry(1.01, 1.01, 1.01),
 	highlightMaterial
 );
 highlightMesh.visible = false;
 scene.add(highlightMesh);
-let highlightBlock = null,
-	highlightNormal = null;
 
-// Improved: Returns the targeted block (the block being looked at, and the normal of the face hit)
-function getTargetedBlock() {
-	// Raycast from camera center
-	raycaster.setFromCamera({ x: 0, y: 0 }, camera);
-
-	const maxDist = 6;
-	const step = 0.04; // increased raymarch precision
-	let lastAir = null;
-	let lastBlock = null;
-	let lastNormal = null;
-
-	// Use a "raymarching" approach for robust block targeting
-	for (let t = 0; t <= maxDist; t += step) {
-		const pos = camera.position
-			.clone()
-			.add(camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(t));
-		const bx = Math.floor(pos.x),
-			by = Math.floor(pos.y),
-			bz = Math.floor(pos.z);
-
-		if (hasBlock(bx, by, bz)) {
-			// Compute face normal by looking at what direction the ray entered this block from previous "air"
-			if (lastAir) {
-				// Determine normal as the largest delta between lastAir and this block
-				const dx = bx - lastAir[0];
-				const dy = by - lastAir[1];
-				const dz = bz - lastAir[2];
-				let normal = [0, 0, 0];
-				if (Math.abs(dx) > Math.abs(dy) && Math.abs(dx) > Math.abs(dz))
-					normal = [dx, 0, 0];
-				else if (Math.abs(dy) > Math.abs(dx) && Math.abs(dy) > Math.abs(dz))
-					normal = [0, dy, 0];
-				else normal = [0, 0, dz];
-				return {
-					pos: [bx, by, bz],
-					normal,
-					dist: t,
-					placePos: [lastAir[0], lastAir[1], lastAir[2]]
-				};
-			} else {
-				// If ray started inside a block, just use this block, and arbitrary normal
-				return {
-					pos: [bx, by, bz],
-					normal: [0, 1, 0],
-					dist: t,
-					placePos: [bx, by + 1, bz]
-				};
-			}
-		} else {
-			lastAir = [bx, by, bz];
+// Crack overlay drawn over the block being broken, one texture per stage
+const CRACK_STAGES = 10;
+function createCrackTextures() {
+	const size = 32;
+	// Small LCG so every stage extends the same crack pattern
+	let seed = 1;
+	const random = () => {
+		seed = (seed * 1103515245 + 12345) % 2147483648;
+		return seed / 2147483648;
+	};
+	const segments = [];
+	for (let i = 0; i < CRACK_STAGES * 3; i++) {
+		const from = segments.length
+			? segments[Math.floor(random() * segments.length)].slice(2)
+			: [size / 2, size / 2];
+		const angle = random() * Math.PI * 2;
+		const length = 3 + random() * 6;
+		segments.push([
+			...from,
+			from[0] + Math.cos(angle) * length,
+			from[1] + Math.sin(angle) * length
+		]);
+	}
+	const textures = [];
+	for (let stage = 0; stage < CRACK_STAGES; stage++) {
+		const canvas = document.createElement("canvas");
+		canvas.width = canvas.height = size;
+		const ctx = canvas.getContext("2d");
+		ctx.strokeStyle = "rgba(0, 0, 0, 0.75)";
+		ctx.lineWidth = 1.5;
+		ctx.beginPath();
+		for (const [x0, y0, x1, y1] of segments.slice(0, (stage + 1) * 3)) {
+			ctx.moveTo(x0, y0);
+			ctx.lineTo(x1, y1);
 		}
+		ctx.stroke();
+		const texture = new THREE.CanvasTexture(canvas);
+		texture.magFilter = THREE.NearestFilter;
+		texture.minFilter = THREE.NearestFilter;
+		textures.push(texture);
 	}
-	// No block targeted
-	return null;
+	return textures;
+}
+const crackTextures = createCrackTextures();
+const crackMaterial = new THREE.MeshBasicMaterial({
+	map: crackTextures[0],
+	transparent: true,
+	depthWrite: false,
+	polygonOffset: true,
+	polygonOffsetFactor: -1,
+	polygonOffsetUnits: -1
+});
+const crackMesh = new THREE.Mesh(
+	new THREE.BoxGeometry(1.002, 1.002, 1.002),
+	crackMaterial
+);
+crackMesh.visible = false;
+scene.add(crackMesh);
+let highlightBlock = null,
+	highlightNormal = null;
+
+/**
+ * Returns the block under the crosshair: { pos, normal, point, placePos, dist }
+ * (see raycastVoxels), or null if nothing is within `reach`.
+ */
+function getTargetedBlock(reach = blockReach) {
+	// Spectating in free-fly doesn't touch the world
+	if (cameraRig.mode === "free") return null;
+	camera.getWorldDirection(rayDirVec);
+	// From the player's eyes: in third person the camera sits on the same line further back
+	return raycastVoxels(
+		player.renderPosition.toArray(),
+		rayDirVec.toArray(),
+		reach,
+		isTargetableBlock
+	);
 }
 
 // --- Utility: get all chunks affecting/affected by placement/removal at (x, y, z) ---
@@ -904,113 +1178,47 @@ function getTouchedChunks(x, y, z) {
 	return touched;
 }
 
-// --- Spatial Partitioning for Collision Checks: Uniform Grid ---
-/**
- * A spatial hash/grid to accelerate collision queries for user-modified blocks.
- * Voxel terrain from the procedural generator (unchanged blocks) is not stored here;
- * only player-placed or removed blocks are tracked. On collision, first probe the grid,
- * then fallback to procedural check as needed.
- */
-// 1. Partition world space into 8x8x8 block regions
-const GRID_SIZE = 8; // size of each grid cell in blocks
-
-class SpatialGrid {
-	constructor(cellSize = GRID_SIZE) {
-		this.cellSize = cellSize;
-		this.cells = new Map(); // Map key: `${gx},${gy},${gz}` -> Set of [x,y,z] block arrays
-	}
-	// Hash grid coords
-	_keyFromXYZ(x, y, z) {
-		const gx = Math.floor(x / this.cellSize);
-		const gy = Math.floor(y / this.cellSize);
-		const gz = Math.floor(z / this.cellSize);
-		return `${gx},${gy},${gz}`;
-	}
-	// Get affected grid cells (may result in multiple for objects spanning multiple cells)
-	_getCellCoords(x, y, z) {
-		return [
-			Math.floor(x / this.cellSize),
-			Math.floor(y / this.cellSize),
-			Math.floor(z / this.cellSize)
-		];
-	}
-	// Insert block at integer position
-	addBlock(x, y, z) {
-		const key = this._keyFromXYZ(x, y, z);
-		if (!this.cells.has(key)) this.cells.set(key, new Set());
-		this.cells.get(key).add(`${x},${y},${z}`);
-	}
-	// Remove block at integer position
-	removeBlock(x, y, z) {
-		const key = this._keyFromXYZ(x, y, z);
-		const cell = this.cells.get(key);
-		if (cell) cell.delete(`${x},${y},${z}`);
-	}
-	// Query blocks within an AABB: [minX, maxX, minY, maxY, minZ, maxZ]
-	queryAABB(minX, maxX, minY, maxY, minZ, maxZ) {
-		const results = [];
-		// Compute grid cell bounds to check
-		const gx0 = Math.floor(minX / this.cellSize);
-		const gx1 = Math.floor(maxX / this.cellSize);
-		const gy0 = Math.floor(minY / this.cellSize);
-		const gy1 = Math.floor(maxY / this.cellSize);
-		const gz0 = Math.floor(minZ / this.cellSize);
-		const gz1 = Math.floor(maxZ / this.cellSize);
-
-		for (let gx = gx0; gx <= gx1; gx++) {
-			for (let gy = gy0; gy <= gy1; gy++) {
-				for (let gz = gz0; gz <= gz1; gz++) {
-					const key = `${gx},${gy},${gz}`;
-					const cell = this.cells.get(key);
-					if (cell && cell.size) {
-						for (const idx of cell) {
-							const [bx, by, bz] = idx.split(",").map(Number);
-							if (
-								bx + 1 > minX &&
-								bx < maxX + 1 &&
-								by + 1 > minY &&
-								by < maxY + 1 &&
-								bz + 1 > minZ &&
-								bz < maxZ + 1
-							) {
-								results.push([bx, by, bz]);
-							}
-						}
-					}
-				}
-			}
-		}
-		return results;
-	}
-	// When reloading/clearing edits for a chunk, we must remove those blocks from the grid.
-	flushChunkEdits(edits) {
-		// Edits is an object of { blockKey(x,y,z): present }
-		for (const k in edits) {
-			const [x, y, z] = k.split(",").map(Number);
-			this.removeBlock(x, y, z);
-		}
-	}
-	// When loading chunk edits, re-add present ones
-	addChunkEdits(edits) {
-		for (const k in edits) {
-			const [x, y, z] = k.split(",").map(Number);
-			if (edits[k]) this.addBlock(x, y, z);
-		}
-	}
+// --- Game Modes ---
+// Survival: placing uses up the inventory, breaking takes time by hardness and
+// blocks drop items. Creative: a palette of every block, instant breaking, no
+// drops, no hunger or damage, and double-tap Space to fly. Saved per world.
+const GAME_MODES = { SURVIVAL: "survival", CREATIVE: "creative" };
+let gameMode = GAME_MODES.SURVIVAL;
+// Flowing water isn't offered; it only comes from sources
+const CREATIVE_PALETTE = BLOCKS.filter(
+	(def) =>
+		def.id !== BLOCK_TYPES.AIR &&
+		(def.fluidLevel === 0 || def.id === BLOCK_TYPES.WATER)
+).map((def) => def.id);
+let creativeSelectedSlot = 0;
+
+function isCreative() {
+	return gameMode === GAME_MODES.CREATIVE;
 }
 
-// Instantiate a single grid for all player-modified blocks
-const playerEditGrid = new SpatialGrid(GRID_SIZE);
+function setGameMode(mode) {
+	gameMode = Object.values(GAME_MODES).includes(mode)
+		? mode
+		: GAME_MODES.SURVIVAL;
+	player.flying = false;
+	vitalsEl.style.display = isCreative() ? "none" : "flex";
+	gameModeSelect.value = gameMode;
+	updateInventoryUI();
+}
 
-// On load, populate grid with any existing user-modified blocks (should be empty initially)
-(function () {
-	for (const [k, v] of blocks.entries()) {
-		if (v) {
-			const [x, y, z] = k.split(",").map(Number);
-			playerEditGrid.addBlock(x, y, z);
-		}
+// Double-tapping jump toggles flying in creative
+const DOUBLE_TAP_MS = 300;
+let lastJumpPressTime = 0;
+function handleJumpPress() {
+	const now = performance.now();
+	if (isCreative() && now - lastJumpPressTime < DOUBLE_TAP_MS) {
+		player.flying = !player.flying;
+		player.velocity.y = 0;
+		lastJumpPressTime = 0;
+		return;
 	}
-})();
+	lastJumpPressTime = now;
+}
 
 // --- PAUSE MENU SETUP ---
 const pauseMenu = document.createElement("div");
@@ -1019,6 +1227,12 @@ pauseMenu.tabIndex = -1;
 pauseMenu.innerHTML = `
   <div class="pause-content">
     <h2>Paused</h2>
+    <p style="margin:0 0 12px;font-size:.9em;">Seed: <span id="worldSeedValue">${worldSeed}</span></p>
+    <label for="gameModeSelect">Game Mode:</label>
+    <select id="gameModeSelect" style="margin-bottom:12px;">
+      <option value="${GAME_MODES.SURVIVAL}">Survival</option>
+      <option value="${GAME_MODES.CREATIVE}">Creative</option>
+    </select>
     <label for="renderDistanceSlider">Render Distance:
       <span id="renderDistanceValue"></span>
     </label>
@@ -1032,6 +1246,60 @@ pauseMenu.innerHTML = `
       <input type="checkbox" id="fogEnableCheckbox" checked style="margin:0;">
       <span style="user-select:none;">Enable Fog</span>
     </label>
+    <label style="margin-top: 9px; display: flex; align-items: center; gap: 10px; font-size: 1em;">
+      <input type="checkbox" id="farTerrainCheckbox" checked style="margin:0;">
+      <span style="user-select:none;">Far Terrain</span>
+    </label>
+    <label for="timeOfDaySlider" style="margin-top:19px;">Time of Day:
+      <span id="timeOfDayValue"></span>
+    </label>
+    <input type="range" id="timeOfDaySlider" min="0" max="1" step="0.001">
+    <label for="dayLengthSlider" style="margin-top:9px;">Day Length:
+      <span id="dayLengthValue"></span>
+    </label>
+    <input type="range" id="dayLengthSlider" min="${
+			MIN_DAY_LENGTH / 60
+		}" max="${MAX_DAY_LENGTH / 60}" step="1">
+    <label style="margin-top: 9px; display: flex; align-items: center; gap: 10px; font-size: 1em;">
+      <input type="checkbox" id="freezeTimeCheckbox" style="margin:0;">
+      <span style="user-select:none;">Freeze Time</span>
+    </label>
+    <label for="shadowQualitySelect" style="margin-top:19px;">Shadows:</label>
+    <select id="shadowQualitySelect">
+      <option value="off">Off</option>
+      <option value="low">Low</option>
+      <option value="high">High</option>
+    </select>
+    <label style="margin-top:19px;">Resource Pack:
+      <span id="resourcePackStatus" style="font-size:.85em;color:#9adca7;">Default</span>
+    </label>
+    <div style="margin-top:6px; display: flex; gap: 6px;">
+      <button id="packFolderBtn">Folder…</button>
+      <button id="packZipBtn">Zip…</button>
+      <button id="packResetBtn">Default</button>
+    </div>
+    <input type="file" id="packFolderInput" webkitdirectory multiple hidden>
+    <input type="file" id="packZipInput" accept=".zip" hidden>
+    <label for="saveSlotSelect" style="margin-top:19px;">Save Slot:
+      <span id="saveStatus" style="font-size:.85em;color:#9adca7;"></span>
+    </label>
+    <select id="saveSlotSelect"></select>
+    <input type="text" id="saveSlotName" placeholder="New slot name" maxlength="32" style="margin-top:6px;">
+    <div style="margin-top:6px; display: flex; gap: 6px;">
+      <button id="saveSlotBtn">Save</button>
+      <button id="loadSlotBtn">Load</button>
+      <button id="deleteSlotBtn">Delete</button>
+    </div>
+    <button id="newWorldToggleBtn" style="margin-top:12px;">New World…</button>
+    <div id="newWorldDialog" style="display:none; margin-top:8px; flex-direction:column; gap:6px;">
+      <input type="text" id="newWorldName" placeholder="World name" maxlength="32">
+      <input type="text" id="newWorldSeed" placeholder="Seed (number or text, blank = random)" maxlength="64">
+      <select id="newWorldMode">
+        <option value="${GAME_MODES.SURVIVAL}">Survival</option>
+        <option value="${GAME_MODES.CREATIVE}">Creative</option>
+      </select>
+      <button id="createWorldBtn">Create World</button>
+    </div>
     <button id="resumeBtn">Resume</button>
     <p style="margin-top:18px;font-size:.94em;color:#9adca7;font-style:italic">Press <b>P</b> to resume or use the button</p>
   </div>
@@ -1047,6 +1315,15 @@ const pauseContent = pauseMenu.querySelector(".pause-content");
 const fogDistanceSlider = pauseMenu.querySelector("#fogDistanceSlider");
 const fogDistanceValue = pauseMenu.querySelector("#fogDistanceValue");
 const fogEnableCheckbox = pauseMenu.querySelector("#fogEnableCheckbox");
+const farTerrainCheckbox = pauseMenu.querySelector("#farTerrainCheckbox");
+
+// Time controls
+const timeOfDaySlider = pauseMenu.querySelector("#timeOfDaySlider");
+const timeOfDayValue = pauseMenu.querySelector("#timeOfDayValue");
+const dayLengthSlider = pauseMenu.querySelector("#dayLengthSlider");
+const dayLengthValue = pauseMenu.querySelector("#dayLengthValue");
+const freezeTimeCheckbox = pauseMenu.querySelector("#freezeTimeCheckbox");
+const shadowQualitySelect = pauseMenu.querySelector("#shadowQualitySelect");
 
 // Init values
 renderDistanceSlider.value = visibleRadius;
@@ -1054,6 +1331,7 @@ renderDistanceValue.textContent = visibleRadius;
 fogDistanceSlider.value = fogMax;
 fogDistanceValue.textContent = fogMax + (fogEnabled ? " units" : " (disabled)");
 fogEnableCheckbox.checked = fogEnabled;
+shadowQualitySelect.value = shadowQuality;
 
 // PAUSE/RESUME LOGIC
 let isPaused = false;
@@ -1065,6 +1343,11 @@ function setPaused(paused) {
 		pauseMenu.style.display = "flex";
 		// Unlock pointer lock if active
 		controls.unlock();
+		// The clock kept running since the menu was last open
+		syncTimeStateToUI();
+		// Autosave whenever the game is paused
+		saveWorld(currentSaveSlot);
+		refreshSaveSlotList();
 	} else {
 		document.body.classList.remove("pause-active");
 		pauseMenu.style.display = "none";
@@ -1075,12 +1358,15 @@ function setPaused(paused) {
 
 // Listen for P key to pause/resume
 document.addEventListener("keydown", (e) => {
-	if (e.code === "KeyP" && !e.repeat) {
+	// Inventory screens close first (returning held items) before pausing
+	if (e.code === "KeyP" && !e.repeat && !isScreenOpen()) {
 		setPaused(!isPaused);
 	}
 });
 resumeBtn.addEventListener("click", () => setPaused(false));
 pauseMenu.addEventListener("keydown", (e) => {
+	// Typing a "p" into a slot name or seed isn't a shortcut
+	if (e.target.matches("input, select, textarea")) return;
 	if (e.code === "KeyP" && isPaused) {
 		setPaused(false);
 	}
@@ -1124,6 +1410,30 @@ function syncFogStateToUI() {
 	setFogSliderAndValue(fogMax, fogEnabled);
 }
 
+// Time of day, day length (shown in minutes) and freezing the clock
+function syncTimeStateToUI() {
+	timeOfDaySlider.value = worldClock.timeOfDay;
+	timeOfDayValue.textContent = formatTimeOfDay(worldClock.timeOfDay);
+	dayLengthSlider.value = Math.round(worldClock.dayLength / 60);
+	dayLengthValue.textContent = Math.round(worldClock.dayLength / 60) + " min";
+	freezeTimeCheckbox.checked = worldClock.frozen;
+}
+timeOfDaySlider.addEventListener("input", (e) => {
+	worldClock.setTime(Number(e.target.value));
+	syncTimeStateToUI();
+});
+dayLengthSlider.addEventListener("input", (e) => {
+	worldClock.setDayLength(Number(e.target.value) * 60);
+	syncTimeStateToUI();
+});
+freezeTimeCheckbox.addEventListener("input", (e) => {
+	worldClock.frozen = !!e.target.checked;
+});
+farTerrainCheckbox.addEventListener("input", (e) => {
+	farTerrainEnabled = !!e.target.checked;
+	updateFarTerrain();
+});
+
 // On render distance change
 function setVisibleRadius(val) {
 	visibleRadius = Math.max(
@@ -1131,42 +1441,611 @@ function setVisibleRadius(val) {
 		Math.min(MAX_RENDER_DIST, Number(val))
 	);
 	renderDistanceValue.textContent = visibleRadius;
+	fitShadowCascades();
 	updateChunks();
 }
 renderDistanceSlider.addEventListener("input", (e) =>
 	setVisibleRadius(e.target.value)
 );
+shadowQualitySelect.addEventListener("change", () =>
+	setShadowQuality(shadowQualitySelect.value)
+);
+
+// --- Resource Packs ---
+const resourcePackStatus = pauseMenu.querySelector("#resourcePackStatus");
+const packFolderInput = pauseMenu.querySelector("#packFolderInput");
+const packZipInput = pauseMenu.querySelector("#packZipInput");
+
+// Decode an image file into tileSize x tileSize RGBA pixels, without smoothing
+function decodeTileImage(blob, tileSize) {
+	return createImageBitmap(blob).then((bitmap) => {
+		const canvas = document.createElement("canvas");
+		canvas.width = tileSize;
+		canvas.height = tileSize;
+		const ctx = canvas.getContext("2d");
+		ctx.imageSmoothingEnabled = false;
+		ctx.drawImage(bitmap, 0, 0, tileSize, tileSize);
+		bitmap.close();
+		return ctx.getImageData(0, 0, tileSize, tileSize).data;
+	});
+}
+
+/**
+ * Load the resource pack in `files` (path -> Blob, from a folder or zip).
+ * Resolves to { name, tileSize, faces, images } for applyBlockAtlas, with
+ * the images decoded to tiles by path.
+ */
+function loadResourcePack(files) {
+	const root = findPackRoot(files.keys());
+	if (root === null) {
+		return Promise.reject(new Error(`no ${MANIFEST_FILE} found`));
+	}
+	return files
+		.get(root + MANIFEST_FILE)
+		.text()
+		.then((text) => {
+			const manifest = parseManifest(text);
+			const paths = manifestImages(manifest);
+			const missing = paths.find((path) => !files.has(root + path));
+			if (missing) throw new Error(`${missing} is missing`);
+			const blobs = paths.map((path) => files.get(root + path));
+			// Without a tileSize in the manifest the first image's width is used
+			const size =
+				manifest.tileSize !== null || blobs.length === 0
+					? Promise.resolve(manifest.tileSize ?? BUILTIN_TILE_SIZE)
+					: createImageBitmap(blobs[0]).then((bitmap) => {
+							bitmap.close();
+							return bitmap.width;
+					  });
+			return size.then((tileSize) => {
+				tileSize = atlasTileSize(tileSize);
+				return Promise.all(
+					blobs.map((blob) => decodeTileImage(blob, tileSize))
+				).then((tiles) => ({
+					name: manifest.name,
+					tileSize,
+					faces: manifest.faces,
+					images: new Map(paths.map((path, i) => [path, tiles[i]]))
+				}));
+			});
+		});
+}
+
+// Texture the world with the pack read by `files` (a promise of path -> Blob)
+function useResourcePack(files) {
+	resourcePackStatus.textContent = "loading…";
+	files
+		.then(loadResourcePack)
+		.then((pack) => {
+			applyBlockAtlas(pack);
+			clearFarTerrain();
+			resourcePackStatus.textContent = pack.name;
+		})
+		.catch((err) => {
+			console.warn("Resource pack failed to load", err);
+			resourcePackStatus.textContent = `failed: ${err.message}`;
+		});
+}
+
+pauseMenu
+	.querySelector("#packFolderBtn")
+	.addEventListener("click", () => packFolderInput.click());
+pauseMenu
+	.querySelector("#packZipBtn")
+	.addEventListener("click", () => packZipInput.click());
+pauseMenu.querySelector("#packResetBtn").addEventListener("click", () => {
+	applyBlockAtlas();
+	clearFarTerrain();
+	resourcePackStatus.textContent = "Default";
+});
+packFolderInput.addEventListener("change", () => {
+	// Paths start with the chosen folder's name; findPackRoot looks past it
+	const files = new Map(
+		[...packFolderInput.files].map((file) => [
+			file.webkitRelativePath || file.name,
+			file
+		])
+	);
+	packFolderInput.value = "";
+	if (files.size > 0) useResourcePack(Promise.resolve(files));
+});
+packZipInput.addEventListener("change", () => {
+	const file = packZipInput.files[0];
+	packZipInput.value = "";
+	if (!file) return;
+	useResourcePack(
+		file
+			.arrayBuffer()
+			.then(readZip)
+			.then(
+				(entries) =>
+					new Map(
+						[...entries].map(([path, bytes]) => [path, new Blob([bytes])])
+					)
+			)
+	);
+});
 
 // Hide pause menu on start
 pauseMenu.style.display = "none";
 
-// --- Chunk Add/Remove and Visibility Management ---
-function updateChunks() {
-	// Determine current camera chunk
-	const camChunkX = Math.floor(camera.position.x / CHUNK_SIZE);
-	const camChunkZ = Math.floor(camera.position.z / CHUNK_SIZE);
-	const radius = visibleRadius;
+// --- World Persistence (IndexedDB save slots) ---
+/**
+ * Worlds are stored in IndexedDB as one "worlds" record per save slot (player,
+ * inventory, items, settings) plus one "chunkEdits" record per edited chunk, so
+ * autosaves only rewrite chunks that changed since the last save.
+ */
+const WORLD_DB_NAME = "infinite-voxel-world";
+const WORLD_DB_VERSION = 1;
+const DEFAULT_SAVE_SLOT = "World 1";
+const AUTOSAVE_INTERVAL_MS = 60000;
+const LAST_SLOT_STORAGE_KEY = "voxelWorld.lastSlot";
+
+let currentSaveSlot =
+	localStorage.getItem(LAST_SLOT_STORAGE_KEY) || DEFAULT_SAVE_SLOT;
+// Chunk keys whose edits changed since the last save of currentSaveSlot
+const dirtyEditChunks = new Set();
+// Serializes writes so autosave and manual saves never interleave
+let saveQueue = Promise.resolve();
+let worldDBPromise = null;
+
+// Wrap an IDBRequest in a Promise
+function idbRequest(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+// Resolve once a transaction has fully committed
+function idbTransactionDone(tx) {
+	return new Promise((resolve, reject) => {
+		tx.oncomplete = () => resolve();
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error);
+	});
+}
 
-	// Gather desired chunks within radius
-	const desired = [];
-	for (let dx = -radius; dx <= radius; dx++) {
-		for (let dz = -radius; dz <= radius; dz++) {
-			if (Math.hypot(dx, dz) <= radius) {
-				desired.push([camChunkX + dx, camChunkZ + dz]);
+function openWorldDB() {
+	if (worldDBPromise) return worldDBPromise;
+	worldDBPromise = new Promise((resolve, reject) => {
+		const request = indexedDB.open(WORLD_DB_NAME, WORLD_DB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains("worlds")) {
+				db.createObjectStore("worlds", { keyPath: "slot" });
 			}
-		}
-	}
-	const desiredKeys = new Set(desired.map(([x, z]) => `${x},${z}`));
+			if (!db.objectStoreNames.contains("chunkEdits")) {
+				const store = db.createObjectStore("chunkEdits", {
+					keyPath: ["slot", "chunk"]
+				});
+				store.createIndex("slot", "slot");
+			}
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+	return worldDBPromise;
+}
 
-	// Unload chunks that are no longer within radius
-	for (const [key, mesh] of chunks.entries()) {
-		if (!desiredKeys.has(key)) {
-			scene.remove(mesh);
-			if (mesh.geometry) mesh.geometry.dispose();
-			if (mesh.material) mesh.material.dispose();
-			chunks.delete(key);
+// Snapshot everything except chunk edits into a plain, structured-cloneable object
+function serializeWorldState(slot) {
+	return {
+		slot,
+		savedAt: Date.now(),
+		player: {
+			position: player.position.toArray(),
+			rotation: camera.rotation.toArray(),
+			spawn: spawnPoint,
+			health: vitals.health,
+			hunger: vitals.hunger
+		},
+		inventory: {
+			...inventory.serialize(),
+			crafting: craftingGrid.map((c) => ({ type: c.type, count: c.count }))
+		},
+		// Untouched loot isn't saved; it is placed again from the seed
+		worldItems: [...worldItems]
+			.filter((item) => item.lootChunk === undefined)
+			.map((item) => ({
+				type: item.type,
+				count: item.count,
+				position: item.position
+			})),
+		collectedLoot: Object.fromEntries(
+			[...collectedLoot].map(([chunk, taken]) => [chunk, [...taken]])
+		),
+		seed: worldSeed,
+		gameMode,
+		timeOfDay: worldClock.timeOfDay,
+		settings: {
+			renderDistance: visibleRadius,
+			fogEnabled,
+			fogMin,
+			fogMax,
+			dayLength: worldClock.dayLength,
+			timeFrozen: worldClock.frozen,
+			farTerrain: farTerrainEnabled,
+			shadowQuality
 		}
-	}
+	};
+}
+
+/**
+ * Save the current world into `slot`. Only dirty chunks are rewritten unless
+ * the slot changes. Resolves whether the save succeeded.
+ */
+function saveWorld(
+	slot = currentSaveSlot,
+	fullWrite = slot !== currentSaveSlot
+) {
+	saveQueue = saveQueue
+		.then(() => openWorldDB())
+		.then((db) => {
+			const chunkKeys = fullWrite
+				? [...chunkEdits.keys()]
+				: [...dirtyEditChunks];
+			dirtyEditChunks.clear();
+			const tx = db.transaction(["worlds", "chunkEdits"], "readwrite");
+			const editStore = tx.objectStore("chunkEdits");
+			if (fullWrite) {
+				// Overwriting another slot: drop its stale chunk records first
+				editStore
+					.index("slot")
+					.openKeyCursor(IDBKeyRange.only(slot)).onsuccess = (e) => {
+					const cursor = e.target.result;
+					if (!cursor) {
+						for (const chunk of chunkKeys) {
+							editStore.put({ slot, chunk, edits: chunkEdits.get(chunk) });
+						}
+						return;
+					}
+					editStore.delete(cursor.primaryKey);
+					cursor.continue();
+				};
+			} else {
+				for (const chunk of chunkKeys) {
+					editStore.put({ slot, chunk, edits: chunkEdits.get(chunk) });
+				}
+			}
+			tx.objectStore("worlds").put(serializeWorldState(slot));
+			currentSaveSlot = slot;
+			localStorage.setItem(LAST_SLOT_STORAGE_KEY, slot);
+			return idbTransactionDone(tx).catch((err) => {
+				// Put the chunks back so the next save retries them
+				for (const chunk of chunkKeys) dirtyEditChunks.add(chunk);
+				throw err;
+			});
+		})
+		.then(() => {
+			setSaveStatus(`saved ${new Date().toLocaleTimeString()}`);
+			return true;
+		})
+		.catch((err) => {
+			console.warn("World save failed", err);
+			setSaveStatus("save failed");
+			return false;
+		});
+	return saveQueue;
+}
+
+/** Load `slot` from IndexedDB, replacing the in-memory world. Resolves false if the slot is empty. */
+function loadWorld(slot) {
+	return openWorldDB()
+		.then((db) => {
+			const tx = db.transaction(["worlds", "chunkEdits"], "readonly");
+			return Promise.all([
+				idbRequest(tx.objectStore("worlds").get(slot)),
+				idbRequest(
+					tx
+						.objectStore("chunkEdits")
+						.index("slot")
+						.getAll(IDBKeyRange.only(slot))
+				)
+			]);
+		})
+		.then(([world, editRecords]) => {
+			if (!world) return false;
+			applyWorldState(slot, world, editRecords);
+			return true;
+		});
+}
+
+// Forget every player edit (per-chunk edits and the voxel data built from them)
+function clearWorldEdits() {
+	chunkEdits.clear();
+	dirtyEditChunks.clear();
+	chunkData.clear();
+	chunkLight.clear();
+	fluids.clear();
+}
+
+function applyWorldState(slot, world, editRecords) {
+	// Saves from before seeds were configurable used the default seed
+	setWorldSeed(world.seed ?? DEFAULT_WORLD_SEED);
+	// Worlds saved before game modes existed are survival worlds
+	setGameMode(world.gameMode ?? GAME_MODES.SURVIVAL);
+
+	// Rebuild edit storage; chunk voxels regenerate from it on demand
+	clearWorldEdits();
+	for (const { chunk, edits } of editRecords) {
+		// Saves from before the block registry stored true/false presence flags
+		for (const k in edits) {
+			if (typeof edits[k] !== "boolean") continue;
+			const [x, y, z] = k.split(",").map(Number);
+			edits[k] = edits[k]
+				? blockTypeAt(y, getHeight(x, z), getBiome(x, z))
+				: BLOCK_TYPES.AIR;
+		}
+		chunkEdits.set(chunk, edits);
+	}
+
+	// Inventory
+	inventory.load(world.inventory);
+	craftingGrid.forEach((c, i) => {
+		const saved = world.inventory.crafting?.[i];
+		c.type = saved ? saved.type : null;
+		c.count = saved ? saved.count : 0;
+	});
+	updateInventoryUI();
+
+	// Items lying in the world
+	clearWorldItems();
+	for (const saved of world.worldItems) {
+		const itemType = getItemType(saved.type);
+		if (!itemType) continue;
+		// Saves from before item physics stored the cell the item floated in
+		const position = saved.position ?? [
+			saved.x + 0.5,
+			saved.y + 0.5,
+			saved.z + 0.5
+		];
+		spawnItem(itemType, position, undefined, saved.count ?? 1);
+	}
+	for (const [chunk, taken] of Object.entries(world.collectedLoot ?? {})) {
+		collectedLoot.set(chunk, new Set(taken));
+	}
+
+	// Player
+	teleportPlayer(...world.player.position);
+	camera.rotation.fromArray(world.player.rotation);
+	// Saves from before the survival layer start at full health by the default spawn
+	spawnPoint = world.player.spawn ?? [startX, startZ];
+	vitals.reset();
+	vitals.health = world.player.health ?? MAX_HEALTH;
+	vitals.hunger = world.player.hunger ?? MAX_HUNGER;
+	setDead(vitals.dead);
+
+	// Settings
+	fogMin = world.settings.fogMin;
+	fogMax = world.settings.fogMax;
+	updateFog(fogMin, fogMax, world.settings.fogEnabled);
+	syncFogStateToUI();
+	renderDistanceSlider.value = world.settings.renderDistance;
+	// Saves from before the day/night cycle were always at noon
+	worldClock.setTime(world.timeOfDay ?? 0.5);
+	worldClock.setDayLength(world.settings.dayLength ?? DEFAULT_DAY_LENGTH);
+	worldClock.frozen = !!world.settings.timeFrozen;
+	syncTimeStateToUI();
+	setShadowQuality(world.settings.shadowQuality ?? DEFAULT_SHADOW_QUALITY);
+	shadowQualitySelect.value = shadowQuality;
+	farTerrainEnabled = world.settings.farTerrain ?? true;
+	farTerrainCheckbox.checked = farTerrainEnabled;
+
+	currentSaveSlot = slot;
+	localStorage.setItem(LAST_SLOT_STORAGE_KEY, slot);
+	reloadAllChunks();
+	setVisibleRadius(world.settings.renderDistance);
+}
+
+/** Start a fresh world in `slot` generated from `seed`, replacing whatever that slot held. */
+function createNewWorld(slot, seed, mode = GAME_MODES.SURVIVAL) {
+	setWorldSeed(seed);
+	setGameMode(mode);
+	clearWorldEdits();
+	inventory.clear();
+	craftingGrid.forEach((s) => {
+		s.type = null;
+		s.count = 0;
+	});
+	updateInventoryUI();
+	clearWorldItems();
+	worldClock.setTime(DEFAULT_START_TIME);
+	syncTimeStateToUI();
+
+	spawnPoint = [startX, startZ];
+	vitals.reset();
+	setDead(false);
+	teleportPlayer(startX, findSafeSpawnY(startX, startZ, player.height), startZ);
+	camera.rotation.set(0, 0, 0);
+	reloadAllChunks();
+
+	// Rewrite every chunk record of `slot`, dropping whatever it held before
+	currentSaveSlot = slot;
+	localStorage.setItem(LAST_SLOT_STORAGE_KEY, slot);
+	return saveWorld(slot, true);
+}
+
+function listSaveSlots() {
+	return openWorldDB()
+		.then((db) =>
+			idbRequest(
+				db.transaction("worlds", "readonly").objectStore("worlds").getAll()
+			)
+		)
+		.then((worlds) =>
+			worlds
+				.map(({ slot, savedAt }) => ({ slot, savedAt }))
+				.sort((a, b) => b.savedAt - a.savedAt)
+		);
+}
+
+function deleteSaveSlot(slot) {
+	return openWorldDB().then((db) => {
+		const tx = db.transaction(["worlds", "chunkEdits"], "readwrite");
+		tx.objectStore("worlds").delete(slot);
+		const editStore = tx.objectStore("chunkEdits");
+		editStore.index("slot").openKeyCursor(IDBKeyRange.only(slot)).onsuccess = (
+			e
+		) => {
+			const cursor = e.target.result;
+			if (!cursor) return;
+			editStore.delete(cursor.primaryKey);
+			cursor.continue();
+		};
+		return idbTransactionDone(tx);
+	});
+}
+
+// Throw away every chunk mesh so the next frame streams them in with current edits
+function reloadAllChunks() {
+	for (const mesh of chunks.values()) {
+		scene.remove(mesh);
+		if (mesh.geometry) mesh.geometry.dispose();
+	}
+	chunks.clear();
+	chunkLoadQueue = [];
+	clearFarTerrain();
+	lastCamChunkX = null;
+	lastCamChunkZ = null;
+}
+
+// Save slot controls in the pause menu
+const saveSlotSelect = pauseMenu.querySelector("#saveSlotSelect");
+const saveSlotName = pauseMenu.querySelector("#saveSlotName");
+const saveStatus = pauseMenu.querySelector("#saveStatus");
+
+function setSaveStatus(text) {
+	saveStatus.textContent = text;
+}
+
+function refreshSaveSlotList() {
+	return listSaveSlots()
+		.then((slots) => {
+			const names = slots.map((s) => s.slot);
+			if (!names.includes(currentSaveSlot)) names.unshift(currentSaveSlot);
+			saveSlotSelect.innerHTML = "";
+			for (const name of names) {
+				const option = document.createElement("option");
+				option.value = name;
+				option.textContent =
+					name === currentSaveSlot ? `${name} (current)` : name;
+				saveSlotSelect.appendChild(option);
+			}
+			saveSlotSelect.value = currentSaveSlot;
+		})
+		.catch((err) => console.warn("Could not list save slots", err));
+}
+
+pauseMenu.querySelector("#saveSlotBtn").addEventListener("click", () => {
+	const slot = saveSlotName.value.trim() || saveSlotSelect.value;
+	if (!slot) return;
+	saveSlotName.value = "";
+	saveWorld(slot).then(refreshSaveSlotList);
+});
+pauseMenu.querySelector("#loadSlotBtn").addEventListener("click", () => {
+	const slot = saveSlotSelect.value;
+	if (!slot) return;
+	// Keep the world we are leaving before replacing it
+	saveWorld(currentSaveSlot)
+		.then(() => loadWorld(slot))
+		.then((found) => {
+			setSaveStatus(found ? `loaded "${slot}"` : `"${slot}" is empty`);
+			return refreshSaveSlotList();
+		})
+		.catch((err) => {
+			console.warn("World load failed", err);
+			setSaveStatus("load failed");
+		});
+});
+pauseMenu.querySelector("#deleteSlotBtn").addEventListener("click", () => {
+	const slot = saveSlotSelect.value;
+	if (!slot || slot === currentSaveSlot) {
+		setSaveStatus("cannot delete the current slot");
+		return;
+	}
+	deleteSaveSlot(slot)
+		.then(() => {
+			setSaveStatus(`deleted "${slot}"`);
+			return refreshSaveSlotList();
+		})
+		.catch((err) => console.warn("Could not delete save slot", err));
+});
+
+// Game mode of the current world
+const gameModeSelect = pauseMenu.querySelector("#gameModeSelect");
+gameModeSelect.addEventListener("change", () =>
+	setGameMode(gameModeSelect.value)
+);
+
+// New World dialog
+const newWorldDialog = pauseMenu.querySelector("#newWorldDialog");
+const newWorldName = pauseMenu.querySelector("#newWorldName");
+const newWorldSeed = pauseMenu.querySelector("#newWorldSeed");
+const newWorldMode = pauseMenu.querySelector("#newWorldMode");
+pauseMenu.querySelector("#newWorldToggleBtn").addEventListener("click", () => {
+	newWorldDialog.style.display =
+		newWorldDialog.style.display === "none" ? "flex" : "none";
+});
+pauseMenu.querySelector("#createWorldBtn").addEventListener("click", () => {
+	const slot = newWorldName.value.trim() || `World ${Date.now() % 100000}`;
+	const seed = parseSeed(newWorldSeed.value);
+	const mode = newWorldMode.value;
+	newWorldName.value = "";
+	newWorldSeed.value = "";
+	newWorldDialog.style.display = "none";
+	// Keep the world we are leaving before replacing it
+	saveWorld(currentSaveSlot)
+		.then(() => createNewWorld(slot, seed, mode))
+		.then((saved) => {
+			// A failed save has already said so
+			if (!saved) return;
+			setSaveStatus(`created "${slot}" (seed ${seed})`);
+			return refreshSaveSlotList();
+		})
+		.catch((err) => {
+			console.warn("World creation failed", err);
+			setSaveStatus("create failed");
+		});
+});
+
+// Periodic autosave while playing, plus a last-chance save when the tab is hidden
+setInterval(() => {
+	if (!isPaused) saveWorld(currentSaveSlot);
+}, AUTOSAVE_INTERVAL_MS);
+document.addEventListener("visibilitychange", () => {
+	if (document.visibilityState === "hidden") saveWorld(currentSaveSlot);
+});
+
+// --- Chunk Add/Remove and Visibility Management ---
+function updateChunks() {
+	// Determine the player's current chunk (chunks stream around the player, not the camera)
+	const camChunkX = Math.floor(player.position.x / CHUNK_SIZE);
+	const camChunkZ = Math.floor(player.position.z / CHUNK_SIZE);
+	const radius = visibleRadius;
+
+	// Gather desired chunks within radius
+	const desired = [];
+	for (let dx = -radius; dx <= radius; dx++) {
+		for (let dz = -radius; dz <= radius; dz++) {
+			if (Math.hypot(dx, dz) <= radius) {
+				desired.push([camChunkX + dx, camChunkZ + dz]);
+			}
+		}
+	}
+	const desiredKeys = new Set(desired.map(([x, z]) => `${x},${z}`));
+
+	// Unload chunks that are no longer within radius
+	for (const [key, mesh] of chunks.entries()) {
+		if (!desiredKeys.has(key)) {
+			scene.remove(mesh);
+			if (mesh.geometry) mesh.geometry.dispose();
+			chunks.delete(key);
+			// Voxels can always be rebuilt from terrain + chunkEdits, and relit
+			chunkData.delete(key);
+			chunkLight.delete(key);
+			despawnLootInChunk(key);
+		}
+	}
 
 	// Sort load queue by proximity to camera
 	chunkLoadQueue = desired.sort((a, b) => {
@@ -1177,6 +2056,76 @@ function updateChunks() {
 
 	// Start processing the queue
 	processChunkLoadQueue();
+	updateFarTerrain();
+}
+
+// --- Far Terrain ---
+// Heightmap tiles (see farTerrain.js) out to FAR_TERRAIN_RADIUS, built a few
+// per frame nearest first. Tiles are keyed so they only rebuild when the
+// voxel chunks they make room for change.
+let farTerrainEnabled = true;
+const farTileMeshes = new Map(); // tile key -> mesh
+let farTileQueue = [];
+const FAR_TILES_PER_FRAME = 2;
+const farTerrainMaterial = addLitMaterial(
+	new THREE.MeshStandardMaterial({
+		vertexColors: true,
+		// Skirts face either way
+		side: THREE.DoubleSide
+	})
+);
+
+function removeFarTile(key) {
+	const mesh = farTileMeshes.get(key);
+	scene.remove(mesh);
+	mesh.geometry.dispose();
+	farTileMeshes.delete(key);
+}
+
+// Work out the tiles around the player and queue the missing ones
+function updateFarTerrain() {
+	const camChunkX = Math.floor(player.position.x / CHUNK_SIZE);
+	const camChunkZ = Math.floor(player.position.z / CHUNK_SIZE);
+	const tiles = farTerrainEnabled
+		? farTiles(camChunkX, camChunkZ, visibleRadius, FAR_TERRAIN_RADIUS)
+		: [];
+	const keys = new Set(tiles.map((tile) => tile.key));
+	for (const key of farTileMeshes.keys()) {
+		if (!keys.has(key)) removeFarTile(key);
+	}
+	const distance = (tile) =>
+		Math.hypot(
+			tile.x + tile.size / 2 - camChunkX,
+			tile.z + tile.size / 2 - camChunkZ
+		);
+	farTileQueue = tiles
+		.filter((tile) => !farTileMeshes.has(tile.key))
+		.sort((a, b) => distance(a) - distance(b));
+}
+
+// Drop every far tile, e.g. when the terrain or the block colours changed
+function clearFarTerrain() {
+	for (const key of [...farTileMeshes.keys()]) removeFarTile(key);
+	farTileQueue = [];
+}
+
+function processFarTileQueue() {
+	for (const tile of farTileQueue.splice(0, FAR_TILES_PER_FRAME)) {
+		const { positions, normals, colors, indices } = buildFarTile(
+			terrain,
+			tile,
+			(id) => blockSurfaceColors[id]
+		);
+		const geometry = new THREE.BufferGeometry();
+		geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+		geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+		geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3, true));
+		geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+		geometry.computeBoundingSphere();
+		const mesh = new THREE.Mesh(geometry, farTerrainMaterial);
+		scene.add(mesh);
+		farTileMeshes.set(tile.key, mesh);
+	}
 }
 
 // --- Worker Pool & Parallel Chunk Meshing ---
@@ -1187,14 +2136,13 @@ const WORKER_POOL_SIZE = Math.max(
 const pendingChunkJobs = new Map();
 const chunkPool = [];
 const workerPool = [];
-let chunkWorkerBlobURL = null;
 
 // Track max concurrency and timing for CPU load
 let maxConcurrentWorkers = Math.max(
 	2,
 	Math.min(WORKER_POOL_SIZE, navigator.hardwareConcurrency || 4)
 );
-let chunkJobQueue = []; // {chunkX, chunkZ, resolve, reject, editObj}
+let chunkJobQueue = []; // {chunkX, chunkZ, chunkKey, resolve, reject, editObj}
 let outstandingJobs = 0;
 let recentJobTimes = []; // [ms,ms,...] for dynamic load management
 
@@ -1218,178 +2166,11 @@ function updateJobTimings(time) {
 	}
 }
 
-// Create a worker "chunk mesher" from an inline Blob
-function getChunkWorkerBlob() {
-	return new Blob(
-		[
-			`
-    // Worker: chunk geometry builder
-    self.importScripts();
-    class SimplexNoise {
-        constructor(seed) {
-            this.grad3 = new Float32Array([
-                1,1,0,-1,1,0,1,-1,0,-1,-1,0,
-                1,0,1,-1,0,1,1,0,-1,-1,0,-1,
-                0,1,1,0,-1,1,0,1,-1,0,-1,-1]);
-            this.p = this.buildPermutationTable(seed);
-            this.perm = new Uint8Array(512);
-            this.permMod12 = new Uint8Array(512);
-            for (let i=0;i<512;i++) {
-                this.perm[i]=this.p[i&255];
-                this.permMod12[i] = this.perm[i] % 12;
-            }
-        }
-        buildPermutationTable(seed) {
-            let p = new Uint8Array(256);
-            for (let i=0;i<256;i++) p[i]=i;
-            let random = (() => {
-                let s = (seed||1337);
-                return () => (s=Math.imul(16807,s)%2147483647)/2147483647;
-            })();
-            for (let i=255;i>0;i--) {
-                const r = Math.floor(random()*(i+1));
-                [p[i],p[r]] = [p[r],p[i]];
-            }
-            return p;
-        }
-        noise2D(xin, yin) {
-          let permMod12 = this.permMod12, perm = this.perm, grad3 = this.grad3;
-          let n0 = 0, n1 = 0, n2 = 0;
-          let F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
-          let s = (xin + yin) * F2;
-          let i = Math.floor(xin + s);
-          let j = Math.floor(yin + s);
-          let G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
-          let t = (i + j) * G2;
-          let X0 = i - t;
-          let Y0 = j - t;
-          let x0 = xin - X0;
-          let y0 = yin - Y0;
-          let i1, j1;
-          if(x0 > y0) {i1=1; j1=0;} else {i1=0;j1=1;}
-          let x1 = x0 - i1 + G2;
-          let y1 = y0 - j1 + G2;
-          let x2 = x0 - 1.0 + 2.0 * G2;
-          let y2 = y0 - 1.0 + 2.0 * G2;
-          let ii = i & 255;
-          let jj = j & 255;
-          let gi0 = permMod12[ii + perm[jj]] * 3;
-          let gi1 = permMod12[ii + i1 + perm[jj + j1]] * 3;
-          let gi2 = permMod12[ii + 1 + perm[jj + 1]] * 3;
-          let t0 = 0.5 - x0 * x0 - y0 * y0;
-          if(t0 >= 0) {
-            t0 *= t0;
-            n0 = t0 * t0 * (grad3[gi0] * x0 + grad3[gi0 + 1] * y0);
-          }
-          let t1 = 0.5 - x1 * x1 - y1 * y1;
-          if(t1 >= 0) {
-            t1 *= t1;
-            n1 = t1 * t1 * (grad3[gi1] * x1 + grad3[gi1 + 1] * y1);
-          }
-          let t2 = 0.5 - x2 * x2 - y2 * y2;
-          if(t2 >= 0) {
-            t2 *= t2;
-            n2 = t2 * t2 * (grad3[gi2] * x2 + grad3[gi2 + 1] * y2);
-          }
-          return 70.0 * (n0 + n1 + n2);
-        }
-    }
-    let simplex = new SimplexNoise(42);
-    let CHUNK_SIZE, CHUNK_HEIGHT;
-
-    function getHeight(x, z) {
-        let base = simplex.noise2D(x * 0.006, z * 0.006) * 1.8
-            + simplex.noise2D((x + 500) * 0.013, (z - 888) * 0.013) * 0.4;
-        base = base * 8 + 50;
-        let mountainNoise = simplex.noise2D(x * 0.0025 + 3000, z * 0.0025 - 735);
-        let mountainHeight = 0;
-        if (mountainNoise > 0.52) {
-            let m = (mountainNoise - 0.52) * 1.9;
-            m = Math.min(m, 1);
-            let detail = simplex.noise2D(x * 0.022, z * 0.022) * 0.7;
-            let cliff = Math.pow(m, 2.6);
-            mountainHeight = cliff * 38 + detail * 2;
-            base += mountainHeight;
-        }
-        let riverNoise = simplex.noise2D(x * 0.002, 9999 + z * 0.002);
-        let riverBand = Math.abs(riverNoise);
-        if (riverBand < 0.15) {
-            let t = (riverBand / 0.15); 
-            t = Math.pow(t, 1.7); 
-            let riverDepth = (1 - t) * 24 + simplex.noise2D(x * 0.032, z * 0.032) * 2.5;
-            base -= riverDepth;
-        }
-        return Math.floor(Math.max(0, Math.min(base, CHUNK_HEIGHT - 1)));
-    }
-    function blockKey(x,y,z) { return x+','+y+','+z; }
-    function hasBlock(x, y, z, editedBlocks) {
-        if (y < 0 || y >= CHUNK_HEIGHT) return false;
-        const key = blockKey(x, y, z);
-        if (editedBlocks && key in editedBlocks) return editedBlocks[key];
-        return y <= getHeight(x, z);
-    }
-    // Helper: returns true only if block (x,y,z) is natural and unmodified by the player
-    function isNaturalSolidBlock(x, y, z, editedBlocks) {
-        if (y < 0 || y >= CHUNK_HEIGHT) return false;
-        const key = blockKey(x, y, z);
-        if (editedBlocks && key in editedBlocks) return false; // user modified – not natural
-        return y <= getHeight(x, z);
-    }
-    function createFace(x, y, z, normal) {
-        return {pos: [x, y, z], normal: normal};
-    }
-
-    onmessage = function(e) {
-        const { chunkX, chunkZ, chunkSize, chunkHeight, editedBlocks } = e.data;
-        CHUNK_SIZE = chunkSize;
-        CHUNK_HEIGHT = chunkHeight;
-
-        const faces = [];
-        const startX = chunkX * CHUNK_SIZE;
-        const startZ = chunkZ * CHUNK_SIZE;
-
-        for (let x = 0; x < CHUNK_SIZE; x++) {
-            for (let z = 0; z < CHUNK_SIZE; z++) {
-                const worldX = startX + x;
-                const worldZ = startZ + z;
-                let height = CHUNK_HEIGHT - 1;
-                while (height >= 0 && !hasBlock(worldX, height, worldZ, editedBlocks)) height--;
-                for (let y = 0; y <= height; y++) {
-                    if (!hasBlock(worldX, y, worldZ, editedBlocks)) continue;
-                    const faceDirs = [
-                        [ 0,  1,  0], [ 0, -1,  0],
-                        [ 1,  0,  0], [-1,  0,  0],
-                        [ 0,  0,  1], [ 0,  0, -1]
-                    ];
-                    const currIsNatural = isNaturalSolidBlock(worldX, y, worldZ, editedBlocks);
-                    for (const normal of faceDirs) {
-                        const nx = worldX + normal[0],
-                            ny = y      + normal[1],
-                            nz = worldZ + normal[2];
-                        const neighborExists = hasBlock(nx, ny, nz, editedBlocks);
-                        const neighborIsNatural = isNaturalSolidBlock(nx, ny, nz, editedBlocks);
-                        // Draw face if neighbor is air OR either block was modified by player
-                        if (!neighborExists || !(currIsNatural && neighborIsNatural)) {
-                            faces.push(createFace(worldX, y, worldZ, normal));
-                        }
-                    }
-                }
-            }
-        }
-        postMessage({faces});
-    };
-    `
-		],
-		{ type: "application/javascript" }
-	);
-}
-if (!chunkWorkerBlobURL) {
-	chunkWorkerBlobURL = URL.createObjectURL(getChunkWorkerBlob());
-}
-
-// Create pool of workers
+// Create pool of module workers; they share terrain.js with the main thread
 for (let i = 0; i < WORKER_POOL_SIZE; ++i) {
-	const worker = new Worker(chunkWorkerBlobURL);
+	const worker = new Worker(new URL("./chunkWorker.js", import.meta.url), {
+		type: "module"
+	});
 	workerPool.push(worker);
 	chunkPool.push({ worker, busy: false });
 }
@@ -1433,12 +2214,24 @@ function performChunkJob(
 ) {
 	outstandingJobs++;
 	const t0 = performance.now();
+	// Copies of the chunk's and its neighbours' voxels and light (null if not
+	// loaded yet), taken at dispatch time so they include every edit made while queued
+	const voxels = chunkData.get(chunkKey)?.slice() || null;
+	const light = chunkLight.get(chunkKey)?.slice() || null;
+	const neighbors = NEIGHBOR_OFFSETS.map(
+		([dx, dz]) =>
+			chunkData.get(`${chunkX + dx},${chunkZ + dz}`)?.slice() || null
+	);
+	const neighborLights = NEIGHBOR_OFFSETS.map(
+		([dx, dz]) =>
+			chunkLight.get(`${chunkX + dx},${chunkZ + dz}`)?.slice() || null
+	);
 	poolWorker.busy = true;
 	poolWorker.worker.onmessage = function (event) {
 		outstandingJobs--;
 		poolWorker.busy = false;
 		updateJobTimings(performance.now() - t0);
-		resolve(event.data.faces);
+		resolve(event.data);
 		setTimeout(tryDispatchQueuedJobs, 0);
 	};
 	poolWorker.worker.onerror = function (err) {
@@ -1447,19 +2240,29 @@ function performChunkJob(
 		reject(err);
 		setTimeout(tryDispatchQueuedJobs, 0);
 	};
-	poolWorker.worker.postMessage({
-		chunkX,
-		chunkZ,
-		chunkSize: CHUNK_SIZE,
-		chunkHeight: CHUNK_HEIGHT,
-		editedBlocks: editObj
-	});
+	const transfer = [voxels, light, ...neighbors, ...neighborLights]
+		.filter(Boolean)
+		.map((array) => array.buffer);
+	poolWorker.worker.postMessage(
+		{
+			chunkX,
+			chunkZ,
+			seed: worldSeed,
+			voxels,
+			light,
+			neighbors,
+			neighborLights,
+			editedBlocks: editObj
+		},
+		transfer
+	);
 }
 
 // --- Main: Overwrite requestChunkGeometry with queue-aware system
 function requestChunkGeometry(chunkX, chunkZ, chunkKey) {
 	return new Promise((resolve, reject) => {
-		// Collect edits from this chunk and neighbors — so culling at boundaries can see edits
+		// Collect edits from this chunk and neighbors — so chunks and borders the
+		// worker has to generate itself include them
 		const editObj = {};
 		for (const [dx, dz] of [
 			[0, 0],
@@ -1477,42 +2280,49 @@ function requestChunkGeometry(chunkX, chunkZ, chunkKey) {
 	});
 }
 
-// Store user-placed/removed blocks "edits" for each chunk, keys: blockKey(x,y,z) -> Boolean
+// Store user-placed/removed blocks "edits" for each chunk, keys: blockKey(x,y,z) -> block id (AIR when removed)
 const chunkEdits = new Map();
 function getChunkEditObj(chunkX, chunkZ) {
 	const key = `${chunkX},${chunkZ}`;
 	return chunkEdits.get(key) || {};
 }
-function recordChunkEdit(x, y, z, present) {
+function recordChunkEdit(x, y, z, id) {
 	const chunkX = Math.floor(x / CHUNK_SIZE);
 	const chunkZ = Math.floor(z / CHUNK_SIZE);
 	const editKey = `${chunkX},${chunkZ}`;
 	if (!chunkEdits.has(editKey)) chunkEdits.set(editKey, {});
-	chunkEdits.get(editKey)[blockKey(x, y, z)] = present;
+	chunkEdits.get(editKey)[blockKey(x, y, z)] = id;
+	dirtyEditChunks.add(editKey);
 }
 
 // --- Geometry Conversion (Worker output to BufferGeometry on main thread) --
-function facesToBufferGeometry(faces) {
-	const faceGeos = [];
-	for (let f of faces) {
-		const {
-			pos: [x, y, z],
-			normal: [nx, ny, nz]
-		} = f;
-		const plane = new THREE.PlaneGeometry(1, 1);
-		const quat = new THREE.Quaternion();
-		quat.setFromUnitVectors(
-			new THREE.Vector3(0, 0, 1),
-			new THREE.Vector3(nx, ny, nz)
-		);
-		plane.applyQuaternion(quat);
-		plane.translate(x + 0.5 + nx * 0.5, y + 0.5 + ny * 0.5, z + 0.5 + nz * 0.5);
-		faceGeos.push(plane);
-	}
-	if (!faceGeos.length) return null;
-	// Merge individual face planes and weld vertices to reduce redundant geometry
-	let geometry = mergeBufferGeometries(faceGeos, false);
-	geometry = mergeVertices(geometry);
+// The worker already greedy-merged the faces (see mesher.js) and transferred typed
+// arrays, so they are wrapped as-is. Each group's materialIndex is the BLOCK_TYPES
+// id, matching the blockMaterials array.
+function meshDataToBufferGeometry({
+	positions,
+	normals,
+	uvs,
+	colors,
+	blockLight,
+	indices,
+	groups
+}) {
+	const geometry = new THREE.BufferGeometry();
+	geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+	geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+	// In blocks; the block shaders repeat each face's atlas tile per block
+	geometry.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
+	// Light levels as 0..255, read by the shaders as 0..1
+	geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3, true));
+	geometry.setAttribute(
+		"blockLight",
+		new THREE.BufferAttribute(blockLight, 1, true)
+	);
+	geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+	for (const { start, count, materialIndex } of groups) {
+		geometry.addGroup(start, count, materialIndex);
+	}
 	geometry.computeBoundingSphere();
 	return geometry;
 }
@@ -1538,25 +2348,23 @@ if (isMobile && window.nipplejs) {
 	});
 	document.getElementById("jumpBtn").addEventListener("touchstart", (e) => {
 		e.preventDefault();
+		handleJumpPress();
 		mobileJump = true;
 	});
 	document.getElementById("removeBtn").addEventListener("touchstart", (e) => {
 		e.preventDefault();
-		if (!isPaused && highlightBlock) {
-			setBlock(...highlightBlock, false);
-			highlightBlock = null;
-		}
+		if (!isPaused && !isDead) startBreaking();
 	});
+	// Long-press to break, like holding the mouse button
+	for (const type of ["touchend", "touchcancel"]) {
+		document.getElementById("removeBtn").addEventListener(type, (e) => {
+			e.preventDefault();
+			stopBreaking();
+		});
+	}
 	document.getElementById("placeBtn").addEventListener("touchstart", (e) => {
 		e.preventDefault();
-		if (!isPaused) {
-			const targeted = getTargetedBlock();
-			if (targeted && targeted.placePos) {
-				const [px, py, pz] = targeted.placePos;
-				setBlock(px, py, pz, true);
-				highlightBlock = null;
-			}
-		}
+		if (!isPaused && !isDead) useSelectedItem();
 	});
 	// Touch-to-look on right half
 	let lookTouchId = null,
@@ -1599,26 +2407,58 @@ if (isMobile && window.nipplejs) {
 	});
 }
 
-// --- Animation and Main Loop ---
-let lastFrameTime = 0;
-function animate(now) {
-	requestAnimationFrame(animate);
+// --- Player Physics (fixed timestep) ---
+// Physics runs in PHYSICS_STEP increments; rendering interpolates between the
+// last two steps so motion looks smooth at any refresh rate.
+const MAX_FRAME_DELTA = 0.25; // seconds; longer frames (tab switches) are dropped
+let physicsAccumulator = 0;
+let isSprinting = false;
+// Camera lag (blocks) after an automatic step-up, eased out over a few frames
+let stepCameraOffset = 0;
+
+// Crouching lowers the eye and keeps the feet in place; standing back up
+// waits until there is headroom
+function updateCrouch(wantsCrouch) {
+	const targetHeight = wantsCrouch ? CROUCH_HEIGHT : STANDING_HEIGHT;
+	const change = targetHeight - player.height;
+	if (change === 0) return;
+	if (change > 0) {
+		const box = player.getBox();
+		if (sweepAxis(box, 1, change, isSolidBlock) < change) return;
+	}
+	player.height = targetHeight;
+	player.position.y += change;
+}
 
-	// -- Cap to display refresh rate: --
-	// "now" is a high-resolution timestamp provided by requestAnimationFrame
-	// Don't render more than 1 frame per ~16.7ms (for 60Hz) or ~8.33ms (for 120Hz);
-	// But requestAnimationFrame already only triggers once per display refresh!
-	// So to "cap" to refresh, just call requestAnimationFrame *once* per render.
-	// We also ensure no internal setTimeout/setInterval are used for rendering.
+// Advance the player by one fixed step of `dt` seconds
+function stepPlayerPhysics(dt) {
+	// In free-fly the movement keys steer the camera, not the player
+	const controlsPlayer = cameraRig.mode !== "free";
+	// Ctrl descends while flying instead of crouching
+	updateCrouch(controlsPlayer && keys.crouch && !player.flying);
+	const crouching = player.height < STANDING_HEIGHT;
+	// How much of the player is in water: feet and head count half each
+	const feetInWater = isWaterAt(
+		player.position.x,
+		player.position.y - player.height + 0.1,
+		player.position.z
+	);
+	const headInWater = isWaterAt(
+		player.position.x,
+		player.position.y - 0.1,
+		player.position.z
+	);
+	const submerged = (feetInWater ? 0.5 : 0) + (headInWater ? 0.5 : 0);
 
-	if (!isPaused) {
-		// movement vectors
-		camera.getWorldDirection(forwardVec);
-		forwardVec.y = 0;
-		forwardVec.normalize();
-		rightVec.crossVectors(forwardVec, camera.up).normalize();
+	// movement vectors
+	camera.getWorldDirection(forwardVec);
+	forwardVec.y = 0;
+	forwardVec.normalize();
+	rightVec.crossVectors(forwardVec, camera.up).normalize();
+	if (controlsPlayer) player.yaw = Math.atan2(-forwardVec.x, -forwardVec.z);
 
-		moveDirVec.set(0, 0, 0);
+	moveDirVec.set(0, 0, 0);
+	if (controlsPlayer) {
 		if (keys.forward) moveDirVec.add(forwardVec);
 		if (keys.backward) moveDirVec.sub(forwardVec);
 		if (keys.right) moveDirVec.add(rightVec);
@@ -1630,46 +2470,149 @@ function animate(now) {
 			if (mobileDirection.x)
 				moveDirVec.add(rightVec.clone().multiplyScalar(mobileDirection.x));
 		}
-
-		if (moveDirVec.lengthSq() > 0) {
-			moveDirVec.normalize().multiplyScalar(moveSpeed);
-			// X axis
-			tempPosVec.copy(camera.position).addScaledVector(moveDirVec, 1);
-			tempPosVec.z = camera.position.z;
-			if (!checkCollision(tempPosVec)) camera.position.x = tempPosVec.x;
-			// Z axis
-			tempPosVec.copy(camera.position).addScaledVector(moveDirVec, 1);
-			tempPosVec.x = camera.position.x;
-			if (!checkCollision(tempPosVec)) camera.position.z = tempPosVec.z;
+	}
+	isSprinting = controlsPlayer && keys.sprint && keys.forward && !crouching;
+	if (moveDirVec.lengthSq() > 0) {
+		let speed = moveSpeed;
+		if (crouching) speed *= CROUCH_FACTOR;
+		else if (isSprinting) speed *= SPRINT_FACTOR;
+		if (player.flying) speed *= FLY_SPEED_FACTOR;
+		else if (feetInWater) speed *= WATER_MOVE_FACTOR;
+		moveDirVec.normalize().multiplyScalar(speed);
+	}
+	player.velocity.x = moveDirVec.x;
+	player.velocity.z = moveDirVec.z;
+
+	const wantsJump = controlsPlayer && (keys.jump || (isMobile && mobileJump));
+	if (player.flying) {
+		// Creative flight: no gravity, Space rises and Ctrl sinks
+		const descend = controlsPlayer && keys.crouch;
+		player.velocity.y =
+			(Number(wantsJump) - Number(descend)) * FLY_VERTICAL_SPEED;
+		mobileJump = false;
+	} else if (submerged > 0) {
+		// Swim: hold jump to rise, otherwise sink slowly
+		player.velocity.y -= gravity * (1 - submerged * WATER_BUOYANCY) * dt;
+		player.velocity.y *= Math.exp(-WATER_DRAG * dt);
+		if (wantsJump) {
+			player.velocity.y = Math.min(
+				player.velocity.y + swimAcceleration * dt,
+				maxSwimSpeed
+			);
+			// Climb out onto the shore when swimming against it at the surface
+			if (player.blockedHorizontally && !headInWater) {
+				player.velocity.y = jumpStrength * 0.6;
+			}
+			mobileJump = false;
 		}
-
+	} else {
 		// Jump: keyboard or mobile
-		if ((keys.jump || (isMobile && mobileJump)) && onGround) {
-			velocity.y = jumpStrength;
-			onGround = false;
+		if (wantsJump && player.onGround) {
+			player.velocity.y = jumpStrength;
+			player.onGround = false;
 			mobileJump = false;
 		}
+		player.velocity.y -= gravity * dt;
+	}
 
-		velocity.y -= gravity;
-		// Y axis
-		const newY = camera.position.y + velocity.y;
-		tempPosVec.copy(camera.position);
-		tempPosVec.y = newY;
-		if (!checkCollision(tempPosVec)) {
-			camera.position.y = newY;
-			onGround = false;
-		} else {
-			if (velocity.y > 0) {
-				velocity.y = 0;
-			} else {
-				const footY = newY - playerHeight;
-				const blockY = Math.floor(footY + 1e-4);
-				camera.position.y = blockY + 1 + playerHeight;
-				velocity.y = 0;
-				onGround = true;
-			}
-		}
+	const box = player.getBox();
+	let delta = [
+		player.velocity.x * dt,
+		player.velocity.y * dt,
+		player.velocity.z * dt
+	];
+	if (crouching && player.onGround)
+		delta = limitToSupport(box, delta, isSolidBlock);
+	const { moved, hit, stepped } = moveBoxWithStepUp(
+		box,
+		delta,
+		player.onGround ? MAX_STEP_HEIGHT : 0,
+		isSolidBlock
+	);
+	stepCameraOffset -= stepped;
+	player.position.x += moved[0];
+	player.position.y += moved[1];
+	player.position.z += moved[2];
+	player.blockedHorizontally = hit[0] || hit[2];
+	player.onGround = hit[1] && player.velocity.y < 0;
+	// Touching down ends creative flight
+	if (player.onGround) player.flying = false;
+	if (hit[1]) player.velocity.y = 0;
+	if (isCreative()) return;
+
+	// Landing hurts in proportion to the impact speed; water breaks the fall
+	if (player.onGround && !feetInWater) {
+		hurtPlayer(fallDamage(-delta[1] / dt, gravity), "fall");
+	}
+	const died = vitals.tick(dt, {
+		sprinting: isSprinting && moveDirVec.lengthSq() > 0,
+		headInWater
+	});
+	if (died) setDead(true);
+}
 
+// Run as many fixed steps as `delta` seconds cover and place the camera
+// between the last two of them
+function updatePlayerPhysics(delta) {
+	physicsAccumulator += Math.min(delta, MAX_FRAME_DELTA);
+	while (physicsAccumulator >= PHYSICS_STEP) {
+		player.previousPosition.copy(player.position);
+		stepPlayerPhysics(PHYSICS_STEP);
+		physicsAccumulator -= PHYSICS_STEP;
+	}
+	player.interpolate(physicsAccumulator / PHYSICS_STEP);
+	// Ease the view up after step-ups instead of snapping a block at once
+	stepCameraOffset *= Math.exp(-12 * delta);
+	player.renderPosition.y += stepCameraOffset;
+	cameraRig.update(delta, player.renderPosition, getFreeFlyInput());
+	updatePlayerModel();
+
+	const targetFov = BASE_FOV + (isSprinting ? SPRINT_FOV_KICK : 0);
+	if (Math.abs(camera.fov - targetFov) > 0.01) {
+		camera.fov += (targetFov - camera.fov) * Math.min(1, 10 * delta);
+		camera.updateProjectionMatrix();
+		fitShadowCascades();
+	}
+}
+
+// Free-fly camera input from the movement keys (Space up, Ctrl down, Shift fast)
+function getFreeFlyInput() {
+	let forward = Number(keys.forward) - Number(keys.backward);
+	let right = Number(keys.right) - Number(keys.left);
+	if (isMobile) {
+		forward += mobileDirection.y;
+		right += mobileDirection.x;
+	}
+	return {
+		forward,
+		right,
+		up: Number(keys.jump) - Number(keys.crouch),
+		fast: keys.sprint
+	};
+}
+
+// Move the player without interpolating from the old position
+function teleportPlayer(x, y, z) {
+	player.teleport(x, y, z);
+	if (cameraRig.mode !== "free") camera.position.copy(player.position);
+	physicsAccumulator = 0;
+	stepCameraOffset = 0;
+}
+
+// --- Animation and Main Loop ---
+let lastFrameTime = 0;
+function animate(now) {
+	requestAnimationFrame(animate);
+
+	// -- Cap to display refresh rate: --
+	// "now" is a high-resolution timestamp provided by requestAnimationFrame
+	// Don't render more than 1 frame per ~16.7ms (for 60Hz) or ~8.33ms (for 120Hz);
+	// But requestAnimationFrame already only triggers once per display refresh!
+	// So to "cap" to refresh, just call requestAnimationFrame *once* per render.
+	// We also ensure no internal setTimeout/setInterval are used for rendering.
+
+	if (!isPaused && !isDead && !isScreenOpen()) {
+		updatePlayerPhysics((now - lastFrameTime) / 1000);
 		// NEW: Get target block with adjacent air for placement
 		const targeted = getTargetedBlock();
 		if (targeted) {
@@ -1682,10 +2625,11 @@ function animate(now) {
 			highlightBlock = null;
 			highlightNormal = null;
 		}
+		updateMining((now - lastFrameTime) / 1000);
 
 		// Only rebuild chunk set when player crosses chunk boundary
-		const camChunkX = Math.floor(camera.position.x / CHUNK_SIZE);
-		const camChunkZ = Math.floor(camera.position.z / CHUNK_SIZE);
+		const camChunkX = Math.floor(player.position.x / CHUNK_SIZE);
+		const camChunkZ = Math.floor(player.position.z / CHUNK_SIZE);
 		if (camChunkX !== lastCamChunkX || camChunkZ !== lastCamChunkZ) {
 			lastCamChunkX = camChunkX;
 			lastCamChunkZ = camChunkZ;
@@ -1694,7 +2638,9 @@ function animate(now) {
 	} else {
 		// When paused, hide highlight/crosshair
 		highlightMesh.visible = false;
+		stopBreaking();
 	}
+	updateVitalsUI();
 
 	// Frustum culling: hide chunks not in camera view
 	camera.updateMatrixWorld();
@@ -1738,8 +2684,20 @@ function animate(now) {
 		}
 	}
 
+	// Shadow casters culled from view still render into the shadow maps, as
+	// their shadows can fall into view from behind the camera or a hill
+	for (const mesh of chunks.values()) {
+		mesh.castShadow = isShadowCaster(mesh);
+		if (mesh.castShadow && !mesh.visible) {
+			mesh.visible = true;
+			mesh.layers.set(SHADOW_CASTER_LAYER);
+		} else {
+			mesh.layers.set(0);
+		}
+	}
+
 	// Step sound effects
-	if (moveDirVec.lengthSq() > 0 && onGround) {
+	if (moveDirVec.lengthSq() > 0 && player.onGround) {
 		stepTimer += (now - lastFrameTime) / 1000;
 		if (stepTimer > 0.4) {
 			playSound("step");
@@ -1747,11 +2705,17 @@ function animate(now) {
 		}
 	}
 
-	// Update skybox position to follow camera
-	skybox.position.copy(camera.position);
+	// World clock, sky and lights
+	if (!isPaused) worldClock.tick((now - lastFrameTime) / 1000);
+	updateSky();
+	// Shadow cascades follow the camera
+	if (csm) csm.update();
+
+	processFarTileQueue();
 
-	// Update floating items
-	updateItems((now - lastFrameTime) / 1000);
+	// Item physics and pickup
+	if (!isPaused) updateItems((now - lastFrameTime) / 1000);
+	if (!isPaused) updateFluids((now - lastFrameTime) / 1000);
 
 	renderer.render(scene, camera);
 	lastFrameTime = now;
@@ -1774,57 +2738,131 @@ function findSafeSpawnY(x, z, height) {
 	}
 	return maxY;
 }
-const safeY = findSafeSpawnY(startX, startZ, playerHeight);
-camera.position.set(startX, safeY, startZ);
+const safeY = findSafeSpawnY(startX, startZ, player.height);
+teleportPlayer(startX, safeY, startZ);
+// Where the player respawns: [x, z], with the height found on respawn
+let spawnPoint = [startX, startZ];
 
 // --- Enhanced Terrain & Biomes ---
-const BIOME_TYPES = {
-	FOREST: { color: 0x228b22, name: "Forest" },
-	DESERT: { color: 0xffd700, name: "Desert" },
-	SNOW: { color: 0xffffff, name: "Snow" },
-	STONE: { color: 0x696969, name: "Stone" },
-	WATER: { color: 0x4169e1, name: "Water" }
-};
-
 function getBiome(x, z) {
-	const temp = simplex.noise2D(x * 0.003, z * 0.003);
-	const humidity = simplex.noise2D(x * 0.004 + 1000, z * 0.004 + 1000);
-
-	if (temp < -0.3) return BIOME_TYPES.SNOW;
-	if (humidity < -0.2) return BIOME_TYPES.DESERT;
-	if (temp > 0.4 && humidity < 0.1) return BIOME_TYPES.STONE;
-	return BIOME_TYPES.FOREST;
-}
-
-function getBlockMaterial(x, y, z) {
-	const biome = getBiome(x, z);
-	const height = getHeight(x, z);
-
-	if (y <= height - 5) return blockMaterials.stone;
-	if (y === height && biome === BIOME_TYPES.DESERT) return blockMaterials.sand;
-	if (y === height && biome === BIOME_TYPES.SNOW) return blockMaterials.snow;
-	if (y < height) return blockMaterials.stone;
-	return blockMaterials.grass;
-}
-
-// --- Skybox Setup ---
-function createSkybox() {
-	const skyboxGeometry = new THREE.BoxGeometry(800, 800, 800);
-	const skyboxMaterials = [
-		new THREE.MeshBasicMaterial({ color: 0x87ceeb }), // right
-		new THREE.MeshBasicMaterial({ color: 0x87ceeb }), // left
-		new THREE.MeshBasicMaterial({ color: 0x87ceeb }), // top
-		new THREE.MeshBasicMaterial({ color: 0x4682b4 }), // bottom
-		new THREE.MeshBasicMaterial({ color: 0x87ceeb }), // front
-		new THREE.MeshBasicMaterial({ color: 0x87ceeb }) // back
-	];
-	skyboxMaterials.forEach((material) => (material.side = THREE.BackSide));
-	const skybox = new THREE.Mesh(skyboxGeometry, skyboxMaterials);
-	scene.add(skybox);
-	return skybox;
+	return terrain.getBiome(x, z);
+}
+
+// --- Sky Setup ---
+// Radius of the sky dome and of the sun and moon's path around the camera
+const SKY_RADIUS = 400;
+
+/**
+ * Sky dome following the camera: a vertical gradient from the horizon colour
+ * to the top colour, with a glow around the sun. Drawn first without depth so
+ * the terrain always covers it.
+ */
+function createSkyDome() {
+	const material = new THREE.ShaderMaterial({
+		uniforms: {
+			topColor: { value: new THREE.Color() },
+			horizonColor: { value: new THREE.Color() },
+			sunColor: { value: new THREE.Color() },
+			sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+			sunGlow: { value: 0 }
+		},
+		vertexShader: `
+			varying vec3 vDirection;
+			void main() {
+				vDirection = position;
+				gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+			}`,
+		fragmentShader: `
+			uniform vec3 topColor;
+			uniform vec3 horizonColor;
+			uniform vec3 sunColor;
+			uniform vec3 sunDirection;
+			uniform float sunGlow;
+			varying vec3 vDirection;
+			void main() {
+				vec3 direction = normalize(vDirection);
+				float height = direction.y;
+				vec3 color = height > 0.0
+					? mix(horizonColor, topColor, pow(height, 0.5))
+					: horizonColor * (1.0 + height * 0.5);
+				float glow = pow(max(dot(direction, sunDirection), 0.0), 8.0);
+				gl_FragColor = vec4(color + sunColor * glow * sunGlow, 1.0);
+			}`,
+		side: THREE.BackSide,
+		depthTest: false,
+		depthWrite: false
+	});
+	const dome = new THREE.Mesh(
+		new THREE.SphereGeometry(SKY_RADIUS, 32, 16),
+		material
+	);
+	dome.renderOrder = -2;
+	dome.frustumCulled = false;
+	scene.add(dome);
+	return dome;
+}
+
+// Sun or moon disc, placed on the sky dome by updateSky
+function createSkyDisc(radius, color) {
+	const disc = new THREE.Mesh(
+		new THREE.CircleGeometry(radius, 24),
+		new THREE.MeshBasicMaterial({
+			color,
+			fog: false,
+			depthTest: false,
+			depthWrite: false
+		})
+	);
+	disc.renderOrder = -1;
+	scene.add(disc);
+	return disc;
 }
 
-const skybox = createSkybox();
+const skyDome = createSkyDome();
+const sunDisc = createSkyDisc(20, 0xfff3c0);
+const moonDisc = createSkyDisc(14, 0xdfe6f0);
+
+/** Apply the world clock's time of day to the sky, fog and lights */
+function updateSky() {
+	const sky = skyStateAt(worldClock.timeOfDay);
+	const uniforms = skyDome.material.uniforms;
+	uniforms.topColor.value.setRGB(...sky.skyTop);
+	uniforms.horizonColor.value.setRGB(...sky.horizon);
+	uniforms.sunColor.value.setRGB(...sky.sunColor);
+	uniforms.sunDirection.value.set(...sky.sunDirection);
+	uniforms.sunGlow.value = sky.sunGlow;
+	skyColor.setRGB(...sky.horizon);
+	if (scene.fog) scene.fog.color.copy(skyColor);
+	skyDome.position.copy(camera.position);
+
+	const place = (disc, direction) => {
+		disc.position.set(...direction).multiplyScalar(SKY_RADIUS * 0.95);
+		disc.position.add(camera.position);
+		disc.lookAt(camera.position);
+		// Below the horizon it would show through the bottom of the dome
+		disc.visible = direction[1] > -0.1;
+	};
+	place(sunDisc, sky.sunDirection);
+	place(moonDisc, sky.moonDirection);
+
+	// Directional lights shine from their position towards the origin
+	sun.position.set(...sky.sunDirection).multiplyScalar(LIGHT_DISTANCE);
+	sun.color.setRGB(...sky.sunColor);
+	sun.intensity = sky.sunIntensity;
+	if (csm) {
+		csm.lightDirection.set(...sky.sunDirection).negate();
+		for (const light of csm.lights) {
+			light.color.copy(sun.color);
+			light.intensity = sky.sunIntensity;
+		}
+	}
+	moon.position.set(...sky.moonDirection).multiplyScalar(LIGHT_DISTANCE);
+	moon.intensity = sky.moonIntensity;
+	ambientLight.color.setRGB(...sky.ambientColor);
+	ambientLight.intensity = sky.ambientIntensity;
+}
+updateSky();
+syncTimeStateToUI();
 
 // --- Audio System ---
 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -1856,6 +2894,8 @@ sounds.place = createAudioBuffer(440, 0.2);
 sounds.break = createAudioBuffer(220, 0.3, "noise");
 sounds.pickup = createAudioBuffer(660, 0.4);
 sounds.step = createAudioBuffer(150, 0.1, "noise");
+sounds.hurt = createAudioBuffer(110, 0.25);
+sounds.eat = createAudioBuffer(300, 0.15, "noise");
 
 function playSound(soundName) {
 	if (!sounds[soundName]) return;
@@ -1869,173 +2909,662 @@ function playSound(soundName) {
 }
 
 // --- Item System ---
+// `block` is the BLOCK_TYPES id placed when the item is used; items without one can't be placed.
+// `food` is the hunger restored by eating the item. `tool` ({ kind, speed }) makes
+// blocks whose def.tool matches `kind` break `speed` times faster while held.
+// `maxStack` overrides STACK_LIMIT.
 const ITEM_TYPES = {
-	WOOD: { name: "Wood", color: 0x8b4513, symbol: "🪵" },
-	STONE: { name: "Stone", color: 0x696969, symbol: "🪨" },
-	CRYSTAL: { name: "Crystal", color: 0xff69b4, symbol: "💎" },
-	BERRY: { name: "Berry", color: 0xff0000, symbol: "🍓" }
+	WOOD: {
+		name: "Wood",
+		color: 0x8b4513,
+		symbol: "🪵",
+		block: BLOCK_TYPES.WOOD
+	},
+	STONE: {
+		name: "Stone",
+		color: 0x696969,
+		symbol: "🪨",
+		block: BLOCK_TYPES.STONE
+	},
+	CRYSTAL: {
+		name: "Crystal",
+		color: 0xff69b4,
+		symbol: "💎",
+		block: BLOCK_TYPES.CRYSTAL
+	},
+	BERRY: { name: "Berry", color: 0xff0000, symbol: "🍓", food: 4 },
+	COAL: { name: "Coal", color: 0x222222, symbol: "⚫" },
+	IRON: { name: "Iron", color: 0xb08d6e, symbol: "🔩" },
+	GRASS: {
+		name: "Grass",
+		color: 0x228b22,
+		symbol: "🟩",
+		block: BLOCK_TYPES.GRASS
+	},
+	SAND: {
+		name: "Sand",
+		color: 0xffd700,
+		symbol: "🟨",
+		block: BLOCK_TYPES.SAND
+	},
+	SNOW: {
+		name: "Snow",
+		color: 0xffffff,
+		symbol: "⬜",
+		block: BLOCK_TYPES.SNOW
+	},
+	PLANKS: {
+		name: "Planks",
+		color: 0xc19a6b,
+		symbol: "🟫",
+		block: BLOCK_TYPES.PLANKS
+	},
+	STICK: { name: "Stick", color: 0x8b5a2b, symbol: "🥢" },
+	STONE_BRICKS: {
+		name: "Stone Bricks",
+		color: 0x7d7d7d,
+		symbol: "🧱",
+		block: BLOCK_TYPES.STONE_BRICKS
+	},
+	CRYSTAL_BRICKS: {
+		name: "Crystal Bricks",
+		color: 0xe68fc9,
+		symbol: "🔷",
+		block: BLOCK_TYPES.CRYSTAL_BRICKS
+	},
+	CRYSTAL_LAMP: {
+		name: "Crystal Lamp",
+		color: 0xffc8ec,
+		symbol: "🏮",
+		block: BLOCK_TYPES.CRYSTAL_LAMP
+	},
+	LEAVES: {
+		name: "Leaves",
+		color: 0x2e7d32,
+		symbol: "🍃",
+		block: BLOCK_TYPES.LEAVES
+	},
+	CACTUS: {
+		name: "Cactus",
+		color: 0x3f8f3a,
+		symbol: "🌵",
+		block: BLOCK_TYPES.CACTUS
+	},
+	WOODEN_PICKAXE: {
+		name: "Wooden Pickaxe",
+		color: 0xa0522d,
+		symbol: "⛏️",
+		tool: { kind: "pickaxe", speed: 2 },
+		maxStack: 1
+	},
+	STONE_PICKAXE: {
+		name: "Stone Pickaxe",
+		color: 0x808080,
+		symbol: "⛏️",
+		tool: { kind: "pickaxe", speed: 4 },
+		maxStack: 1
+	},
+	WOODEN_AXE: {
+		name: "Wooden Axe",
+		color: 0xa0522d,
+		symbol: "🪓",
+		tool: { kind: "axe", speed: 2 },
+		maxStack: 1
+	},
+	STONE_AXE: {
+		name: "Stone Axe",
+		color: 0x808080,
+		symbol: "🪓",
+		tool: { kind: "axe", speed: 4 },
+		maxStack: 1
+	},
+	WOODEN_SHOVEL: {
+		name: "Wooden Shovel",
+		color: 0xa0522d,
+		symbol: "🥄",
+		tool: { kind: "shovel", speed: 2 },
+		maxStack: 1
+	},
+	STONE_SHOVEL: {
+		name: "Stone Shovel",
+		color: 0x808080,
+		symbol: "🥄",
+		tool: { kind: "shovel", speed: 4 },
+		maxStack: 1
+	}
 };
 
-const inventory = {
-	slots: new Array(8).fill(null).map(() => ({ type: null, count: 0 })),
-	selectedSlot: 0
-};
+// Inventory slots store item names; resolve them back to the ITEM_TYPES entry
+function getItemType(name) {
+	return Object.values(ITEM_TYPES).find((t) => t.name === name);
+}
+
+// Most items of kind `name` one inventory slot or item on the ground holds
+function maxStackOf(name) {
+	return getItemType(name)?.maxStack ?? STACK_LIMIT;
+}
 
-const worldItems = new Map(); // worldX,worldY,worldZ -> {type, mesh}
+// Hotbar and backpack (see inventory.js)
+const inventory = new Inventory(maxStackOf);
+
+// Items lying in the world: ItemEntity objects (items.js) with a `mesh`.
+// Loot placed by spawnItemsInChunk also has `lootChunk` and `lootIndex`.
+const worldItems = new Set();
+// Loot picked up (or merged into other items), chunk key -> Set of loot
+// indices. Saved with the world so it doesn't come back.
+const collectedLoot = new Map();
+
+const itemGeometry = new THREE.SphereGeometry(0.2, 8, 6);
+const itemMaterials = new Map(); // item name -> material
+function getItemMaterial(itemType) {
+	let material = itemMaterials.get(itemType.name);
+	if (!material) {
+		material = addLitMaterial(
+			new THREE.MeshStandardMaterial({
+				color: itemType.color,
+				emissive: itemType.color,
+				emissiveIntensity: 0.2
+			})
+		);
+		itemMaterials.set(itemType.name, material);
+	}
+	return material;
+}
 
-function spawnItem(x, y, z, itemType) {
-	const key = `${x},${y},${z}`;
-	if (worldItems.has(key)) return;
+/** Put `count` items of `itemType` into the world at `position` (their centre), moving at `velocity` */
+function spawnItem(itemType, position, velocity = [0, 0, 0], count = 1) {
+	const item = new ItemEntity(itemType.name, count, position, velocity);
+	item.mesh = new THREE.Mesh(itemGeometry, getItemMaterial(itemType));
+	item.mesh.position.fromArray(item.position);
+	// Phase of the bobbing animation once the item rests
+	item.bobTime = Math.random() * Math.PI * 2;
+	scene.add(item.mesh);
+	worldItems.add(item);
+	return item;
+}
 
-	const geometry = new THREE.SphereGeometry(0.2, 8, 6);
-	const material = new THREE.MeshStandardMaterial({
-		color: itemType.color,
-		emissive: itemType.color,
-		emissiveIntensity: 0.2
-	});
-	const mesh = new THREE.Mesh(geometry, material);
-	mesh.position.set(x + 0.5, y + 0.5, z + 0.5);
+function despawnItem(item) {
+	scene.remove(item.mesh);
+	worldItems.delete(item);
+}
 
-	// Floating animation
-	mesh.userData.startY = y + 0.5;
-	mesh.userData.time = Math.random() * Math.PI * 2;
+// The loot `item` was placed as is gone for good; the item itself (if it
+// stays in the world) becomes an ordinary item that is saved
+function markLootTaken(item) {
+	if (item.lootChunk === undefined) return;
+	if (!collectedLoot.has(item.lootChunk)) {
+		collectedLoot.set(item.lootChunk, new Set());
+	}
+	collectedLoot.get(item.lootChunk).add(item.lootIndex);
+	item.lootChunk = undefined;
+}
 
-	scene.add(mesh);
-	worldItems.set(key, { type: itemType, mesh });
+function clearWorldItems() {
+	for (const item of worldItems) scene.remove(item.mesh);
+	worldItems.clear();
+	collectedLoot.clear();
 }
 
 function updateItems(deltaTime) {
-	for (const [key, item] of worldItems.entries()) {
-		item.mesh.userData.time += deltaTime * 2;
-		item.mesh.position.y =
-			item.mesh.userData.startY + Math.sin(item.mesh.userData.time) * 0.1;
-		item.mesh.rotation.y += deltaTime;
+	// Don't let a long frame (e.g. a background tab) throw items through the ground
+	const dt = Math.min(deltaTime, 0.1);
+	for (const item of worldItems) {
+		// Items wait in chunks that aren't loaded rather than generating them
+		const chunkX = Math.floor(item.position[0] / CHUNK_SIZE);
+		const chunkZ = Math.floor(item.position[2] / CHUNK_SIZE);
+		if (!chunkData.has(`${chunkX},${chunkZ}`)) continue;
+
+		stepItem(item, dt, isSolidBlock);
+		item.mesh.position.fromArray(item.position);
+		if (item.onGround) {
+			item.bobTime += dt * 2;
+			item.mesh.position.y += 0.1 + Math.sin(item.bobTime) * 0.1;
+		}
+		item.mesh.rotation.y += dt;
 
 		// Check for pickup
-		const dist = camera.position.distanceTo(item.mesh.position);
+		if (item.pickupDelay > 0) continue;
+		const dist = player.position.distanceTo(item.mesh.position);
 		if (dist < 2) {
-			collectItem(key, item.type);
+			collectItem(item);
 		}
 	}
-}
 
-function collectItem(itemKey, itemType) {
-	// Find empty slot or stack
-	let targetSlot = inventory.slots.find(
-		(slot) => slot.type === itemType.name && slot.count < 64
-	);
-
-	if (!targetSlot) {
-		targetSlot = inventory.slots.find((slot) => slot.type === null);
+	for (const item of mergeItems([...worldItems], maxStackOf)) {
+		markLootTaken(item);
+		despawnItem(item);
+	}
+	// Merged stacks no longer match the loot they started as
+	for (const item of worldItems) {
+		if (item.lootChunk !== undefined && item.count > 1) markLootTaken(item);
 	}
+}
 
-	if (targetSlot) {
-		if (targetSlot.type === null) {
-			targetSlot.type = itemType.name;
-			targetSlot.count = 1;
-		} else {
-			targetSlot.count++;
-		}
+function collectItem(item) {
+	// Nothing is picked up while a screen is open, so a stack held on the
+	// cursor always fits back when the screen closes
+	if (isScreenOpen()) return;
+	const left = inventory.add(item.type, item.count);
+	if (left === item.count) return; // Inventory full
+
+	const picked = item.count - left;
+	markLootTaken(item);
+	if (left > 0) item.count = left;
+	else despawnItem(item);
+
+	updateInventoryUI();
+	showItemPickup(item.type, picked);
+	playSound("pickup");
+}
 
-		// Remove from world
-		const item = worldItems.get(itemKey);
-		scene.remove(item.mesh);
-		worldItems.delete(itemKey);
+// Slot contents as shown in the hotbar: item symbol and count
+function slotHTML(name, count) {
+	if (!name) return "";
+	return `${
+		getItemType(name)?.symbol || "?"
+	}<span class="count">${count}</span>`;
+}
 
-		updateInventoryUI();
-		showItemPickup(itemType.name);
-		playSound("pickup");
+// Make `container` hold exactly `count` slot elements, reusing the ones it
+// has. Each element's data-index is its slot number, starting at `firstIndex`.
+function syncSlotElements(container, count, firstIndex = 0) {
+	while (container.children.length < count) {
+		const slotEl = document.createElement("div");
+		slotEl.className = "inventory-slot";
+		slotEl.dataset.index = firstIndex + container.children.length;
+		container.appendChild(slotEl);
 	}
+	while (container.children.length > count) container.lastChild.remove();
+	return container.children;
+}
+
+// Show `slot` in `slotEl`, only touching its contents when they changed
+function renderSlot(slotEl, slot, selected = false) {
+	slotEl.classList.toggle("selected", selected);
+	const contents = `${slot.type}:${slot.count}`;
+	if (slotEl.dataset.contents === contents) return;
+	slotEl.dataset.contents = contents;
+	slotEl.title = slot.type || "";
+	slotEl.innerHTML = slotHTML(slot.type, slot.count);
 }
 
+// Slot number of the slot element an event happened on, or -1
+function slotIndexAt(event) {
+	const slotEl = event.target.closest?.(".inventory-slot[data-index]");
+	return slotEl ? Number(slotEl.dataset.index) : -1;
+}
+
+// Redraw the hotbar and whichever inventory screens are open
 function updateInventoryUI() {
-	const inventoryEl = document.getElementById("inventory");
-	inventoryEl.innerHTML = "";
+	const hotbarEl = document.getElementById("inventory");
+	if (isInventoryOpen) updateInventoryScreen();
+	if (isCraftingOpen) updateCraftingUI();
+
+	// Creative shows the block palette instead of the inventory
+	if (isCreative()) {
+		const slotEls = syncSlotElements(hotbarEl, CREATIVE_PALETTE.length);
+		CREATIVE_PALETTE.forEach((id, index) => {
+			const slotEl = slotEls[index];
+			slotEl.classList.toggle("selected", index === creativeSelectedSlot);
+			const contents = `block:${id}`;
+			if (slotEl.dataset.contents === contents) return;
+			const def = getBlockDef(id);
+			slotEl.dataset.contents = contents;
+			slotEl.title = def.name;
+			slotEl.innerHTML = `<span class="swatch" style="background:#${def.color
+				.toString(16)
+				.padStart(6, "0")}"></span>`;
+		});
+		return;
+	}
 
-	inventory.slots.forEach((slot, index) => {
-		const slotEl = document.createElement("div");
-		slotEl.className = `inventory-slot ${
-			index === inventory.selectedSlot ? "selected" : ""
-		}`;
-
-		if (slot.type) {
-			const itemType = Object.values(ITEM_TYPES).find((t) => t.name === slot.type);
-			slotEl.innerHTML = `${itemType?.symbol || "?"}<span class="count">${
-				slot.count
-			}</span>`;
-		}
+	const slotEls = syncSlotElements(hotbarEl, HOTBAR_SIZE);
+	for (let i = 0; i < HOTBAR_SIZE; i++) {
+		renderSlot(slotEls[i], inventory.slots[i], i === inventory.selectedSlot);
+	}
+}
 
-		inventoryEl.appendChild(slotEl);
-	});
+// Hotbar selection from the number keys and mouse wheel; creative selects palette blocks
+function selectHotbarSlot(index) {
+	if (isCreative()) {
+		if (index < CREATIVE_PALETTE.length) creativeSelectedSlot = index;
+	} else {
+		inventory.select(index);
+	}
+	updateInventoryUI();
 }
 
-function showItemPickup(itemName) {
+function scrollHotbar(step) {
+	if (isCreative()) {
+		const count = CREATIVE_PALETTE.length;
+		creativeSelectedSlot =
+			(((creativeSelectedSlot + step) % count) + count) % count;
+	} else {
+		inventory.scrollSelection(step);
+	}
+	updateInventoryUI();
+}
+
+function showItemPickup(itemName, count = 1) {
 	const el = document.getElementById("itemPickupText");
-	el.textContent = `+1 ${itemName}`;
+	el.textContent = `+${count} ${itemName}`;
 	el.style.opacity = "1";
 	setTimeout(() => {
 		el.style.opacity = "0";
 	}, 1000);
 }
 
-// Randomly spawn items in chunks
+// Loot is placed from the world seed and the chunk position, so every visit
+// (and every copy of the world) finds the same items in the same spots
+const LOOT_ROLLS_PER_CHUNK = 3;
+const LOOT_CHANCE = 0.3;
+// chunkRandom salt, so loot doesn't follow the decorations' random numbers
+const LOOT_SALT = 1;
 function spawnItemsInChunk(chunkX, chunkZ) {
+	const chunkKey = `${chunkX},${chunkZ}`;
 	const startX = chunkX * CHUNK_SIZE;
 	const startZ = chunkZ * CHUNK_SIZE;
+	const random = chunkRandom(worldSeed, chunkX, chunkZ, LOOT_SALT);
+	const taken = collectedLoot.get(chunkKey);
+	const present = new Set();
+	for (const item of worldItems) {
+		if (item.lootChunk === chunkKey) present.add(item.lootIndex);
+	}
 
-	for (let i = 0; i < 3; i++) {
-		const x = startX + Math.floor(Math.random() * CHUNK_SIZE);
-		const z = startZ + Math.floor(Math.random() * CHUNK_SIZE);
-		const y = getHeight(x, z) + 1;
+	for (let i = 0; i < LOOT_ROLLS_PER_CHUNK; i++) {
+		// Every roll draws the same numbers whether or not it spawns anything
+		const x = startX + Math.floor(random() * CHUNK_SIZE);
+		const z = startZ + Math.floor(random() * CHUNK_SIZE);
+		if (random() >= LOOT_CHANCE || taken?.has(i) || present.has(i)) continue;
 
 		const biome = getBiome(x, z);
+		// Forests have trees to chop for wood instead
+		if (biome === BIOME_TYPES.FOREST) continue;
 		let itemType;
 
-		if (biome === BIOME_TYPES.FOREST) itemType = ITEM_TYPES.WOOD;
-		else if (biome === BIOME_TYPES.DESERT) itemType = ITEM_TYPES.CRYSTAL;
+		if (biome === BIOME_TYPES.DESERT) itemType = ITEM_TYPES.CRYSTAL;
 		else if (biome === BIOME_TYPES.SNOW) itemType = ITEM_TYPES.BERRY;
 		else itemType = ITEM_TYPES.STONE;
 
-		if (Math.random() < 0.3) {
-			spawnItem(x, y, z, itemType);
-		}
+		const item = spawnItem(itemType, [x + 0.5, getHeight(x, z) + 1.5, z + 0.5]);
+		item.lootChunk = chunkKey;
+		item.lootIndex = i;
 	}
 }
 
-// Enhanced controls
+// Untouched loot of an unloaded chunk; it is placed again when the chunk returns
+function despawnLootInChunk(chunkKey) {
+	for (const item of worldItems) {
+		if (item.lootChunk === chunkKey) despawnItem(item);
+	}
+}
+
+// Throw one of the selected item the way the camera faces
+const THROW_SPEED = 6;
 function dropItem() {
-	const slot = inventory.slots[inventory.selectedSlot];
+	const slot = inventory.selected;
 	if (slot.count > 0) {
-		const itemType = Object.values(ITEM_TYPES).find((t) => t.name === slot.type);
-		const dropPos = camera.position
-			.clone()
-			.add(camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(2));
-
-		spawnItem(
-			Math.floor(dropPos.x),
-			Math.floor(dropPos.y),
-			Math.floor(dropPos.z),
-			itemType
-		);
+		const itemType = getItemType(slot.type);
+		const direction = camera.getWorldDirection(new THREE.Vector3());
+		const velocity = direction.multiplyScalar(THROW_SPEED);
+		velocity.y += 2;
+		const start = player.position.clone();
+		start.y -= 0.3;
 
-		slot.count--;
-		if (slot.count === 0) {
-			slot.type = null;
-		}
+		const item = spawnItem(itemType, start.toArray(), velocity.toArray());
+		item.pickupDelay = THROW_PICKUP_DELAY;
+
+		inventory.removeFrom(inventory.selectedSlot);
 		updateInventoryUI();
 	}
 }
 
 function collectNearbyItems() {
-	for (const [key, item] of worldItems.entries()) {
-		const dist = camera.position.distanceTo(item.mesh.position);
+	for (const item of worldItems) {
+		const dist = player.position.distanceTo(item.mesh.position);
 		if (dist < 3) {
-			collectItem(key, item.type);
+			collectItem(item);
 			break;
 		}
 	}
 }
 
+// --- Crafting ---
+// Recipes are data (data/recipes.json); see crafting.js for the format
+const recipeBook = new RecipeBook((name) => Boolean(getItemType(name)));
+loadRecipes("data/recipes.json", recipeBook)
+	.then((skipped) =>
+		skipped.forEach((message) => console.warn("Skipped recipe:", message))
+	)
+	.catch((err) => console.warn("Could not load recipes", err));
+
+// Items laid out in the crafting grid, row by row
+const craftingGrid = new Array(GRID_SIZE * GRID_SIZE)
+	.fill(null)
+	.map(() => ({ type: null, count: 0 }));
+let isCraftingOpen = false;
+
+const craftingPanel = document.createElement("div");
+craftingPanel.id = "craftingPanel";
+craftingPanel.innerHTML = `
+  <h3>Crafting</h3>
+  <div class="crafting-row">
+    <div class="crafting-grid"></div>
+    <span class="crafting-arrow">➜</span>
+    <div class="inventory-slot crafting-output" title="Click to craft"></div>
+  </div>
+  <div class="crafting-hotbar"></div>
+  <p class="panel-help">Pick an item below, then click grid cells to add one at a time (right click takes one back). Click the result to craft.</p>
+  <button id="craftingCloseBtn">Close</button>
+`;
+document.body.appendChild(craftingPanel);
+const craftingGridEl = craftingPanel.querySelector(".crafting-grid");
+const craftingOutputEl = craftingPanel.querySelector(".crafting-output");
+const craftingHotbarEl = craftingPanel.querySelector(".crafting-hotbar");
+
+function currentRecipe() {
+	return recipeBook.find(craftingGrid.map((cell) => cell.type));
+}
+
+function updateCraftingUI() {
+	const cellEls = syncSlotElements(craftingGridEl, craftingGrid.length);
+	craftingGrid.forEach((cell, i) => renderSlot(cellEls[i], cell));
+
+	const recipe = currentRecipe();
+	renderSlot(craftingOutputEl, {
+		type: recipe ? recipe.result.item : null,
+		count: recipe ? recipe.result.count : 0
+	});
+
+	const slotEls = syncSlotElements(craftingHotbarEl, HOTBAR_SIZE);
+	for (let i = 0; i < HOTBAR_SIZE; i++) {
+		renderSlot(slotEls[i], inventory.slots[i], i === inventory.selectedSlot);
+	}
+}
+
+craftingGridEl.addEventListener("click", (e) => {
+	const index = slotIndexAt(e);
+	if (index >= 0) putIntoCraftingCell(index);
+});
+craftingGridEl.addEventListener("contextmenu", (e) => {
+	const index = slotIndexAt(e);
+	if (index >= 0) takeFromCraftingCell(index);
+});
+craftingHotbarEl.addEventListener("click", (e) => {
+	const index = slotIndexAt(e);
+	if (index >= 0) selectHotbarSlot(index);
+});
+
+// Move one of the selected hotbar item into a grid cell
+function putIntoCraftingCell(index) {
+	const slot = inventory.selected;
+	const cell = craftingGrid[index];
+	if (slot.count === 0) return;
+	if (cell.type !== null && cell.type !== slot.type) return;
+	cell.type = slot.type;
+	cell.count++;
+	inventory.removeFrom(inventory.selectedSlot);
+	updateInventoryUI();
+}
+
+// Move one item from a grid cell back into the inventory
+function takeFromCraftingCell(index) {
+	const cell = craftingGrid[index];
+	if (cell.count === 0 || inventory.add(cell.type) > 0) return;
+	cell.count--;
+	if (cell.count === 0) cell.type = null;
+	updateInventoryUI();
+}
+
+// Use up one item from every occupied cell and add the result to the inventory
+function craftCurrentRecipe() {
+	const recipe = currentRecipe();
+	if (!recipe) return;
+	const { item, count } = recipe.result;
+	if (inventory.roomFor(item) < count) return;
+	for (const cell of craftingGrid) {
+		if (cell.count === 0) continue;
+		cell.count--;
+		if (cell.count === 0) cell.type = null;
+	}
+	inventory.add(item, count);
+	playSound("pickup");
+	updateInventoryUI();
+}
+craftingOutputEl.addEventListener("click", craftCurrentRecipe);
+
+// Move what is left in the grid back into the inventory. Anything that
+// doesn't fit stays in the grid for next time.
+function returnCraftingGrid() {
+	for (const cell of craftingGrid) {
+		if (cell.count === 0) continue;
+		cell.count = inventory.add(cell.type, cell.count);
+		if (cell.count === 0) cell.type = null;
+	}
+	updateInventoryUI();
+}
+
+function setCraftingOpen(open) {
+	if (open === isCraftingOpen || (open && !canOpenScreen())) return;
+	isCraftingOpen = open;
+	craftingPanel.style.display = open ? "flex" : "none";
+	if (open) {
+		updateInventoryUI();
+		instructionOverlay.style.display = "none";
+		controls.unlock();
+	} else {
+		returnCraftingGrid();
+		controls.lock();
+	}
+}
+craftingPanel
+	.querySelector("#craftingCloseBtn")
+	.addEventListener("click", () => setCraftingOpen(false));
+craftingPanel.addEventListener("contextmenu", (e) => e.preventDefault());
+
+// --- Inventory Screen ---
+let isInventoryOpen = false;
+
+const inventoryScreen = document.createElement("div");
+inventoryScreen.id = "inventoryScreen";
+inventoryScreen.innerHTML = `
+  <h3>Inventory</h3>
+  <div class="inventory-grid backpack"></div>
+  <div class="inventory-grid hotbar"></div>
+  <p class="panel-help">Drag or click to move a stack. Right click takes half a stack, or puts down one held item. Shift+click moves a stack between the backpack and the hotbar.</p>
+  <button id="inventoryCloseBtn">Close</button>
+`;
+document.body.appendChild(inventoryScreen);
+const backpackEl = inventoryScreen.querySelector(".inventory-grid.backpack");
+const screenHotbarEl = inventoryScreen.querySelector(".inventory-grid.hotbar");
+// The stack held on the mouse follows the pointer
+const cursorStackEl = document.createElement("div");
+cursorStackEl.className = "inventory-slot cursor-stack";
+document.body.appendChild(cursorStackEl);
+
+// True while a screen that pauses play (inventory, crafting) is open
+function isScreenOpen() {
+	return isInventoryOpen || isCraftingOpen;
+}
+
+function canOpenScreen() {
+	return !isPaused && !isDead && !isScreenOpen();
+}
+
+function updateInventoryScreen() {
+	const hotbarEls = syncSlotElements(screenHotbarEl, HOTBAR_SIZE);
+	const backpackEls = syncSlotElements(backpackEl, BACKPACK_SIZE, HOTBAR_SIZE);
+	inventory.slots.forEach((slot, i) => {
+		if (inventory.isHotbar(i)) {
+			renderSlot(hotbarEls[i], slot, i === inventory.selectedSlot);
+		} else {
+			renderSlot(backpackEls[i - HOTBAR_SIZE], slot);
+		}
+	});
+	renderSlot(cursorStackEl, inventory.cursor);
+	cursorStackEl.style.display = inventory.cursor.count > 0 ? "flex" : "none";
+}
+
+function moveCursorStack(e) {
+	cursorStackEl.style.left = `${e.clientX}px`;
+	cursorStackEl.style.top = `${e.clientY}px`;
+}
+
+// Slot a stack was picked up from by pressing on it; releasing the button
+// over another slot puts it down there (drag and drop)
+let dragFrom = -1;
+inventoryScreen.addEventListener("mousedown", (e) => {
+	const index = slotIndexAt(e);
+	if (index < 0) return;
+	e.preventDefault();
+	moveCursorStack(e);
+	dragFrom = -1;
+	if (e.button === 2) {
+		inventory.rightClickSlot(index);
+	} else if (e.button === 0 && e.shiftKey) {
+		inventory.quickMove(index);
+	} else if (e.button === 0) {
+		const wasHolding = inventory.cursor.count > 0;
+		inventory.clickSlot(index);
+		if (!wasHolding && inventory.cursor.count > 0) dragFrom = index;
+	}
+	updateInventoryUI();
+});
+document.addEventListener("mouseup", (e) => {
+	if (!isInventoryOpen || e.button !== 0 || dragFrom < 0) return;
+	const index = slotIndexAt(e);
+	if (index >= 0 && index !== dragFrom) {
+		inventory.clickSlot(index);
+		updateInventoryUI();
+	}
+	dragFrom = -1;
+});
+document.addEventListener("mousemove", (e) => {
+	if (isInventoryOpen) moveCursorStack(e);
+});
+inventoryScreen.addEventListener("contextmenu", (e) => e.preventDefault());
+
+// Creative has no inventory to manage, only the block palette
+function setInventoryOpen(open) {
+	if (open === isInventoryOpen) return;
+	if (open && (!canOpenScreen() || isCreative())) return;
+	isInventoryOpen = open;
+	inventoryScreen.style.display = open ? "flex" : "none";
+	if (open) {
+		instructionOverlay.style.display = "none";
+		controls.unlock();
+	} else {
+		inventory.returnCursor();
+		dragFrom = -1;
+		cursorStackEl.style.display = "none";
+		controls.lock();
+	}
+	updateInventoryUI();
+}
+inventoryScreen
+	.querySelector("#inventoryCloseBtn")
+	.addEventListener("click", () => setInventoryOpen(false));
+
 // --- Audio system for enhanced movement ---
 let stepTimer = 0;
 let lastGroundType = null;
@@ -2044,6 +3573,7 @@ let lastGroundType = null;
 window.addEventListener("resize", () => {
 	camera.aspect = window.innerWidth / window.innerHeight;
 	camera.updateProjectionMatrix();
+	fitShadowCascades();
 	renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
@@ -2051,59 +3581,152 @@ window.addEventListener("resize", () => {
 const forwardVec = new THREE.Vector3();
 const rightVec = new THREE.Vector3();
 const moveDirVec = new THREE.Vector3();
-const tempPosVec = new THREE.Vector3();
 
 // Track player's current chunk to avoid rebuilding every frame
 let lastCamChunkX = null,
 	lastCamChunkZ = null;
 
+// --- Block Breaking & Placing ---
+
+// Remove the block and drop whatever item the block type gives back
+function breakBlock(x, y, z) {
+	const def = getBlockDef(getBlockId(x, y, z));
+	if (def.id === BLOCK_TYPES.AIR) return;
+	setBlock(x, y, z, BLOCK_TYPES.AIR);
+	highlightBlock = null;
+	playSound("break");
+	// Plants can't float: one standing on the broken block goes with it
+	if (getBlockDef(getBlockId(x, y + 1, z)).shape === "cross") {
+		setBlock(x, y + 1, z, BLOCK_TYPES.AIR);
+	}
+	if (isCreative()) return;
+	const dropType = def.drop && getItemType(def.drop);
+	if (dropType) {
+		// Pop out of the broken block with a little random sideways push
+		const push = () => (Math.random() - 0.5) * 2;
+		spawnItem(dropType, [x + 0.5, y + 0.5, z + 0.5], [push(), 3, push()]);
+	}
+}
+
+// Survival breaking: hold the button on a block for its break time (hardness,
+// shortened by a matching tool). Looking at another block starts over.
+let isMining = false;
+let miningTarget = null; // blockKey of the block being mined
+let miningProgress = 0; // seconds spent on miningTarget
+
+// Left click / remove button: creative breaks at once, survival starts mining
+function startBreaking() {
+	if (isCreative()) {
+		if (highlightBlock) breakBlock(...highlightBlock);
+		return;
+	}
+	isMining = true;
+}
+
+function stopBreaking() {
+	isMining = false;
+	resetMining();
+}
+
+function resetMining() {
+	miningTarget = null;
+	miningProgress = 0;
+	crackMesh.visible = false;
+}
+
+// Seconds to break a block of type `def` with the selected item
+function getBreakTime(def) {
+	const slot = inventory.selected;
+	const tool = slot.count > 0 ? getItemType(slot.type)?.tool : null;
+	const speed = tool && tool.kind === def.tool ? tool.speed : 1;
+	return def.hardness / speed;
+}
+
+function updateMining(delta) {
+	if (!isMining || !highlightBlock) {
+		resetMining();
+		return;
+	}
+	const key = blockKey(...highlightBlock);
+	if (key !== miningTarget) {
+		resetMining();
+		miningTarget = key;
+	}
+	miningProgress += delta;
+	const breakTime = getBreakTime(getBlockDef(getBlockId(...highlightBlock)));
+	if (miningProgress >= breakTime) {
+		breakBlock(...highlightBlock);
+		resetMining();
+		return;
+	}
+	const stage = Math.floor((miningProgress / breakTime) * CRACK_STAGES);
+	crackMaterial.map = crackTextures[Math.min(stage, CRACK_STAGES - 1)];
+	crackMesh.position.copy(highlightMesh.position);
+	crackMesh.visible = true;
+}
+
+// Place one block of the selected hotbar item (or creative palette block) against the targeted face
+function placeSelectedBlock() {
+	const slot = inventory.selected;
+	let block;
+	if (isCreative()) block = CREATIVE_PALETTE[creativeSelectedSlot];
+	else if (slot.count > 0) block = getItemType(slot.type)?.block;
+	if (block === undefined) return;
+	const targeted = getTargetedBlock();
+	if (!targeted || !targeted.placePos) return;
+	const [px, py, pz] = targeted.placePos;
+	if (py < 0 || py >= CHUNK_HEIGHT) return;
+	if (getBlockDef(block).solid && player.overlapsCell(px, py, pz)) return;
+	setBlock(px, py, pz, block);
+	highlightBlock = null;
+	playSound("place");
+	if (isCreative()) return;
+	inventory.removeFrom(inventory.selectedSlot);
+	updateInventoryUI();
+}
+
+// Eat the selected item if it is food; returns whether anything was eaten
+function eatSelectedItem() {
+	const slot = inventory.selected;
+	const itemType = slot.count > 0 ? getItemType(slot.type) : null;
+	// No hunger in creative
+	if (isCreative() || !itemType?.food || !vitals.eat(itemType.food)) {
+		return false;
+	}
+	playSound("eat");
+	inventory.removeFrom(inventory.selectedSlot);
+	updateInventoryUI();
+	return true;
+}
+
+// Right click / place button: eat food, otherwise place the selected block
+function useSelectedItem() {
+	if (!eatSelectedItem()) placeSelectedBlock();
+}
+
 // --- Mouse Controls for block manip
 renderer.domElement.addEventListener("mousedown", (e) => {
-	if (!controls.isLocked || isPaused) return;
+	if (!controls.isLocked || isPaused || isDead) return;
+	// Right click eats food without needing a block in sight
+	if (e.button === 2 && eatSelectedItem()) return;
 	if (!highlightBlock || !highlightNormal) return;
 
 	// Remove block (LEFT CLICK, button 0)
-	if (e.button === 0) {
-		const [x, y, z] = highlightBlock;
-		if (
-			!(
-				Math.floor(camera.position.x) === x &&
-				Math.floor(camera.position.y - playerHeight / 2) === y &&
-				Math.floor(camera.position.z) === z
-			)
-		) {
-			setBlock(x, y, z, false);
-			highlightBlock = null;
-			playSound("break");
-
-			// Chance to drop items when breaking blocks
-			if (Math.random() < 0.2) {
-				const biome = getBiome(x, z);
-				let itemType = ITEM_TYPES.STONE;
-				if (biome === BIOME_TYPES.FOREST) itemType = ITEM_TYPES.WOOD;
-				spawnItem(x, y + 1, z, itemType);
-			}
-		}
-	}
+	if (e.button === 0) startBreaking();
 	// Place block (RIGHT CLICK, button 2)
-	if (e.button === 2) {
-		const targeted = getTargetedBlock();
-		if (targeted && targeted.placePos) {
-			const [px, py, pz] = targeted.placePos;
-			if (py >= 0 && py < CHUNK_HEIGHT) {
-				function wouldPlayerBeObstructedByBlockAt(x, y, z) {
-					// ... existing code ...
-				}
-				if (!wouldPlayerBeObstructedByBlockAt(px, py, pz)) {
-					setBlock(px, py, pz, true);
-					highlightBlock = null;
-					playSound("place");
-				}
-			}
-		}
-	}
+	if (e.button === 2) placeSelectedBlock();
+});
+document.addEventListener("mouseup", (e) => {
+	if (e.button === 0) stopBreaking();
 });
 renderer.domElement.addEventListener("contextmenu", (e) => e.preventDefault());
+document.addEventListener(
+	"wheel",
+	(e) => {
+		if (controls.isLocked && e.deltaY !== 0) scrollHotbar(Math.sign(e.deltaY));
+	},
+	{ passive: true }
+);
 
 // Initialize inventory UI on load
 const inventoryEl = document.createElement("div");
@@ -2111,4 +3734,17 @@ inventoryEl.id = "inventory";
 document.body.appendChild(inventoryEl);
 updateInventoryUI();
 
+// Restore the last played save slot, if there is one. A ?seed= URL parameter
+// instead opens (or creates) the world for that seed. Saves queue behind this
+// so an early autosave can't overwrite the slot with a fresh world.
+const startupSlot =
+	urlSeedParam !== null ? `Seed ${urlSeedParam.trim()}` : currentSaveSlot;
+saveQueue = loadWorld(startupSlot)
+	.then((found) => {
+		// Not awaited: createNewWorld queues its save behind this very promise
+		if (!found && urlSeedParam !== null) createNewWorld(startupSlot, worldSeed);
+	})
+	.catch((err) => console.warn("World load failed", err))
+	.finally(refreshSaveSlotList);
+
 requestAnimationFrame(animate);
@@ -0,0 +1,304 @@
+/**
+ * Block type registry. Chunk edits, the mesher and the inventory all refer to
+ * blocks by numeric id; everything else about a block type lives here.
+ * Shared with the chunk workers, so keep it free of DOM and three.js imports.
+ */
+
+// Numeric IDs shared with the mesher; the main thread maps them to materials
+export const BLOCK_TYPES = {
+	AIR: 0,
+	GRASS: 1,
+	SAND: 2,
+	SNOW: 3,
+	STONE: 4,
+	WATER: 5,
+	WOOD: 6,
+	CRYSTAL: 7,
+	COAL_ORE: 8,
+	IRON_ORE: 9,
+	CRYSTAL_ORE: 10,
+	// 11-17 are flowing water levels (see FLOWING_WATER_FIRST_ID)
+	PLANKS: 18,
+	STONE_BRICKS: 19,
+	CRYSTAL_BRICKS: 20,
+	CRYSTAL_LAMP: 21,
+	// Placed by the decoration pass (decoration.js)
+	LEAVES: 22,
+	CACTUS: 23,
+	TALL_GRASS: 24,
+	RED_FLOWER: 25,
+	YELLOW_FLOWER: 26
+};
+
+// Water levels: a source block is a full level, flowing water thins out from
+// WATER_SOURCE_LEVEL - 1 down to 1 as it spreads. Each flowing level is its own
+// block id (FLOWING_WATER_FIRST_ID + level - 1) so chunks stay one byte per voxel.
+export const WATER_SOURCE_LEVEL = 8;
+const FLOWING_WATER_FIRST_ID = 11;
+
+// Skylight and block light levels run from 0 (dark) to MAX_LIGHT (see lighting.js)
+export const MAX_LIGHT = 15;
+
+/**
+ * Block definitions indexed by id.
+ * - color: the block's colour in the inventory and on items
+ * - texture: built-in tile (see textures.js) for every face, or { top, side,
+ *   bottom } with top and bottom defaulting to the side; null draws a noisy
+ *   tile of `color`. Resource packs can replace them per block
+ * - solid: collides with the player
+ * - transparent: neighbours keep their faces; rendered with `opacity`
+ * - shape: "cube", or "cross" for plants drawn as two crossed quads that hide
+ *   no neighbouring faces
+ * - hardness: seconds to break by hand
+ * - tool: kind of tool ("pickaxe", "axe", "shovel") that breaks it faster, or null
+ * - fluidLevel: water level (WATER_SOURCE_LEVEL for sources), 0 for non-fluids
+ * - drop: name of the item (see ITEM_TYPES in app.js) given back when broken, or null
+ * - light: block light level the block gives off, 0 for none
+ * - lightOpacity: light lost passing through, on top of the usual one level
+ *   per block; MAX_LIGHT blocks it. Defaults to MAX_LIGHT for opaque cubes
+ *   and 0 for transparent blocks and plants
+ */
+export const BLOCKS = [];
+
+function registerBlock(def) {
+	const block = {
+		texture: null,
+		solid: true,
+		transparent: false,
+		opacity: 1,
+		shape: "cube",
+		hardness: 1,
+		tool: null,
+		drop: null,
+		fluidLevel: 0,
+		light: 0,
+		...def
+	};
+	if (block.lightOpacity === undefined) {
+		const clear = block.transparent || block.shape !== "cube";
+		block.lightOpacity = clear ? 0 : MAX_LIGHT;
+	}
+	BLOCKS[def.id] = block;
+}
+
+registerBlock({
+	id: BLOCK_TYPES.AIR,
+	name: "Air",
+	color: 0x000000,
+	solid: false,
+	transparent: true,
+	opacity: 0,
+	hardness: 0
+});
+registerBlock({
+	id: BLOCK_TYPES.GRASS,
+	name: "Grass",
+	color: 0x228b22,
+	texture: { top: "grass_top", side: "grass_side", bottom: "dirt" },
+	hardness: 0.6,
+	tool: "shovel",
+	drop: "Grass"
+});
+registerBlock({
+	id: BLOCK_TYPES.SAND,
+	name: "Sand",
+	color: 0xffd700,
+	texture: "sand",
+	hardness: 0.5,
+	tool: "shovel",
+	drop: "Sand"
+});
+registerBlock({
+	id: BLOCK_TYPES.SNOW,
+	name: "Snow",
+	color: 0xffffff,
+	texture: "snow",
+	hardness: 0.3,
+	tool: "shovel",
+	drop: "Snow"
+});
+registerBlock({
+	id: BLOCK_TYPES.STONE,
+	name: "Stone",
+	color: 0x696969,
+	texture: "stone",
+	hardness: 1.5,
+	tool: "pickaxe",
+	drop: "Stone"
+});
+registerBlock({
+	id: BLOCK_TYPES.WATER,
+	name: "Water",
+	color: 0x4169e1,
+	texture: "water",
+	solid: false,
+	transparent: true,
+	opacity: 0.7,
+	hardness: 0,
+	lightOpacity: 1,
+	fluidLevel: WATER_SOURCE_LEVEL
+});
+for (let level = 1; level < WATER_SOURCE_LEVEL; level++) {
+	registerBlock({
+		id: FLOWING_WATER_FIRST_ID + level - 1,
+		name: "Flowing Water",
+		color: 0x4169e1,
+		texture: "water",
+		solid: false,
+		transparent: true,
+		opacity: 0.7,
+		hardness: 0,
+		lightOpacity: 1,
+		fluidLevel: level
+	});
+}
+registerBlock({
+	id: BLOCK_TYPES.WOOD,
+	name: "Wood",
+	color: 0x8b4513,
+	texture: { top: "log_top", side: "log_side", bottom: "log_top" },
+	hardness: 2,
+	tool: "axe",
+	drop: "Wood"
+});
+registerBlock({
+	id: BLOCK_TYPES.CRYSTAL,
+	name: "Crystal",
+	color: 0xff69b4,
+	texture: "crystal",
+	hardness: 3,
+	tool: "pickaxe",
+	drop: "Crystal",
+	light: 10
+});
+
+registerBlock({
+	id: BLOCK_TYPES.COAL_ORE,
+	name: "Coal Ore",
+	color: 0x3a3a3a,
+	texture: "coal_ore",
+	hardness: 2,
+	tool: "pickaxe",
+	drop: "Coal"
+});
+registerBlock({
+	id: BLOCK_TYPES.IRON_ORE,
+	name: "Iron Ore",
+	color: 0xb08d6e,
+	texture: "iron_ore",
+	hardness: 3,
+	tool: "pickaxe",
+	drop: "Iron"
+});
+registerBlock({
+	id: BLOCK_TYPES.CRYSTAL_ORE,
+	name: "Crystal Ore",
+	color: 0xd36ba8,
+	texture: "crystal_ore",
+	hardness: 4,
+	tool: "pickaxe",
+	drop: "Crystal"
+});
+
+// Crafted building blocks
+registerBlock({
+	id: BLOCK_TYPES.PLANKS,
+	name: "Planks",
+	color: 0xc19a6b,
+	texture: "planks",
+	hardness: 1.5,
+	tool: "axe",
+	drop: "Planks"
+});
+registerBlock({
+	id: BLOCK_TYPES.STONE_BRICKS,
+	name: "Stone Bricks",
+	color: 0x7d7d7d,
+	texture: "stone_bricks",
+	hardness: 2,
+	tool: "pickaxe",
+	drop: "Stone Bricks"
+});
+registerBlock({
+	id: BLOCK_TYPES.CRYSTAL_BRICKS,
+	name: "Crystal Bricks",
+	color: 0xe68fc9,
+	texture: "crystal_bricks",
+	hardness: 3,
+	tool: "pickaxe",
+	drop: "Crystal Bricks"
+});
+registerBlock({
+	id: BLOCK_TYPES.CRYSTAL_LAMP,
+	name: "Crystal Lamp",
+	color: 0xffc8ec,
+	texture: "crystal_lamp",
+	hardness: 1,
+	tool: "pickaxe",
+	drop: "Crystal Lamp",
+	light: MAX_LIGHT
+});
+
+// Vegetation
+registerBlock({
+	id: BLOCK_TYPES.LEAVES,
+	name: "Leaves",
+	color: 0x2e7d32,
+	texture: "leaves",
+	hardness: 0.2,
+	drop: "Leaves",
+	// Dims the light under a canopy rather than blocking it
+	lightOpacity: 1
+});
+registerBlock({
+	id: BLOCK_TYPES.CACTUS,
+	name: "Cactus",
+	color: 0x3f8f3a,
+	texture: { top: "cactus_top", side: "cactus_side", bottom: "cactus_top" },
+	hardness: 0.4,
+	drop: "Cactus"
+});
+registerBlock({
+	id: BLOCK_TYPES.TALL_GRASS,
+	name: "Tall Grass",
+	color: 0x5fa83a,
+	texture: "tall_grass",
+	solid: false,
+	shape: "cross",
+	hardness: 0
+});
+registerBlock({
+	id: BLOCK_TYPES.RED_FLOWER,
+	name: "Red Flower",
+	color: 0xd62828,
+	texture: "red_flower",
+	solid: false,
+	shape: "cross",
+	hardness: 0
+});
+registerBlock({
+	id: BLOCK_TYPES.YELLOW_FLOWER,
+	name: "Yellow Flower",
+	color: 0xf4d03f,
+	texture: "yellow_flower",
+	solid: false,
+	shape: "cross",
+	hardness: 0
+});
+
+/** Look up a block definition, falling back to air for unknown ids */
+export function getBlockDef(id) {
+	return BLOCKS[id] || BLOCKS[BLOCK_TYPES.AIR];
+}
+
+/** Water level of a block id: WATER_SOURCE_LEVEL for sources, 1-7 for flowing water, 0 otherwise */
+export function getFluidLevel(id) {
+	return getBlockDef(id).fluidLevel;
+}
+
+/** Block id of water at `level` (0 = air) */
+export function waterBlockForLevel(level) {
+	if (level <= 0) return BLOCK_TYPES.AIR;
+	if (level >= WATER_SOURCE_LEVEL) return BLOCK_TYPES.WATER;
+	return FLOWING_WATER_FIRST_ID + level - 1;
+}
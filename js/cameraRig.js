@@ -0,0 +1,85 @@
+/**
+ * Places the camera relative to the player each frame. Modes:
+ * - "first": at the player's eyes
+ * - "third": behind the player along the view direction, with the boom pulled
+ *   in when terrain is in the way
+ * - "free": noclip free-fly, detached from the player
+ * PointerLockControls keeps rotating the camera itself; the rig only moves it.
+ */
+import * as THREE from "three";
+import { raycastVoxels } from "./raycast.js";
+
+export const CAMERA_MODES = ["first", "third", "free"];
+
+const BOOM_LENGTH = 4;
+// Distance kept between the camera and the block that shortened the boom
+const BOOM_MARGIN = 0.2;
+const FREE_FLY_SPEED = 12; // blocks per second
+const FREE_FLY_FAST_FACTOR = 3;
+
+export class CameraRig {
+	/**
+	 * @param camera the three.js camera to move
+	 * @param isSolid (x, y, z) -> whether a cell blocks the third-person boom
+	 */
+	constructor(camera, isSolid) {
+		this.camera = camera;
+		this.isSolid = isSolid;
+		this.mode = "first";
+		this.boomLength = BOOM_LENGTH;
+		this.freePosition = new THREE.Vector3();
+		this.direction = new THREE.Vector3();
+		this.right = new THREE.Vector3();
+	}
+
+	/** Switch mode; free-fly starts wherever the camera is now */
+	setMode(mode) {
+		if (!CAMERA_MODES.includes(mode)) return;
+		if (mode === "free") this.freePosition.copy(this.camera.position);
+		this.mode = mode;
+	}
+
+	/** Advance to the next mode in CAMERA_MODES and return it */
+	cycleMode() {
+		const next = CAMERA_MODES.indexOf(this.mode) + 1;
+		this.setMode(CAMERA_MODES[next % CAMERA_MODES.length]);
+		return this.mode;
+	}
+
+	/**
+	 * Position the camera for this frame.
+	 * @param delta seconds since the last frame
+	 * @param eye the player's (interpolated) eye position
+	 * @param move free-fly input { forward, right, up } in -1..1, plus `fast`
+	 */
+	update(delta, eye, move) {
+		const camera = this.camera;
+		if (this.mode === "first") {
+			camera.position.copy(eye);
+		} else if (this.mode === "third") {
+			// The boom runs back along the view ray, so the crosshair still
+			// points along the player's line of sight
+			camera.getWorldDirection(this.direction).negate();
+			const hit = raycastVoxels(
+				eye.toArray(),
+				this.direction.toArray(),
+				this.boomLength,
+				this.isSolid
+			);
+			const length = hit
+				? Math.max(0, hit.dist - BOOM_MARGIN)
+				: this.boomLength;
+			camera.position.copy(eye).addScaledVector(this.direction, length);
+		} else {
+			camera.getWorldDirection(this.direction);
+			this.right.crossVectors(this.direction, camera.up).normalize();
+			const speed =
+				FREE_FLY_SPEED * (move.fast ? FREE_FLY_FAST_FACTOR : 1) * delta;
+			this.freePosition
+				.addScaledVector(this.direction, move.forward * speed)
+				.addScaledVector(this.right, move.right * speed)
+				.addScaledVector(camera.up, move.up * speed);
+			camera.position.copy(this.freePosition);
+		}
+	}
+}
@@ -0,0 +1,93 @@
+/**
+ * Dense chunk storage: one Uint8Array of block ids per chunk, holding the
+ * generated terrain with the player's edits applied. Shared by the main thread
+ * (block queries, collision, raycasts) and the chunk workers (meshing).
+ */
+import {
+	CHUNK_SIZE,
+	CHUNK_HEIGHT,
+	OVERHANG_RANGE,
+	SEA_LEVEL,
+	blockTypeAt
+} from "./terrain.js";
+import { BLOCK_TYPES } from "./blocks.js";
+import { decorateArea } from "./decoration.js";
+
+export const CHUNK_VOLUME = CHUNK_SIZE * CHUNK_HEIGHT * CHUNK_SIZE;
+
+// Order of the four neighbour chunks passed to the mesher and lighting: -X, +X, -Z, +Z
+export const NEIGHBOR_OFFSETS = [
+	[-1, 0],
+	[1, 0],
+	[0, -1],
+	[0, 1]
+];
+
+/** Index of chunk-local (x, y, z) in a chunk's voxel array */
+export function voxelIndex(x, y, z) {
+	return (y * CHUNK_SIZE + z) * CHUNK_SIZE + x;
+}
+
+/** Fill `column` (CHUNK_HEIGHT block ids, bottom up) with generated terrain at world (x, z) */
+export function generateColumn(terrain, x, z, column) {
+	const info = terrain.getColumn(x, z);
+	const top = Math.min(CHUNK_HEIGHT - 1, info.height + OVERHANG_RANGE);
+	column.fill(BLOCK_TYPES.AIR);
+	for (let y = 0; y <= top; y++) {
+		if (!terrain.isSolid(x, y, z, info)) continue;
+		const type = blockTypeAt(y, info.height, info.biome);
+		column[y] = type === BLOCK_TYPES.STONE ? terrain.oreAt(x, y, z) : type;
+	}
+	// Flood rivers and lowlands up to sea level (caves below the surface stay dry)
+	for (let y = info.height + 1; y <= SEA_LEVEL; y++) {
+		if (column[y] === BLOCK_TYPES.AIR) column[y] = BLOCK_TYPES.WATER;
+	}
+	return column;
+}
+
+/**
+ * Build the voxel array of a chunk from the terrain generator, its decorations
+ * (trees, plants...) and the chunk's edits (an object of world blockKey ->
+ * block id, as stored in chunkEdits).
+ */
+export function generateChunkData(chunkX, chunkZ, terrain, edits) {
+	const voxels = new Uint8Array(CHUNK_VOLUME);
+	const column = new Uint8Array(CHUNK_HEIGHT);
+	const startX = chunkX * CHUNK_SIZE;
+	const startZ = chunkZ * CHUNK_SIZE;
+	for (let x = 0; x < CHUNK_SIZE; x++) {
+		for (let z = 0; z < CHUNK_SIZE; z++) {
+			generateColumn(terrain, startX + x, startZ + z, column);
+			for (let y = 0; y < CHUNK_HEIGHT; y++) {
+				voxels[voxelIndex(x, y, z)] = column[y];
+			}
+		}
+	}
+	decorateArea(
+		terrain,
+		startX,
+		startZ,
+		startX + CHUNK_SIZE - 1,
+		startZ + CHUNK_SIZE - 1,
+		(x, y, z) => voxels[voxelIndex(x - startX, y, z - startZ)],
+		(x, y, z, id) => {
+			voxels[voxelIndex(x - startX, y, z - startZ)] = id;
+		}
+	);
+	if (edits) applyEdits(voxels, chunkX, chunkZ, edits);
+	return voxels;
+}
+
+/** Write edits (world blockKey -> block id) that fall inside the chunk into its voxels */
+export function applyEdits(voxels, chunkX, chunkZ, edits) {
+	const startX = chunkX * CHUNK_SIZE;
+	const startZ = chunkZ * CHUNK_SIZE;
+	for (const key in edits) {
+		const [wx, y, wz] = key.split(",").map(Number);
+		const x = wx - startX;
+		const z = wz - startZ;
+		if (x < 0 || x >= CHUNK_SIZE || z < 0 || z >= CHUNK_SIZE) continue;
+		if (y < 0 || y >= CHUNK_HEIGHT) continue;
+		voxels[voxelIndex(x, y, z)] = edits[key];
+	}
+}
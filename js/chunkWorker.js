@@ -0,0 +1,63 @@
+// Worker: chunk geometry builder (loaded as a module worker by the pool in app.js)
+import { TerrainGenerator } from "./terrain.js";
+import { generateChunkData } from "./chunkData.js";
+import { buildMeshVolume, buildLightVolume, greedyMesh } from "./mesher.js";
+import { computeChunkLight } from "./lighting.js";
+
+// Rebuilt only when the world seed changes
+let terrain = null;
+
+onmessage = function (e) {
+	const {
+		chunkX,
+		chunkZ,
+		seed,
+		voxels,
+		light,
+		neighbors,
+		neighborLights,
+		editedBlocks
+	} = e.data;
+	if (!terrain || terrain.seed !== seed) terrain = new TerrainGenerator(seed);
+
+	// Chunks the main thread hasn't populated yet are generated here and sent back
+	const center =
+		voxels || generateChunkData(chunkX, chunkZ, terrain, editedBlocks);
+	// Likewise chunks that haven't been lit yet
+	const centerLight = light || computeChunkLight(center, neighborLights);
+	const volume = buildMeshVolume(
+		center,
+		neighbors,
+		chunkX,
+		chunkZ,
+		terrain,
+		editedBlocks
+	);
+	const lights = buildLightVolume(volume, centerLight, neighborLights);
+	const { positions, normals, uvs, colors, blockLight, indices, groups } =
+		greedyMesh(volume, lights, chunkX, chunkZ);
+	// Hand the buffers over instead of copying them
+	postMessage(
+		{
+			positions,
+			normals,
+			uvs,
+			colors,
+			blockLight,
+			indices,
+			groups,
+			voxels: center,
+			light: centerLight
+		},
+		[
+			positions.buffer,
+			normals.buffer,
+			uvs.buffer,
+			colors.buffer,
+			blockLight.buffer,
+			indices.buffer,
+			center.buffer,
+			centerLight.buffer
+		]
+	);
+};
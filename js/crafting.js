@@ -0,0 +1,191 @@
+/**
+ * Crafting recipes. Recipes are plain data (see data/recipes.json) so new
+ * content doesn't need code changes:
+ * - shaped:    { "pattern": ["RR", "RR"], "key": { "R": "Stone" }, "result": { "item": "Stone Bricks", "count": 4 } }
+ *   Spaces in the pattern are empty cells; the shape may sit anywhere in the
+ *   grid and may be mirrored left to right.
+ * - shapeless: { "type": "shapeless", "ingredients": ["Wood"], "result": { "item": "Planks", "count": 4 } }
+ * Items are referred to by name (ITEM_TYPES in app.js). Free of DOM and
+ * three.js so it can run headless.
+ */
+
+// The crafting grid is GRID_SIZE x GRID_SIZE cells, row by row
+export const GRID_SIZE = 3;
+
+/**
+ * Validate recipe data and convert it to the form RecipeBook matches against.
+ * Throws an Error describing the first problem found.
+ */
+export function parseRecipe(data) {
+	const result = data?.result;
+	if (!result || typeof result.item !== "string") {
+		throw new Error("recipe needs a result item");
+	}
+	const recipe = {
+		type: data.type || "shaped",
+		result: { item: result.item, count: result.count ?? 1 }
+	};
+	if (!Number.isInteger(recipe.result.count) || recipe.result.count < 1) {
+		throw new Error(`bad result count for ${result.item}`);
+	}
+
+	if (recipe.type === "shapeless") {
+		const ingredients = data.ingredients;
+		if (!Array.isArray(ingredients) || ingredients.length === 0) {
+			throw new Error(`shapeless recipe for ${result.item} has no ingredients`);
+		}
+		if (ingredients.length > GRID_SIZE * GRID_SIZE) {
+			throw new Error(`too many ingredients for ${result.item}`);
+		}
+		recipe.ingredients = [...ingredients].sort();
+		return recipe;
+	}
+	if (recipe.type !== "shaped") {
+		throw new Error(`unknown recipe type "${recipe.type}"`);
+	}
+
+	const rows = data.pattern;
+	if (!Array.isArray(rows) || rows.length === 0 || rows.length > GRID_SIZE) {
+		throw new Error(`bad pattern for ${result.item}`);
+	}
+	const width = Math.max(...rows.map((row) => row.length));
+	if (width > GRID_SIZE) throw new Error(`pattern too wide for ${result.item}`);
+	recipe.width = width;
+	recipe.height = rows.length;
+	recipe.cells = [];
+	for (const row of rows) {
+		for (let x = 0; x < width; x++) {
+			const symbol = row[x] ?? " ";
+			if (symbol === " ") {
+				recipe.cells.push(null);
+				continue;
+			}
+			const item = data.key?.[symbol];
+			if (typeof item !== "string") {
+				throw new Error(
+					`pattern symbol "${symbol}" not in key for ${result.item}`
+				);
+			}
+			recipe.cells.push(item);
+		}
+	}
+	return recipe;
+}
+
+// Bounding box of the occupied cells of a grid, or null if it is empty
+function occupiedBounds(grid) {
+	let minX = GRID_SIZE;
+	let minY = GRID_SIZE;
+	let maxX = -1;
+	let maxY = -1;
+	grid.forEach((item, i) => {
+		if (!item) return;
+		const x = i % GRID_SIZE;
+		const y = Math.floor(i / GRID_SIZE);
+		minX = Math.min(minX, x);
+		minY = Math.min(minY, y);
+		maxX = Math.max(maxX, x);
+		maxY = Math.max(maxY, y);
+	});
+	return maxX < 0
+		? null
+		: { minX, minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+function matchesShaped(recipe, grid, bounds) {
+	if (bounds.width !== recipe.width || bounds.height !== recipe.height) {
+		return false;
+	}
+	const cellAt = (x, y) =>
+		grid[(bounds.minY + y) * GRID_SIZE + bounds.minX + x] || null;
+	const matches = (mirror) => {
+		for (let y = 0; y < recipe.height; y++) {
+			for (let x = 0; x < recipe.width; x++) {
+				const px = mirror ? recipe.width - 1 - x : x;
+				if (recipe.cells[y * recipe.width + px] !== cellAt(x, y)) return false;
+			}
+		}
+		return true;
+	};
+	return matches(false) || matches(true);
+}
+
+function matchesShapeless(recipe, grid) {
+	const items = grid.filter(Boolean).sort();
+	return (
+		items.length === recipe.ingredients.length &&
+		items.every((item, i) => item === recipe.ingredients[i])
+	);
+}
+
+export class RecipeBook {
+	/**
+	 * @param isKnownItem optional (name) -> boolean; recipes naming other items are rejected
+	 */
+	constructor(isKnownItem = () => true) {
+		this.isKnownItem = isKnownItem;
+		this.recipes = [];
+	}
+
+	/** Parse and add one recipe; throws if it is invalid */
+	add(data) {
+		const recipe = parseRecipe(data);
+		const items = [
+			recipe.result.item,
+			...(recipe.cells || recipe.ingredients).filter(Boolean)
+		];
+		const unknown = items.find((item) => !this.isKnownItem(item));
+		if (unknown) throw new Error(`unknown item "${unknown}"`);
+		this.recipes.push(recipe);
+		return recipe;
+	}
+
+	/**
+	 * Add every recipe in `list`, skipping invalid ones.
+	 * Returns the error messages of the skipped recipes.
+	 */
+	addAll(list) {
+		const errors = [];
+		for (const data of list) {
+			try {
+				this.add(data);
+			} catch (err) {
+				errors.push(err.message);
+			}
+		}
+		return errors;
+	}
+
+	/**
+	 * The recipe made by `grid` (GRID_SIZE * GRID_SIZE item names, null for
+	 * empty cells), or null if nothing matches.
+	 */
+	find(grid) {
+		const bounds = occupiedBounds(grid);
+		if (!bounds) return null;
+		for (const recipe of this.recipes) {
+			const matched =
+				recipe.type === "shapeless"
+					? matchesShapeless(recipe, grid)
+					: matchesShaped(recipe, grid, bounds);
+			if (matched) return recipe;
+		}
+		return null;
+	}
+}
+
+/**
+ * Fetch a JSON array of recipes from `url` into `book`.
+ * Resolves to the error messages of recipes that were skipped.
+ */
+export function loadRecipes(url, book) {
+	return fetch(url)
+		.then((response) => {
+			if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+			return response.json();
+		})
+		.then((list) => {
+			if (!Array.isArray(list)) throw new Error(`${url}: expected an array`);
+			return book.addAll(list);
+		});
+}
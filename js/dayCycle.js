@@ -0,0 +1,172 @@
+/**
+ * World clock and the sky it drives. Time of day is a fraction of a full day:
+ * 0 is midnight, 0.25 sunrise, 0.5 noon and 0.75 sunset. skyStateAt turns a
+ * time into sun and moon directions, light levels and sky colours, which
+ * app.js applies to the lights, sky dome and fog. Colours are [r, g, b] in
+ * 0..1.
+ */
+
+// Real seconds per game day by default (20 minutes)
+export const DEFAULT_DAY_LENGTH = 1200;
+export const MIN_DAY_LENGTH = 60;
+export const MAX_DAY_LENGTH = 3600;
+// New worlds start in the morning
+export const DEFAULT_START_TIME = 0.3;
+// Tilt of the sun's path towards +z, so noon light isn't straight down
+const ORBIT_TILT = 0.35;
+
+export class WorldClock {
+	constructor(dayLength = DEFAULT_DAY_LENGTH) {
+		this.timeOfDay = DEFAULT_START_TIME;
+		this.dayLength = dayLength;
+		// A frozen clock keeps the current time of day
+		this.frozen = false;
+	}
+
+	/** Set the time of day; any number wraps into [0, 1) */
+	setTime(timeOfDay) {
+		this.timeOfDay = ((timeOfDay % 1) + 1) % 1;
+	}
+
+	/** Seconds per day, clamped to [MIN_DAY_LENGTH, MAX_DAY_LENGTH] */
+	setDayLength(seconds) {
+		this.dayLength = Math.min(
+			MAX_DAY_LENGTH,
+			Math.max(MIN_DAY_LENGTH, seconds)
+		);
+	}
+
+	/** Advance by `dt` real seconds */
+	tick(dt) {
+		if (!this.frozen) this.setTime(this.timeOfDay + dt / this.dayLength);
+	}
+}
+
+/** Time of day as a 24 hour "HH:MM" clock */
+export function formatTimeOfDay(timeOfDay) {
+	const minutes = Math.floor(timeOfDay * 24 * 60) % (24 * 60);
+	const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+	const mm = String(minutes % 60).padStart(2, "0");
+	return `${hh}:${mm}`;
+}
+
+function hexToRgb(hex) {
+	return [
+		((hex >> 16) & 255) / 255,
+		((hex >> 8) & 255) / 255,
+		(hex & 255) / 255
+	];
+}
+
+/**
+ * Sky and light settings by sun elevation (sine of the sun's height above the
+ * horizon, -1 to 1). Values in between are blended, so sunrise and sunset
+ * look alike and the orange horizon only shows while the sun is low.
+ * `sunGlow` is how strongly the sky brightens around the sun.
+ */
+const SKY_KEYS = [
+	{
+		elevation: -1,
+		skyTop: 0x01020a,
+		horizon: 0x060a1c,
+		sunColor: 0xff9a55,
+		sunIntensity: 0,
+		moonIntensity: 0.18,
+		sunGlow: 0,
+		ambientColor: 0x7080c0,
+		ambientIntensity: 0.08
+	},
+	{
+		elevation: -0.15,
+		skyTop: 0x050a24,
+		horizon: 0x141c40,
+		sunColor: 0xff9a55,
+		sunIntensity: 0,
+		moonIntensity: 0.15,
+		sunGlow: 0,
+		ambientColor: 0x7080c0,
+		ambientIntensity: 0.1
+	},
+	{
+		elevation: 0,
+		skyTop: 0x2c3c78,
+		horizon: 0xf08a4b,
+		sunColor: 0xff9a55,
+		sunIntensity: 0.35,
+		moonIntensity: 0,
+		sunGlow: 0.6,
+		ambientColor: 0xc0a0a0,
+		ambientIntensity: 0.18
+	},
+	{
+		elevation: 0.25,
+		skyTop: 0x4f86d0,
+		horizon: 0xa9d3ef,
+		sunColor: 0xfff0d8,
+		sunIntensity: 0.85,
+		moonIntensity: 0,
+		sunGlow: 0.2,
+		ambientColor: 0xffffff,
+		ambientIntensity: 0.27
+	},
+	{
+		elevation: 1,
+		skyTop: 0x3f7fd6,
+		horizon: 0x87ceeb,
+		sunColor: 0xffffff,
+		sunIntensity: 1,
+		moonIntensity: 0,
+		sunGlow: 0.1,
+		ambientColor: 0xffffff,
+		ambientIntensity: 0.3
+	}
+].map((key) => ({
+	...key,
+	skyTop: hexToRgb(key.skyTop),
+	horizon: hexToRgb(key.horizon),
+	sunColor: hexToRgb(key.sunColor),
+	ambientColor: hexToRgb(key.ambientColor)
+}));
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const lerpColor = (a, b, t) => a.map((v, i) => lerp(v, b[i], t));
+
+/**
+ * Everything the sky looks like at `timeOfDay`:
+ * { sunDirection, moonDirection (unit [x, y, z] towards each), sunColor,
+ *   sunIntensity, moonIntensity, sunGlow, ambientColor, ambientIntensity,
+ *   skyTop, horizon } - fog should use the horizon colour to blend into the
+ *   sky.
+ */
+export function skyStateAt(timeOfDay) {
+	const angle = (timeOfDay - 0.25) * Math.PI * 2;
+	const length = Math.hypot(1, ORBIT_TILT);
+	const sunDirection = [
+		Math.cos(angle) / length,
+		Math.sin(angle) / length,
+		ORBIT_TILT / length
+	];
+	const moonDirection = sunDirection.map((v) => -v);
+
+	const elevation = sunDirection[1];
+	let upper = SKY_KEYS.findIndex((key) => key.elevation >= elevation);
+	if (upper <= 0) upper = 1;
+	const a = SKY_KEYS[upper - 1];
+	const b = SKY_KEYS[upper];
+	const t = Math.min(
+		1,
+		Math.max(0, (elevation - a.elevation) / (b.elevation - a.elevation))
+	);
+	return {
+		sunDirection,
+		moonDirection,
+		sunColor: lerpColor(a.sunColor, b.sunColor, t),
+		sunIntensity: lerp(a.sunIntensity, b.sunIntensity, t),
+		moonIntensity: lerp(a.moonIntensity, b.moonIntensity, t),
+		sunGlow: lerp(a.sunGlow, b.sunGlow, t),
+		ambientColor: lerpColor(a.ambientColor, b.ambientColor, t),
+		ambientIntensity: lerp(a.ambientIntensity, b.ambientIntensity, t),
+		skyTop: lerpColor(a.skyTop, b.skyTop, t),
+		horizon: lerpColor(a.horizon, b.horizon, t)
+	};
+}
@@ -0,0 +1,220 @@
+/**
+ * Decoration pass run after the terrain: trees, cacti, tall grass, flowers and
+ * boulders, picked per biome from BIOME_FEATURES. Features are placed from the
+ * world seed and chunk coordinates (chunkRandom) and may reach FEATURE_REACH
+ * blocks into the next chunk, so an area is decorated from the features of
+ * every chunk around it. That way a chunk and the mesher's border columns
+ * next to it agree on where the leaves are. Free of DOM and three.js so it
+ * runs in the chunk workers.
+ */
+import { BLOCK_TYPES, getBlockDef } from "./blocks.js";
+import {
+	BIOME_TYPES,
+	CHUNK_SIZE,
+	CHUNK_HEIGHT,
+	SEA_LEVEL,
+	blockTypeAt,
+	chunkRandom
+} from "./terrain.js";
+
+// Furthest a feature's blocks reach sideways from the column it grows from
+const FEATURE_REACH = 2;
+// chunkRandom salt for feature placement; the unsalted stream, so existing
+// worlds keep their trees where they were
+const FEATURE_SALT = 0;
+
+/**
+ * Features per biome. Each column gets at most one: a single random roll is
+ * checked against the chances in order. `ground` lists the surface blocks
+ * the feature grows on.
+ */
+const BIOME_FEATURES = new Map([
+	[
+		BIOME_TYPES.FOREST,
+		[
+			{ feature: "oak", chance: 0.02, ground: [BLOCK_TYPES.GRASS] },
+			{ feature: "tallGrass", chance: 0.15, ground: [BLOCK_TYPES.GRASS] },
+			{ feature: "flower", chance: 0.03, ground: [BLOCK_TYPES.GRASS] },
+			{ feature: "boulder", chance: 0.002, ground: [BLOCK_TYPES.GRASS] }
+		]
+	],
+	[
+		BIOME_TYPES.SNOW,
+		[{ feature: "spruce", chance: 0.012, ground: [BLOCK_TYPES.SNOW] }]
+	],
+	[
+		BIOME_TYPES.DESERT,
+		[{ feature: "cactus", chance: 0.006, ground: [BLOCK_TYPES.SAND] }]
+	],
+	[
+		BIOME_TYPES.STONE,
+		[
+			{ feature: "boulder", chance: 0.012, ground: [BLOCK_TYPES.GRASS] },
+			{ feature: "tallGrass", chance: 0.05, ground: [BLOCK_TYPES.GRASS] }
+		]
+	]
+]);
+
+// Rolls at or above this can't pick anything in any biome
+const MAX_FEATURE_CHANCE = Math.max(
+	...[...BIOME_FEATURES.values()].map((table) =>
+		table.reduce((sum, entry) => sum + entry.chance, 0)
+	)
+);
+
+function pickFeature(table, roll) {
+	if (!table) return null;
+	for (const entry of table) {
+		if (roll < entry.chance) return entry;
+		roll -= entry.chance;
+	}
+	return null;
+}
+
+// Can a feature put block `id` where `existing` is? Only into air, except
+// that trunks push through leaves and plants whichever came first. Other
+// overlaps are settled by the fixed feature order in decorateArea.
+function canReplace(existing, id) {
+	if (existing === BLOCK_TYPES.AIR) return true;
+	if (id !== BLOCK_TYPES.WOOD) return false;
+	return (
+		existing === BLOCK_TYPES.LEAVES || getBlockDef(existing).shape === "cross"
+	);
+}
+
+/**
+ * How each feature is built. `f` is { x, y, z, variant } with (x, y, z) the
+ * air cell above the ground it grows on and `variant` a random number in
+ * [0, 1) for its size or colour. `place(x, y, z, id)` writes one block.
+ */
+const FEATURE_BUILDERS = {
+	oak(f, place) {
+		const height = 4 + Math.floor(f.variant * 3);
+		const top = f.y + height - 1;
+		for (let y = top - 2; y <= top + 1; y++) {
+			const radius = y < top ? 2 : 1;
+			for (let dx = -radius; dx <= radius; dx++) {
+				for (let dz = -radius; dz <= radius; dz++) {
+					// Round off the corners of each layer
+					if (Math.abs(dx) === radius && Math.abs(dz) === radius) continue;
+					place(f.x + dx, y, f.z + dz, BLOCK_TYPES.LEAVES);
+				}
+			}
+		}
+		for (let y = f.y; y <= top; y++) place(f.x, y, f.z, BLOCK_TYPES.WOOD);
+	},
+	spruce(f, place) {
+		const height = 6 + Math.floor(f.variant * 3);
+		const top = f.y + height;
+		place(f.x, top, f.z, BLOCK_TYPES.LEAVES);
+		// Layers alternate between a plus shape and a wider square, widest at the bottom
+		for (let y = top - 1, layer = 0; y >= f.y + 2; y--, layer++) {
+			const wide = layer % 2 === 1;
+			const radius = wide && layer >= 3 ? FEATURE_REACH : 1;
+			for (let dx = -radius; dx <= radius; dx++) {
+				for (let dz = -radius; dz <= radius; dz++) {
+					const corner = Math.abs(dx) === radius && Math.abs(dz) === radius;
+					if (corner && (!wide || radius > 1)) continue;
+					place(f.x + dx, y, f.z + dz, BLOCK_TYPES.LEAVES);
+				}
+			}
+		}
+		for (let y = f.y; y < top; y++) place(f.x, y, f.z, BLOCK_TYPES.WOOD);
+	},
+	cactus(f, place) {
+		const height = 1 + Math.floor(f.variant * 3);
+		for (let dy = 0; dy < height; dy++) {
+			place(f.x, f.y + dy, f.z, BLOCK_TYPES.CACTUS);
+		}
+	},
+	tallGrass(f, place) {
+		place(f.x, f.y, f.z, BLOCK_TYPES.TALL_GRASS);
+	},
+	flower(f, place) {
+		const id =
+			f.variant < 0.5 ? BLOCK_TYPES.RED_FLOWER : BLOCK_TYPES.YELLOW_FLOWER;
+		place(f.x, f.y, f.z, id);
+	},
+	boulder(f, place) {
+		// Half sunk into the ground, since features only fill air
+		const radius = f.variant < 0.6 ? 1 : FEATURE_REACH;
+		for (let dx = -radius; dx <= radius; dx++) {
+			for (let dy = -radius; dy <= radius; dy++) {
+				for (let dz = -radius; dz <= radius; dz++) {
+					if (dx * dx + dy * dy + dz * dz > radius * radius + 0.5) continue;
+					place(f.x + dx, f.y + dy, f.z + dz, BLOCK_TYPES.STONE);
+				}
+			}
+		}
+	}
+};
+
+// Feature lists of recently used chunks; neighbouring chunks need them too
+const featureCache = new Map(); // "seed:chunkX,chunkZ" -> features
+const FEATURE_CACHE_SIZE = 256;
+
+/** Features growing from columns of chunk (chunkX, chunkZ), in a fixed order */
+function chunkFeatures(terrain, chunkX, chunkZ) {
+	const key = `${terrain.seed}:${chunkX},${chunkZ}`;
+	let features = featureCache.get(key);
+	if (features) return features;
+
+	features = [];
+	const random = chunkRandom(terrain.seed, chunkX, chunkZ, FEATURE_SALT);
+	for (let lz = 0; lz < CHUNK_SIZE; lz++) {
+		for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+			// Two draws per column whatever happens, so columns stay independent
+			const roll = random();
+			const variant = random();
+			if (roll >= MAX_FEATURE_CHANCE) continue;
+			const x = chunkX * CHUNK_SIZE + lx;
+			const z = chunkZ * CHUNK_SIZE + lz;
+			const column = terrain.getColumn(x, z);
+			const entry = pickFeature(BIOME_FEATURES.get(column.biome), roll);
+			if (!entry) continue;
+			const ground = column.height;
+			// Nothing grows under water or out of the top of the world
+			if (ground < SEA_LEVEL || ground + 1 >= CHUNK_HEIGHT) continue;
+			// Caves, ravines and overhangs can move the real surface off the heightmap
+			if (!terrain.isSolid(x, ground, z, column)) continue;
+			if (terrain.isSolid(x, ground + 1, z, column)) continue;
+			if (!entry.ground.includes(blockTypeAt(ground, ground, column.biome))) {
+				continue;
+			}
+			features.push({ type: entry.feature, x, y: ground + 1, z, variant });
+		}
+	}
+
+	if (featureCache.size >= FEATURE_CACHE_SIZE) {
+		featureCache.delete(featureCache.keys().next().value);
+	}
+	featureCache.set(key, features);
+	return features;
+}
+
+/**
+ * Place every decoration block that falls in the columns minX..maxX,
+ * minZ..maxZ (world coordinates, inclusive). `get(x, y, z)` and
+ * `set(x, y, z, id)` read and write the blocks of that area.
+ */
+export function decorateArea(terrain, minX, minZ, maxX, maxZ, get, set) {
+	const place = (x, y, z, id) => {
+		if (x < minX || x > maxX || z < minZ || z > maxZ) return;
+		if (y < 0 || y >= CHUNK_HEIGHT) return;
+		if (canReplace(get(x, y, z), id)) set(x, y, z, id);
+	};
+	const firstChunkX = Math.floor((minX - FEATURE_REACH) / CHUNK_SIZE);
+	const lastChunkX = Math.floor((maxX + FEATURE_REACH) / CHUNK_SIZE);
+	const firstChunkZ = Math.floor((minZ - FEATURE_REACH) / CHUNK_SIZE);
+	const lastChunkZ = Math.floor((maxZ + FEATURE_REACH) / CHUNK_SIZE);
+	// Always in the same global order, so overlapping features resolve the same way everywhere
+	for (let chunkX = firstChunkX; chunkX <= lastChunkX; chunkX++) {
+		for (let chunkZ = firstChunkZ; chunkZ <= lastChunkZ; chunkZ++) {
+			for (const f of chunkFeatures(terrain, chunkX, chunkZ)) {
+				if (f.x + FEATURE_REACH < minX || f.x - FEATURE_REACH > maxX) continue;
+				if (f.z + FEATURE_REACH < minZ || f.z - FEATURE_REACH > maxZ) continue;
+				FEATURE_BUILDERS[f.type](f, place);
+			}
+		}
+	}
+}
@@ -0,0 +1,181 @@
+/**
+ * Far terrain: simplified heightmap meshes from computeHeight out past the
+ * voxel chunks. The ground around the player is split into a quadtree whose
+ * tiles get bigger with distance; every tile is TILE_CELLS cells across
+ * whatever its size, so each one costs about the same and the triangle count
+ * stays bounded however far the terrain reaches. Tiles leave holes where
+ * voxel chunks are loaded and hang skirts down from every open edge, which
+ * hides the cracks between tiles of different sizes and against the voxel
+ * chunks. Free of DOM and three.js so it can run headless.
+ */
+import { BLOCK_TYPES } from "./blocks.js";
+import { CHUNK_SIZE, SEA_LEVEL, blockTypeAt } from "./terrain.js";
+
+// Edge of the quadtree's root tiles, in chunks
+export const FAR_ROOT_CHUNKS = 16;
+// Cells along each edge of every tile
+const TILE_CELLS = 16;
+// A tile splits in four while the player is closer than this many of its edges
+const SPLIT_DISTANCE = 1.5;
+
+/** Is chunk (chunkX, chunkZ) meshed as voxels with the player in chunk (centerX, centerZ)? Matches updateChunks. */
+export function isVoxelChunk(chunkX, chunkZ, centerX, centerZ, voxelRadius) {
+	return Math.hypot(chunkX - centerX, chunkZ - centerZ) <= voxelRadius;
+}
+
+/**
+ * The far terrain tiles around chunk (centerX, centerZ) out to `radius`
+ * chunks, leaving out what the voxel chunks within `voxelRadius` cover.
+ * Each is { x, z, size } (first chunk and edge, in chunks), `voxels` (null,
+ * or per chunk of the tile, row by row, whether it is a voxel chunk) and a
+ * `key` that changes whenever the tile's mesh would.
+ */
+export function farTiles(centerX, centerZ, voxelRadius, radius) {
+	const tiles = [];
+	// Distance in chunks from the player's chunk to the nearest chunk of a tile
+	const distance = (x, z, size) =>
+		Math.hypot(
+			Math.max(0, x - centerX, centerX - (x + size - 1)),
+			Math.max(0, z - centerZ, centerZ - (z + size - 1))
+		);
+	const visit = (x, z, size) => {
+		if (distance(x, z, size) > radius) return;
+		if (size > 1 && distance(x, z, size) < size * SPLIT_DISTANCE) {
+			const half = size / 2;
+			visit(x, z, half);
+			visit(x + half, z, half);
+			visit(x, z + half, half);
+			visit(x + half, z + half, half);
+			return;
+		}
+		const voxels = [];
+		for (let dz = 0; dz < size; dz++) {
+			for (let dx = 0; dx < size; dx++) {
+				voxels.push(
+					isVoxelChunk(x + dx, z + dz, centerX, centerZ, voxelRadius)
+				);
+			}
+		}
+		if (voxels.every(Boolean)) return;
+		const partly = voxels.some(Boolean);
+		tiles.push({
+			x,
+			z,
+			size,
+			voxels: partly ? voxels : null,
+			key: `${x},${z},${size}${partly ? ":" + voxels.map(Number).join("") : ""}`
+		});
+	};
+	const first = (c) => Math.floor((c - radius) / FAR_ROOT_CHUNKS);
+	const last = (c) => Math.floor((c + radius) / FAR_ROOT_CHUNKS);
+	for (let rx = first(centerX); rx <= last(centerX); rx++) {
+		for (let rz = first(centerZ); rz <= last(centerZ); rz++) {
+			visit(rx * FAR_ROOT_CHUNKS, rz * FAR_ROOT_CHUNKS, FAR_ROOT_CHUNKS);
+		}
+	}
+	return tiles;
+}
+
+/**
+ * Mesh a tile from farTiles: the surface of `terrain` sampled every
+ * `size` blocks, water at sea level, each vertex coloured by
+ * `surfaceColor(blockId)` ([r, g, b], 0..255) of the block on top.
+ * Returns { positions, normals, colors, indices } in world space.
+ */
+export function buildFarTile(terrain, tile, surfaceColor) {
+	const step = (tile.size * CHUNK_SIZE) / TILE_CELLS;
+	const originX = tile.x * CHUNK_SIZE;
+	const originZ = tile.z * CHUNK_SIZE;
+	const side = TILE_CELLS + 1;
+	// One sample ring beyond the tile, for the normals along its edges
+	const heights = new Int16Array((side + 2) * (side + 2));
+	for (let j = -1; j <= side; j++) {
+		for (let i = -1; i <= side; i++) {
+			heights[(j + 1) * (side + 2) + i + 1] = terrain.computeHeight(
+				originX + i * step,
+				originZ + j * step
+			);
+		}
+	}
+	const heightAt = (i, j) => heights[(j + 1) * (side + 2) + i + 1];
+	// Top of the surface block, or of the water over it
+	const surfaceAt = (i, j) => Math.max(heightAt(i, j), SEA_LEVEL) + 1;
+
+	const positions = [];
+	const normals = [];
+	const colors = [];
+	const indices = [];
+	const addVertex = (i, j, y, normal, color) => {
+		positions.push(originX + i * step, y, originZ + j * step);
+		normals.push(...normal);
+		colors.push(...color);
+		return positions.length / 3 - 1;
+	};
+	const grid = [];
+	for (let j = 0; j < side; j++) {
+		for (let i = 0; i < side; i++) {
+			const h = heightAt(i, j);
+			const biome = terrain.getBiome(originX + i * step, originZ + j * step);
+			const id = h < SEA_LEVEL ? BLOCK_TYPES.WATER : blockTypeAt(h, h, biome);
+			const nx = surfaceAt(i - 1, j) - surfaceAt(i + 1, j);
+			const nz = surfaceAt(i, j - 1) - surfaceAt(i, j + 1);
+			const length = Math.hypot(nx, 2 * step, nz);
+			const vertex = {
+				y: surfaceAt(i, j),
+				normal: [nx / length, (2 * step) / length, nz / length],
+				color: surfaceColor(id)
+			};
+			grid.push(vertex);
+			addVertex(i, j, vertex.y, vertex.normal, vertex.color);
+		}
+	}
+
+	// Cells over voxel chunks are left out; every cell lies within one chunk
+	const cellsPerChunk = TILE_CELLS / tile.size;
+	const drawn = (i, j) => {
+		if (i < 0 || j < 0 || i >= TILE_CELLS || j >= TILE_CELLS) return false;
+		if (!tile.voxels) return true;
+		const chunk =
+			Math.floor(j / cellsPerChunk) * tile.size + Math.floor(i / cellsPerChunk);
+		return !tile.voxels[chunk];
+	};
+	// Deep enough to cover the height difference to a neighbour sampled more coarsely
+	const skirtDepth = 4 + 2 * step;
+	const corner = (i, j) => j * side + i;
+	for (let j = 0; j < TILE_CELLS; j++) {
+		for (let i = 0; i < TILE_CELLS; i++) {
+			if (!drawn(i, j)) continue;
+			const a = corner(i, j);
+			const b = corner(i + 1, j);
+			const c = corner(i + 1, j + 1);
+			const d = corner(i, j + 1);
+			indices.push(a, d, c, a, c, b);
+			// Skirts hang from the edges shared with no drawn cell
+			for (const [di, dj, from, to] of [
+				[0, -1, a, b],
+				[1, 0, b, c],
+				[0, 1, c, d],
+				[-1, 0, d, a]
+			]) {
+				if (drawn(i + di, j + dj)) continue;
+				const bottom = [from, to].map((v) =>
+					addVertex(
+						v % side,
+						Math.floor(v / side),
+						grid[v].y - skirtDepth,
+						grid[v].normal,
+						grid[v].color
+					)
+				);
+				indices.push(from, bottom[0], bottom[1], from, bottom[1], to);
+			}
+		}
+	}
+
+	return {
+		positions: new Float32Array(positions),
+		normals: new Float32Array(normals),
+		colors: new Uint8Array(colors),
+		indices: new Uint32Array(indices)
+	};
+}
@@ -0,0 +1,145 @@
+/**
+ * Cellular water simulation. Water cells are re-evaluated when something next
+ * to them changes: sources and flowing water fall into air below, spread
+ * sideways one level thinner when resting on something, and flowing water
+ * that loses its supply drains away. Work is bounded by `maxUpdatesPerTick`
+ * and by the water levels, which stop sideways spread after a few blocks.
+ * Free of DOM and three.js so it can be driven headless.
+ */
+import {
+	BLOCK_TYPES,
+	WATER_SOURCE_LEVEL,
+	getFluidLevel,
+	waterBlockForLevel
+} from "./blocks.js";
+import { CHUNK_HEIGHT, blockKey } from "./terrain.js";
+
+// Level of water falling straight down; it spreads from here when it lands
+const FALLING_LEVEL = WATER_SOURCE_LEVEL - 1;
+
+const HORIZONTAL_OFFSETS = [
+	[1, 0],
+	[-1, 0],
+	[0, 1],
+	[0, -1]
+];
+
+// Can water flow into a cell holding block `id`?
+function isReplaceable(id) {
+	if (id === BLOCK_TYPES.AIR) return true;
+	const level = getFluidLevel(id);
+	return level > 0 && level < WATER_SOURCE_LEVEL;
+}
+
+export class FluidSimulator {
+	/**
+	 * @param world.getBlock (x, y, z) -> block id; report unloaded cells as solid
+	 * @param world.setBlock (x, y, z, id) -> write a block without scheduling updates
+	 * @param maxUpdatesPerTick cells evaluated per tick(); the rest wait for later ticks
+	 */
+	constructor(world, maxUpdatesPerTick = 256) {
+		this.world = world;
+		this.maxUpdatesPerTick = maxUpdatesPerTick;
+		this.pending = new Map(); // blockKey -> [x, y, z]
+	}
+
+	/** Queue the cell at (x, y, z) for evaluation */
+	schedule(x, y, z) {
+		if (y < 0 || y >= CHUNK_HEIGHT) return;
+		this.pending.set(blockKey(x, y, z), [x, y, z]);
+	}
+
+	/** Queue a cell and its six neighbours, e.g. after it changed */
+	scheduleAround(x, y, z) {
+		this.schedule(x, y, z);
+		this.schedule(x, y + 1, z);
+		this.schedule(x, y - 1, z);
+		for (const [dx, dz] of HORIZONTAL_OFFSETS) this.schedule(x + dx, y, z + dz);
+	}
+
+	/** Drop all queued updates (e.g. when another world is loaded) */
+	clear() {
+		this.pending.clear();
+	}
+
+	/** True while updates are queued */
+	get active() {
+		return this.pending.size > 0;
+	}
+
+	/**
+	 * Evaluate up to maxUpdatesPerTick queued cells. Cells queued during this
+	 * tick run on the next one, so water advances one block per tick.
+	 * Returns the [x, y, z] cells whose block changed.
+	 */
+	tick() {
+		const changed = [];
+		const batch = [];
+		for (const [key, pos] of this.pending) {
+			if (batch.length >= this.maxUpdatesPerTick) break;
+			batch.push(pos);
+			this.pending.delete(key);
+		}
+		for (const [x, y, z] of batch) this.updateCell(x, y, z, changed);
+		return changed;
+	}
+
+	// Write a block, remember the change and wake the neighbours
+	write(x, y, z, id, changed) {
+		this.world.setBlock(x, y, z, id);
+		changed.push([x, y, z]);
+		this.scheduleAround(x, y, z);
+	}
+
+	// Does water at (x, y, z) spread sideways (rather than falling further)?
+	spreadsSideways(x, y, z) {
+		if (y === 0) return true;
+		const below = this.world.getBlock(x, y - 1, z);
+		return !isReplaceable(below);
+	}
+
+	updateCell(x, y, z, changed) {
+		const { getBlock } = this.world;
+		let level = getFluidLevel(getBlock(x, y, z));
+		if (level === 0) return;
+
+		if (level < WATER_SOURCE_LEVEL) {
+			// Flowing water keeps the level its neighbours feed it, or drains
+			let expected = 0;
+			if (getFluidLevel(getBlock(x, y + 1, z)) > 0) expected = FALLING_LEVEL;
+			let adjacentSources = 0;
+			for (const [dx, dz] of HORIZONTAL_OFFSETS) {
+				const neighborLevel = getFluidLevel(getBlock(x + dx, y, z + dz));
+				if (neighborLevel === WATER_SOURCE_LEVEL) adjacentSources++;
+				if (neighborLevel > 1 && this.spreadsSideways(x + dx, y, z + dz)) {
+					expected = Math.max(expected, neighborLevel - 1);
+				}
+			}
+			// Flowing water between two sources becomes a source itself
+			if (adjacentSources >= 2 && this.spreadsSideways(x, y, z)) {
+				expected = WATER_SOURCE_LEVEL;
+			}
+			if (expected !== level) {
+				this.write(x, y, z, waterBlockForLevel(expected), changed);
+				level = expected;
+				if (level === 0) return;
+			}
+		}
+
+		// Fall first; only water resting on something spreads sideways
+		if (y > 0 && isReplaceable(getBlock(x, y - 1, z))) {
+			if (getFluidLevel(getBlock(x, y - 1, z)) < FALLING_LEVEL) {
+				this.write(x, y - 1, z, waterBlockForLevel(FALLING_LEVEL), changed);
+			}
+			return;
+		}
+		const next = level - 1;
+		if (next < 1) return;
+		for (const [dx, dz] of HORIZONTAL_OFFSETS) {
+			const id = getBlock(x + dx, y, z + dz);
+			if (isReplaceable(id) && getFluidLevel(id) < next) {
+				this.write(x + dx, y, z + dz, waterBlockForLevel(next), changed);
+			}
+		}
+	}
+}
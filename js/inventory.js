@@ -0,0 +1,211 @@
+/**
+ * Player inventory model: the hotbar (the first HOTBAR_SIZE slots) followed by
+ * the backpack, plus the stack held on the mouse cursor while rearranging.
+ * Slots are { type, count } with `type` an item name (null when empty).
+ * Free of DOM and three.js so it can run headless; app.js draws it.
+ */
+
+export const HOTBAR_SIZE = 8;
+export const BACKPACK_SIZE = 27;
+// Most items one slot holds unless the item says otherwise (tools hold one)
+export const STACK_LIMIT = 64;
+
+function emptySlot() {
+	return { type: null, count: 0 };
+}
+
+// Move up to `count` items from `from` into `to`; returns how many moved
+function transfer(from, to, count) {
+	if (from.count === 0 || count <= 0) return 0;
+	if (to.type !== null && to.type !== from.type) return 0;
+	to.type = from.type;
+	to.count += count;
+	from.count -= count;
+	if (from.count === 0) from.type = null;
+	return count;
+}
+
+export class Inventory {
+	/**
+	 * @param maxStackOf optional (name) -> how many of that item one slot holds
+	 */
+	constructor(maxStackOf = () => STACK_LIMIT) {
+		this.maxStackOf = maxStackOf;
+		this.slots = Array.from({ length: HOTBAR_SIZE + BACKPACK_SIZE }, emptySlot);
+		this.selectedSlot = 0;
+		// Stack picked up with the mouse, not in any slot until it is put down
+		this.cursor = emptySlot();
+	}
+
+	/** The selected hotbar slot */
+	get selected() {
+		return this.slots[this.selectedSlot];
+	}
+
+	/** Is slot `index` part of the hotbar (rather than the backpack)? */
+	isHotbar(index) {
+		return index < HOTBAR_SIZE;
+	}
+
+	/** Empty every slot and the cursor */
+	clear() {
+		for (const slot of [...this.slots, this.cursor]) {
+			slot.type = null;
+			slot.count = 0;
+		}
+		this.selectedSlot = 0;
+	}
+
+	/** Select hotbar slot `index`; out of range indices are ignored */
+	select(index) {
+		if (index >= 0 && index < HOTBAR_SIZE) this.selectedSlot = index;
+	}
+
+	/** Move the hotbar selection by `step` slots, wrapping around (mouse wheel) */
+	scrollSelection(step) {
+		this.selectedSlot =
+			(((this.selectedSlot + step) % HOTBAR_SIZE) + HOTBAR_SIZE) % HOTBAR_SIZE;
+	}
+
+	// Indices of the hotbar or backpack slots
+	range(hotbar) {
+		const start = hotbar ? 0 : HOTBAR_SIZE;
+		const end = hotbar ? HOTBAR_SIZE : this.slots.length;
+		return Array.from({ length: end - start }, (_, i) => start + i);
+	}
+
+	// Put `count` items called `name` into the slots at `indices`, topping up
+	// stacks before using empty slots. Returns how many didn't fit.
+	fill(indices, name, count) {
+		const maxStack = this.maxStackOf(name);
+		for (const onlyStacks of [true, false]) {
+			for (const i of indices) {
+				if (count === 0) return 0;
+				const slot = this.slots[i];
+				if (onlyStacks ? slot.type !== name : slot.type !== null) continue;
+				const added = Math.min(count, maxStack - slot.count);
+				if (added <= 0) continue;
+				slot.type = name;
+				slot.count += added;
+				count -= added;
+			}
+		}
+		return count;
+	}
+
+	/**
+	 * Add `count` items called `name`, hotbar first. Returns how many didn't
+	 * fit; the rest are added either way.
+	 */
+	add(name, count = 1) {
+		return this.fill([...this.range(true), ...this.range(false)], name, count);
+	}
+
+	/** How many more items called `name` fit */
+	roomFor(name) {
+		const maxStack = this.maxStackOf(name);
+		return this.slots.reduce((room, slot) => {
+			if (slot.type === null) return room + maxStack;
+			if (slot.type === name) return room + Math.max(0, maxStack - slot.count);
+			return room;
+		}, 0);
+	}
+
+	/** Take up to `count` items out of slot `index`; returns how many were taken */
+	removeFrom(index, count = 1) {
+		const slot = this.slots[index];
+		const taken = Math.min(count, slot.count);
+		slot.count -= taken;
+		if (slot.count === 0) slot.type = null;
+		return taken;
+	}
+
+	/**
+	 * Left click on slot `index`: pick up its stack, put the held stack down,
+	 * merge it into a matching stack with room, or swap it with a different or
+	 * full one.
+	 */
+	clickSlot(index) {
+		const slot = this.slots[index];
+		const cursor = this.cursor;
+		const room =
+			slot.type === cursor.type ? this.maxStackOf(slot.type) - slot.count : 0;
+		if (cursor.count === 0) {
+			transfer(slot, cursor, slot.count);
+		} else if (room > 0) {
+			transfer(cursor, slot, Math.min(room, cursor.count));
+		} else {
+			this.slots[index] = cursor;
+			this.cursor = slot;
+		}
+	}
+
+	/**
+	 * Right click on slot `index`: with an empty cursor pick up half the stack
+	 * (rounded up), otherwise put one held item down.
+	 */
+	rightClickSlot(index) {
+		const slot = this.slots[index];
+		const cursor = this.cursor;
+		if (cursor.count === 0) {
+			transfer(slot, cursor, Math.ceil(slot.count / 2));
+		} else if (slot.count < this.maxStackOf(cursor.type)) {
+			transfer(cursor, slot, 1);
+		}
+	}
+
+	/**
+	 * Shift click on slot `index`: move its stack between the hotbar and the
+	 * backpack. Whatever doesn't fit stays where it was.
+	 */
+	quickMove(index) {
+		const slot = this.slots[index];
+		if (slot.count === 0) return;
+		const targets = this.range(!this.isHotbar(index));
+		slot.count = this.fill(targets, slot.type, slot.count);
+		if (slot.count === 0) slot.type = null;
+	}
+
+	/**
+	 * Put the held stack back into the slots (e.g. when the inventory screen
+	 * closes). Returns how many items didn't fit; those stay on the cursor.
+	 */
+	returnCursor() {
+		const cursor = this.cursor;
+		if (cursor.count === 0) return 0;
+		cursor.count = this.add(cursor.type, cursor.count);
+		if (cursor.count === 0) cursor.type = null;
+		return cursor.count;
+	}
+
+	/** Plain data for saving */
+	serialize() {
+		const copy = (s) => ({ type: s.type, count: s.count });
+		return {
+			slots: this.slots.map(copy),
+			selectedSlot: this.selectedSlot,
+			cursor: copy(this.cursor)
+		};
+	}
+
+	/**
+	 * Restore saved data. Saves with fewer slots (from before the backpack)
+	 * fill the hotbar and leave the rest empty. A stack that was held on the
+	 * cursor goes back into the slots.
+	 */
+	load(data) {
+		this.clear();
+		this.slots.forEach((slot, i) => {
+			const saved = data?.slots?.[i];
+			if (!saved?.type || !(saved.count > 0)) return;
+			slot.type = saved.type;
+			slot.count = saved.count;
+		});
+		this.select(data?.selectedSlot ?? 0);
+		const held = data?.cursor;
+		if (held?.type && held.count > 0) {
+			Object.assign(this.cursor, held);
+			this.returnCursor();
+		}
+	}
+}
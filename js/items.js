@@ -0,0 +1,99 @@
+/**
+ * Items lying in the world: small boxes that fall under gravity, slide to a
+ * stop on the ground and merge with identical items next to them. Free of
+ * DOM and three.js so it can run headless; app.js owns the meshes and
+ * picking items up.
+ */
+import { moveBox } from "./physics.js";
+
+// Half the edge of an item's collision box
+export const ITEM_HALF_SIZE = 0.2;
+// Seconds before a thrown item can be picked up again
+export const THROW_PICKUP_DELAY = 1.5;
+// Identical items closer than this (centre to centre) merge into one stack
+export const MERGE_DISTANCE = 1;
+
+const ITEM_GRAVITY = 20; // blocks per second squared
+const MAX_FALL_SPEED = 30;
+const GROUND_FRICTION = 8; // horizontal speed lost per second on the ground
+const AIR_DRAG = 0.5;
+
+export class ItemEntity {
+	/**
+	 * @param type item name
+	 * @param position [x, y, z] of the item's centre
+	 * @param velocity [x, y, z] in blocks per second
+	 */
+	constructor(type, count, position, velocity = [0, 0, 0]) {
+		this.type = type;
+		this.count = count;
+		this.position = position.slice();
+		this.velocity = velocity.slice();
+		this.onGround = false;
+		this.pickupDelay = 0;
+	}
+
+	getBox() {
+		const [x, y, z] = this.position;
+		const h = ITEM_HALF_SIZE;
+		return { min: [x - h, y - h, z - h], max: [x + h, y + h, z + h] };
+	}
+}
+
+/**
+ * Advance `item` by `dt` seconds against the voxel grid `isSolid(x, y, z)`.
+ * An item stuck inside a solid block (one was placed on it) pops up on top.
+ */
+export function stepItem(item, dt, isSolid) {
+	item.pickupDelay = Math.max(0, item.pickupDelay - dt);
+	const [x, y, z] = item.position.map(Math.floor);
+	if (isSolid(x, y, z)) {
+		item.position[1] = y + 1 + ITEM_HALF_SIZE;
+		item.velocity = [0, 0, 0];
+		return;
+	}
+
+	const v = item.velocity;
+	v[1] = Math.max(-MAX_FALL_SPEED, v[1] - ITEM_GRAVITY * dt);
+	const slow = Math.exp(-(item.onGround ? GROUND_FRICTION : AIR_DRAG) * dt);
+	v[0] *= slow;
+	v[2] *= slow;
+
+	const falling = v[1] <= 0;
+	const box = item.getBox();
+	const { moved, hit } = moveBox(
+		box,
+		[v[0] * dt, v[1] * dt, v[2] * dt],
+		isSolid
+	);
+	for (let axis = 0; axis < 3; axis++) {
+		item.position[axis] += moved[axis];
+		if (hit[axis]) v[axis] = 0;
+	}
+	item.onGround = hit[1] && falling;
+}
+
+/**
+ * Merge identical items within MERGE_DISTANCE of each other, as long as the
+ * combined stack fits `maxStackOf(type)`. Returns the items that were merged
+ * into another and should be removed.
+ */
+export function mergeItems(items, maxStackOf) {
+	const removed = new Set();
+	for (let i = 0; i < items.length; i++) {
+		const a = items[i];
+		if (removed.has(a)) continue;
+		for (let j = i + 1; j < items.length; j++) {
+			const b = items[j];
+			if (removed.has(b) || b.type !== a.type) continue;
+			if (a.count + b.count > maxStackOf(a.type)) continue;
+			const [dx, dy, dz] = a.position.map((p, axis) => p - b.position[axis]);
+			if (dx * dx + dy * dy + dz * dz > MERGE_DISTANCE * MERGE_DISTANCE)
+				continue;
+			a.count += b.count;
+			a.pickupDelay = Math.max(a.pickupDelay, b.pickupDelay);
+			removed.add(b);
+		}
+	}
+	return [...removed];
+}
@@ -0,0 +1,307 @@
+/**
+ * Voxel lighting. Every cell has a skylight and a block light level
+ * (0..MAX_LIGHT), packed into one byte as (sky << 4) | block in arrays laid
+ * out like a chunk's voxels (see voxelIndex). Skylight falls straight down
+ * from the top of the world without fading and spreads sideways one level
+ * less per block; block light spreads the same way from emissive blocks
+ * (`light` in blocks.js). Both are breadth-first flood fills: the chunk
+ * workers light whole chunks (computeChunkLight) and LightEngine relights
+ * around changed blocks on the main thread. Free of DOM and three.js so it
+ * runs in the chunk workers.
+ */
+import { MAX_LIGHT, getBlockDef } from "./blocks.js";
+import { CHUNK_SIZE, CHUNK_HEIGHT, blockKey } from "./terrain.js";
+import { CHUNK_VOLUME, NEIGHBOR_OFFSETS, voxelIndex } from "./chunkData.js";
+
+// Channels, as the shift of their level in a packed light byte
+const SKY = 4;
+const BLOCK = 0;
+const CHANNELS = [SKY, BLOCK];
+
+const OFFSETS = [
+	[1, 0, 0],
+	[-1, 0, 0],
+	[0, 1, 0],
+	[0, -1, 0],
+	[0, 0, 1],
+	[0, 0, -1]
+];
+
+// Brightness of each light level, 0..1; each level is 85% of the one above
+export const LIGHT_BRIGHTNESS = Array.from(
+	{ length: MAX_LIGHT + 1 },
+	(_, level) => Math.pow(0.85, MAX_LIGHT - level)
+);
+
+/** Skylight level of a packed light byte */
+export function skyLightOf(packed) {
+	return packed >> SKY;
+}
+
+/** Block light level of a packed light byte */
+export function blockLightOf(packed) {
+	return packed & MAX_LIGHT;
+}
+
+// Light opacity and emission per block id, looked up for every cell visited
+const opacityOf = new Uint8Array(256);
+const emissionOf = new Uint8Array(256);
+for (let id = 0; id < 256; id++) {
+	const def = getBlockDef(id);
+	opacityOf[id] = Math.min(MAX_LIGHT, def.lightOpacity);
+	emissionOf[id] = def.light;
+}
+
+/**
+ * Level that light of `level` reaches in a neighbouring cell holding block
+ * `id`; `down` when that cell is directly below. Full skylight keeps going
+ * down through clear blocks without fading.
+ */
+function passLight(level, id, channel, down) {
+	const opacity = opacityOf[id];
+	if (opacity >= MAX_LIGHT) return 0;
+	if (channel === SKY && down && level === MAX_LIGHT && opacity === 0) {
+		return MAX_LIGHT;
+	}
+	return Math.max(0, level - 1 - opacity);
+}
+
+/**
+ * Skylight of a column lit only from straight above, as when nothing is
+ * known about its neighbours. `blockAt(y)` gives the column's blocks;
+ * `set(y, packed)` is called top down for every cell that gets light.
+ */
+export function lightColumn(blockAt, set) {
+	let sky = MAX_LIGHT;
+	for (let y = CHUNK_HEIGHT - 1; y >= 0; y--) {
+		sky = passLight(sky, blockAt(y), SKY, true);
+		if (sky === 0) return;
+		set(y, sky << SKY);
+	}
+}
+
+/**
+ * Light a whole chunk from its voxels: skylight down every column, the
+ * chunk's emissive blocks, and light coming in from the edges of the loaded
+ * neighbours in `neighborLights` (light arrays in NEIGHBOR_OFFSETS order,
+ * null if not loaded). Light only spreads inside the chunk; LightEngine.spread
+ * carries it on into the neighbours. Returns the chunk's light array.
+ */
+export function computeChunkLight(voxels, neighborLights) {
+	const light = new Uint8Array(CHUNK_VOLUME);
+	const queue = [];
+	for (let z = 0; z < CHUNK_SIZE; z++) {
+		for (let x = 0; x < CHUNK_SIZE; x++) {
+			lightColumn(
+				(y) => voxels[voxelIndex(x, y, z)],
+				(y, packed) => {
+					const i = voxelIndex(x, y, z);
+					light[i] = packed;
+					queue.push(i);
+				}
+			);
+		}
+	}
+	for (let i = 0; i < CHUNK_VOLUME; i++) {
+		const emission = emissionOf[voxels[i]];
+		if (emission === 0) continue;
+		light[i] |= emission;
+		queue.push(i);
+	}
+
+	NEIGHBOR_OFFSETS.forEach(([dx, dz], side) => {
+		const neighbor = neighborLights?.[side];
+		if (!neighbor) return;
+		for (let k = 0; k < CHUNK_SIZE; k++) {
+			// Edge cell of this chunk and the cell across the edge in the neighbour
+			const x = dx === 0 ? k : dx < 0 ? 0 : CHUNK_SIZE - 1;
+			const z = dz === 0 ? k : dz < 0 ? 0 : CHUNK_SIZE - 1;
+			const nx = x + dx - dx * CHUNK_SIZE;
+			const nz = z + dz - dz * CHUNK_SIZE;
+			for (let y = 0; y < CHUNK_HEIGHT; y++) {
+				const i = voxelIndex(x, y, z);
+				const outside = neighbor[voxelIndex(nx, y, nz)];
+				let lit = false;
+				for (const channel of CHANNELS) {
+					const level = (light[i] >> channel) & MAX_LIGHT;
+					const reached = passLight(
+						(outside >> channel) & MAX_LIGHT,
+						voxels[i],
+						channel,
+						false
+					);
+					if (reached <= level) continue;
+					light[i] =
+						(light[i] & ~(MAX_LIGHT << channel)) | (reached << channel);
+					lit = true;
+				}
+				if (lit) queue.push(i);
+			}
+		}
+	});
+
+	const layer = CHUNK_SIZE * CHUNK_SIZE;
+	for (let head = 0; head < queue.length; head++) {
+		const i = queue[head];
+		const x = i % CHUNK_SIZE;
+		const z = Math.floor(i / CHUNK_SIZE) % CHUNK_SIZE;
+		const y = Math.floor(i / layer);
+		for (const [dx, dy, dz] of OFFSETS) {
+			const nx = x + dx;
+			const ny = y + dy;
+			const nz = z + dz;
+			if (nx < 0 || nx >= CHUNK_SIZE || nz < 0 || nz >= CHUNK_SIZE) continue;
+			if (ny < 0 || ny >= CHUNK_HEIGHT) continue;
+			const n = voxelIndex(nx, ny, nz);
+			let lit = false;
+			for (const channel of CHANNELS) {
+				const reached = passLight(
+					(light[i] >> channel) & MAX_LIGHT,
+					voxels[n],
+					channel,
+					dy < 0
+				);
+				if (reached <= ((light[n] >> channel) & MAX_LIGHT)) continue;
+				light[n] = (light[n] & ~(MAX_LIGHT << channel)) | (reached << channel);
+				lit = true;
+			}
+			if (lit) queue.push(n);
+		}
+	}
+	return light;
+}
+
+export class LightEngine {
+	/**
+	 * @param world.getBlock (x, y, z) -> block id
+	 * @param world.getLight (x, y, z) -> packed light, or -1 where there is no
+	 *   light data (chunks not loaded); light doesn't spread there
+	 * @param world.setLight (x, y, z, packed) -> store a cell's light
+	 */
+	constructor(world) {
+		this.world = world;
+	}
+
+	// Level of `channel` at (x, y, z), -1 without light data. Above the world is open sky.
+	level(x, y, z, channel) {
+		if (y >= CHUNK_HEIGHT) return channel === SKY ? MAX_LIGHT : 0;
+		if (y < 0) return -1;
+		const packed = this.world.getLight(x, y, z);
+		return packed < 0 ? -1 : (packed >> channel) & MAX_LIGHT;
+	}
+
+	// Set the level of `channel`, remembering each cell's light before the first change
+	setLevel(x, y, z, channel, level, before) {
+		const packed = this.world.getLight(x, y, z);
+		const key = blockKey(x, y, z);
+		if (!before.has(key)) before.set(key, [x, y, z, packed]);
+		this.world.setLight(
+			x,
+			y,
+			z,
+			(packed & ~(MAX_LIGHT << channel)) | (level << channel)
+		);
+	}
+
+	// Spread `channel` outwards from the cells in `queue` ([x, y, z] each)
+	flood(queue, channel, before) {
+		for (let head = 0; head < queue.length; head++) {
+			const [x, y, z] = queue[head];
+			const level = this.level(x, y, z, channel);
+			if (level <= 0) continue;
+			for (const [dx, dy, dz] of OFFSETS) {
+				const nx = x + dx;
+				const ny = y + dy;
+				const nz = z + dz;
+				if (ny >= CHUNK_HEIGHT) continue;
+				const current = this.level(nx, ny, nz, channel);
+				if (current < 0) continue;
+				const id = this.world.getBlock(nx, ny, nz);
+				const reached = passLight(level, id, channel, dy < 0);
+				if (reached <= current) continue;
+				this.setLevel(nx, ny, nz, channel, reached, before);
+				queue.push([nx, ny, nz]);
+			}
+		}
+	}
+
+	// Cells whose light differs from `before`, as [x, y, z]
+	changedCells(before) {
+		const changed = [];
+		for (const [x, y, z, packed] of before.values()) {
+			if (this.world.getLight(x, y, z) !== packed) changed.push([x, y, z]);
+		}
+		return changed;
+	}
+
+	/**
+	 * Relight around (x, y, z) after the block there changed: clear the light
+	 * that came through the cell, then fill back in from the light around the
+	 * cleared area and from the new block. Returns the cells whose light
+	 * changed, as [x, y, z].
+	 */
+	update(x, y, z) {
+		if (this.level(x, y, z, SKY) < 0) return [];
+		const before = new Map(); // blockKey -> [x, y, z, packed light]
+		const id = this.world.getBlock(x, y, z);
+		for (const channel of CHANNELS) {
+			const refill = [];
+			const removed = [[x, y, z, this.level(x, y, z, channel)]];
+			this.setLevel(x, y, z, channel, 0, before);
+			for (let head = 0; head < removed.length; head++) {
+				const [rx, ry, rz, level] = removed[head];
+				for (const [dx, dy, dz] of OFFSETS) {
+					const nx = rx + dx;
+					const ny = ry + dy;
+					const nz = rz + dz;
+					if (ny >= CHUNK_HEIGHT) continue;
+					const current = this.level(nx, ny, nz, channel);
+					if (current <= 0) continue;
+					// Lit through the cleared cell: dimmer, or full skylight from straight above
+					const fullSkyBelow =
+						channel === SKY &&
+						dy < 0 &&
+						level === MAX_LIGHT &&
+						current === MAX_LIGHT;
+					if (current >= level && !fullSkyBelow) {
+						refill.push([nx, ny, nz]);
+						continue;
+					}
+					this.setLevel(nx, ny, nz, channel, 0, before);
+					removed.push([nx, ny, nz, current]);
+					// Emissive blocks keep their own light
+					const emission = emissionOf[this.world.getBlock(nx, ny, nz)];
+					if (channel === BLOCK && emission > 0) {
+						this.setLevel(nx, ny, nz, channel, emission, before);
+						refill.push([nx, ny, nz]);
+					}
+				}
+			}
+
+			// The changed cell's own light: its emission, or skylight from above the world
+			const own =
+				channel === BLOCK
+					? emissionOf[id]
+					: y === CHUNK_HEIGHT - 1
+					? passLight(MAX_LIGHT, id, SKY, true)
+					: 0;
+			if (own > 0) {
+				this.setLevel(x, y, z, channel, own, before);
+				refill.push([x, y, z]);
+			}
+			this.flood(refill, channel, before);
+		}
+		return this.changedCells(before);
+	}
+
+	/**
+	 * Spread the light of `cells` ([x, y, z] each) into their surroundings,
+	 * e.g. from the edges of a chunk that just loaded into its neighbours.
+	 * Light is only ever raised. Returns the cells whose light changed.
+	 */
+	spread(cells) {
+		const before = new Map();
+		for (const channel of CHANNELS) this.flood([...cells], channel, before);
+		return this.changedCells(before);
+	}
+}
@@ -0,0 +1,468 @@
+/**
+ * Chunk mesher used by the chunk workers: copies a chunk's voxels (plus a one
+ * block border so faces on chunk edges cull correctly) into a dense block id
+ * volume and greedy-merges visible faces into quads, one geometry group per block type.
+ * Each face is lit by the cell in front of it (see lighting.js) and darkened
+ * per corner by ambient occlusion from the blocks around that cell (unlit
+ * faces skip it); only faces that are shaded alike merge. UVs count blocks, so the shader repeats a
+ * face's atlas tile once per block across merged quads (see textureAtlas.js).
+ * Output is plain typed arrays so it can be transferred back to the main thread.
+ */
+import { CHUNK_SIZE, CHUNK_HEIGHT } from "./terrain.js";
+import { BLOCK_TYPES, MAX_LIGHT, getBlockDef } from "./blocks.js";
+import { NEIGHBOR_OFFSETS, voxelIndex, generateColumn } from "./chunkData.js";
+import { decorateArea } from "./decoration.js";
+import {
+	LIGHT_BRIGHTNESS,
+	blockLightOf,
+	lightColumn,
+	skyLightOf
+} from "./lighting.js";
+
+// Volume dimensions: the chunk plus one border column on each side in X and Z
+const SIZE_X = CHUNK_SIZE + 2;
+const SIZE_Z = CHUNK_SIZE + 2;
+const DIMS = [CHUNK_SIZE, CHUNK_HEIGHT, CHUNK_SIZE];
+
+// Index into the volume for chunk-local coordinates (x/z may be -1 or CHUNK_SIZE)
+function volumeIndex(x, y, z) {
+	return (y * SIZE_Z + (z + 1)) * SIZE_X + (x + 1);
+}
+
+// Which NEIGHBOR_OFFSETS side a chunk-local border cell belongs to, or -1 if it isn't one
+function borderSide(x, z) {
+	const inX = x >= 0 && x < CHUNK_SIZE;
+	const inZ = z >= 0 && z < CHUNK_SIZE;
+	if (x === -1 && inZ) return 0;
+	if (x === CHUNK_SIZE && inZ) return 1;
+	if (z === -1 && inX) return 2;
+	if (z === CHUNK_SIZE && inX) return 3;
+	return -1;
+}
+
+/**
+ * Assemble the bordered volume for meshing from the chunk's voxels and the voxels
+ * of its four neighbours (NEIGHBOR_OFFSETS order). Neighbours that aren't
+ * loaded yet (null) get their border column generated from `terrain`, with
+ * decorations, plus `edits` (world blockKey -> block id).
+ */
+export function buildMeshVolume(
+	center,
+	neighbors,
+	chunkX,
+	chunkZ,
+	terrain,
+	edits
+) {
+	const volume = new Uint8Array(SIZE_X * CHUNK_HEIGHT * SIZE_Z);
+	for (let y = 0; y < CHUNK_HEIGHT; y++) {
+		for (let z = 0; z < CHUNK_SIZE; z++) {
+			for (let x = 0; x < CHUNK_SIZE; x++) {
+				volume[volumeIndex(x, y, z)] = center[voxelIndex(x, y, z)];
+			}
+		}
+	}
+
+	const startX = chunkX * CHUNK_SIZE;
+	const startZ = chunkZ * CHUNK_SIZE;
+	const column = new Uint8Array(CHUNK_HEIGHT);
+	NEIGHBOR_OFFSETS.forEach(([dx, dz], side) => {
+		const neighbor = neighbors[side];
+		for (let k = 0; k < CHUNK_SIZE; k++) {
+			// Border cell in this chunk's local space and the same cell in the neighbour's
+			const x = dx === 0 ? k : dx < 0 ? -1 : CHUNK_SIZE;
+			const z = dz === 0 ? k : dz < 0 ? -1 : CHUNK_SIZE;
+			const nx = x - dx * CHUNK_SIZE;
+			const nz = z - dz * CHUNK_SIZE;
+			if (!neighbor) generateColumn(terrain, startX + x, startZ + z, column);
+			for (let y = 0; y < CHUNK_HEIGHT; y++) {
+				volume[volumeIndex(x, y, z)] = neighbor
+					? neighbor[voxelIndex(nx, y, nz)]
+					: column[y];
+			}
+		}
+		if (neighbor) return;
+
+		// Trees and plants of this and other chunks reaching into the generated strip
+		const x0 = dx === 0 ? 0 : dx < 0 ? -1 : CHUNK_SIZE;
+		const z0 = dz === 0 ? 0 : dz < 0 ? -1 : CHUNK_SIZE;
+		decorateArea(
+			terrain,
+			startX + x0,
+			startZ + z0,
+			startX + (dx === 0 ? CHUNK_SIZE - 1 : x0),
+			startZ + (dz === 0 ? CHUNK_SIZE - 1 : z0),
+			(wx, y, wz) => volume[volumeIndex(wx - startX, y, wz - startZ)],
+			(wx, y, wz, id) => {
+				volume[volumeIndex(wx - startX, y, wz - startZ)] = id;
+			}
+		);
+	});
+
+	// Edits inside generated border columns
+	for (const key in edits) {
+		const [wx, y, wz] = key.split(",").map(Number);
+		const x = wx - startX;
+		const z = wz - startZ;
+		const side = borderSide(x, z);
+		if (side < 0 || neighbors[side]) continue;
+		if (y < 0 || y >= CHUNK_HEIGHT) continue;
+		volume[volumeIndex(x, y, z)] = edits[key];
+	}
+	return volume;
+}
+
+/**
+ * Light volume matching a volume from buildMeshVolume: the chunk's light
+ * array plus the border cells of its neighbours' (NEIGHBOR_OFFSETS order).
+ * Borders of neighbours without light yet only get skylight from straight
+ * above; the chunk is rebuilt if their light turns out different.
+ */
+export function buildLightVolume(volume, light, neighborLights) {
+	const lights = new Uint8Array(volume.length);
+	for (let y = 0; y < CHUNK_HEIGHT; y++) {
+		for (let z = 0; z < CHUNK_SIZE; z++) {
+			for (let x = 0; x < CHUNK_SIZE; x++) {
+				lights[volumeIndex(x, y, z)] = light[voxelIndex(x, y, z)];
+			}
+		}
+	}
+	NEIGHBOR_OFFSETS.forEach(([dx, dz], side) => {
+		const neighbor = neighborLights[side];
+		for (let k = 0; k < CHUNK_SIZE; k++) {
+			const x = dx === 0 ? k : dx < 0 ? -1 : CHUNK_SIZE;
+			const z = dz === 0 ? k : dz < 0 ? -1 : CHUNK_SIZE;
+			if (!neighbor) {
+				lightColumn(
+					(y) => volume[volumeIndex(x, y, z)],
+					(y, packed) => {
+						lights[volumeIndex(x, y, z)] = packed;
+					}
+				);
+				continue;
+			}
+			const nx = x - dx * CHUNK_SIZE;
+			const nz = z - dz * CHUNK_SIZE;
+			for (let y = 0; y < CHUNK_HEIGHT; y++) {
+				lights[volumeIndex(x, y, z)] = neighbor[voxelIndex(nx, y, nz)];
+			}
+		}
+	});
+	return lights;
+}
+
+// Block id at chunk-local coordinates; below the world counts as stone so no bottom faces are built
+function volumeGet(volume, x, y, z) {
+	if (y < 0) return BLOCK_TYPES.STONE;
+	if (y >= CHUNK_HEIGHT) return BLOCK_TYPES.AIR;
+	return volume[volumeIndex(x, y, z)];
+}
+
+// Looked up for every cell and face corner, so worked out once per block id
+const opaqueIds = new Uint8Array(256);
+for (let id = 1; id < 256; id++) {
+	const def = getBlockDef(id);
+	opaqueIds[id] = !def.transparent && def.shape === "cube" ? 1 : 0;
+}
+
+function isOpaque(id) {
+	return opaqueIds[id] === 1;
+}
+
+function isCross(id) {
+	return getBlockDef(id).shape === "cross";
+}
+
+// Packed light at chunk-local coordinates; above the world is open sky
+function lightGet(lights, x, y, z) {
+	if (y < 0) return 0;
+	if (y >= CHUNK_HEIGHT) return MAX_LIGHT << 4;
+	return lights[volumeIndex(x, y, z)];
+}
+
+// Brightness of each ambient occlusion level, from three occluders (0) to none (3)
+const AO_BRIGHTNESS = [0.5, 0.7, 0.85, 1];
+
+// Directions from a face towards its corners, in (u, v) order
+const CORNER_SIGNS = [
+	[-1, -1],
+	[1, -1],
+	[1, 1],
+	[-1, 1]
+];
+
+/**
+ * Ambient occlusion of the four corners of the face of cell `front` whose
+ * normal lies along axis `d`, in the order (0, 0), (1, 0), (1, 1), (0, 1) on
+ * the face's (u, v) axes, packed two bits each. 3 is unoccluded.
+ */
+function faceOcclusion(volume, front, d) {
+	const u = (d + 1) % 3;
+	const v = (d + 2) % 3;
+	const p = [0, 0, 0];
+	const occludes = (du, dv) => {
+		p[d] = front[d];
+		p[u] = front[u] + du;
+		p[v] = front[v] + dv;
+		return opaqueIds[volumeGet(volume, p[0], p[1], p[2])];
+	};
+	let packed = 0;
+	for (let corner = 0; corner < 4; corner++) {
+		const [su, sv] = CORNER_SIGNS[corner];
+		const side1 = occludes(su, 0);
+		const side2 = occludes(0, sv);
+		const ao = side1 && side2 ? 0 : 3 - side1 - side2 - occludes(su, sv);
+		packed |= ao << (corner * 2);
+	}
+	return packed;
+}
+
+// Does block `id` show a face towards neighbour `neighbor`?
+function hasVisibleFace(id, neighbor) {
+	if (id === BLOCK_TYPES.AIR || isCross(id) || isOpaque(neighbor)) return false;
+	// Transparent blocks (water) only show faces towards air and plants, not towards each other
+	if (!isOpaque(id)) return neighbor === BLOCK_TYPES.AIR || isCross(neighbor);
+	return true;
+}
+
+// The two diagonals of a cell that plant quads stand on, as [x0, z0, x1, z1]
+const CROSS_DIAGONALS = [
+	[0, 0, 1, 1],
+	[0, 1, 1, 0]
+];
+
+// Shading of a face of block `id` in front of cell `front`: its light and, for
+// opaque blocks, corner occlusion, packed as (light << 8) | occlusion. Faces
+// with no light at all are near black, so occlusion is left off them and whole
+// cave walls merge instead of splitting at every corner
+function faceShade(volume, lights, id, front, d) {
+	const light = lightGet(lights, front[0], front[1], front[2]);
+	const occlusion =
+		light !== 0 && isOpaque(id) ? faceOcclusion(volume, front, d) : 0xff;
+	return (light << 8) | occlusion;
+}
+
+/**
+ * Texture coordinates (in blocks) of chunk-local `corner` on a face along
+ * axis `d` facing `sign`: upright on the sides and unmirrored seen from
+ * outside the block.
+ */
+function faceUv(corner, d, sign) {
+	const [x, y, z] = corner;
+	if (d === 0) return [sign > 0 ? -z : z, y];
+	if (d === 1) return [x, sign > 0 ? -z : z];
+	return [sign > 0 ? x : -x, y];
+}
+
+/**
+ * Greedy mesh a volume from buildMeshVolume, lit by the matching volume from
+ * buildLightVolume, into world-space quads. Plants ("cross" blocks) get two
+ * diagonal quads each instead of cube faces.
+ * Returns { positions, normals, uvs, colors, blockLight, indices, groups,
+ * faceCount, quadCount }, where colors is the skylight brightness and
+ * blockLight the block light brightness of each vertex (0..255, ambient
+ * occlusion included), groups are { start, count, materialIndex } ranges of
+ * `indices` per block type and faceCount is the number of unit faces before
+ * merging.
+ */
+export function greedyMesh(volume, lights, chunkX, chunkZ) {
+	const origin = [chunkX * CHUNK_SIZE, 0, chunkZ * CHUNK_SIZE];
+	const quadsByType = new Map(); // block id -> flat [d, sign, q, i, j, w, h, shade, ...]
+	let faceCount = 0;
+	let quadCount = 0;
+	const x = [0, 0, 0];
+
+	for (let d = 0; d < 3; d++) {
+		const u = (d + 1) % 3;
+		const v = (d + 2) % 3;
+		const sizeU = DIMS[u];
+		const sizeV = DIMS[v];
+		// Mask of faces on the current plane: +(key+1) faces +d (owned by the block behind),
+		// -(key+1) faces -d (owned by the block in front), 0 = no face. The key is
+		// (id << 16) | shade, so only faces of the same block lit the same way merge.
+		const mask = new Int32Array(sizeU * sizeV);
+
+		for (let q = 0; q <= DIMS[d]; q++) {
+			let n = 0;
+			for (x[v] = 0; x[v] < sizeV; x[v]++) {
+				for (x[u] = 0; x[u] < sizeU; x[u]++, n++) {
+					x[d] = q - 1;
+					const a = volumeGet(volume, x[0], x[1], x[2]);
+					x[d] = q;
+					const b = volumeGet(volume, x[0], x[1], x[2]);
+					// Only faces of blocks inside this chunk; the border is just for culling
+					if (q > 0 && hasVisibleFace(a, b)) {
+						mask[n] = ((a << 16) | faceShade(volume, lights, a, x, d)) + 1;
+					} else if (q < DIMS[d] && hasVisibleFace(b, a)) {
+						x[d] = q - 1;
+						mask[n] = -(((b << 16) | faceShade(volume, lights, b, x, d)) + 1);
+					} else {
+						mask[n] = 0;
+					}
+					if (mask[n] !== 0) faceCount++;
+				}
+			}
+
+			// Merge equal mask cells into maximal rectangles
+			n = 0;
+			for (let j = 0; j < sizeV; j++) {
+				for (let i = 0; i < sizeU; ) {
+					const value = mask[n];
+					if (value === 0) {
+						i++;
+						n++;
+						continue;
+					}
+					let w = 1;
+					while (i + w < sizeU && mask[n + w] === value) w++;
+					let h = 1;
+					grow: for (; j + h < sizeV; h++) {
+						for (let k = 0; k < w; k++) {
+							if (mask[n + k + h * sizeU] !== value) break grow;
+						}
+					}
+					const key = Math.abs(value) - 1;
+					const type = key >> 16;
+					if (!quadsByType.has(type)) quadsByType.set(type, []);
+					quadsByType
+						.get(type)
+						.push(d, Math.sign(value), q, i, j, w, h, key & 0xffff);
+					quadCount++;
+					for (let l = 0; l < h; l++) {
+						for (let k = 0; k < w; k++) mask[n + k + l * sizeU] = 0;
+					}
+					i += w;
+					n += w;
+				}
+			}
+		}
+	}
+
+	const crossesByType = new Map(); // block id -> flat [x, y, z, ...]
+	for (let y = 0; y < CHUNK_HEIGHT; y++) {
+		for (let z = 0; z < CHUNK_SIZE; z++) {
+			for (let x = 0; x < CHUNK_SIZE; x++) {
+				const id = volume[volumeIndex(x, y, z)];
+				if (id === BLOCK_TYPES.AIR || !isCross(id)) continue;
+				if (!crossesByType.has(id)) crossesByType.set(id, []);
+				crossesByType.get(id).push(x, y, z);
+				quadCount += CROSS_DIAGONALS.length;
+			}
+		}
+	}
+
+	const positions = new Float32Array(quadCount * 12);
+	const normals = new Float32Array(quadCount * 12);
+	const uvs = new Float32Array(quadCount * 8);
+	const colors = new Uint8Array(quadCount * 12);
+	const blockLight = new Uint8Array(quadCount * 4);
+	const indices = new Uint32Array(quadCount * 6);
+	const groups = [];
+	let vert = 0;
+	let idx = 0;
+	// Light vertex `vert` from a packed light byte, darkened by `occlusion` (0-3)
+	const shadeVertex = (light, occlusion) => {
+		const ao = AO_BRIGHTNESS[occlusion];
+		const sky = Math.round(LIGHT_BRIGHTNESS[skyLightOf(light)] * ao * 255);
+		colors.fill(sky, vert * 3, vert * 3 + 3);
+		const block = blockLightOf(light);
+		blockLight[vert] = block
+			? Math.round(LIGHT_BRIGHTNESS[block] * ao * 255)
+			: 0;
+	};
+	const types = new Set([...quadsByType.keys(), ...crossesByType.keys()]);
+	for (const type of types) {
+		const quads = quadsByType.get(type) || [];
+		const start = idx;
+		for (let o = 0; o < quads.length; o += 8) {
+			const [d, sign, q, i, j, w, h, shade] = quads.slice(o, o + 8);
+			const u = (d + 1) % 3;
+			const v = (d + 2) % 3;
+			const base = vert;
+			const occlusion = [0, 1, 2, 3].map((c) => (shade >> (c * 2)) & 3);
+			// Corners in (u, v) order; (d, u, v) is a cyclic axis triple so u × v points along +d
+			[
+				[0, 0],
+				[w, 0],
+				[w, h],
+				[0, h]
+			].forEach(([cu, cv], c) => {
+				const p = vert * 3;
+				const corner = [0, 0, 0];
+				corner[d] = q;
+				corner[u] = i + cu;
+				corner[v] = j + cv;
+				positions[p] = corner[0] + origin[0];
+				positions[p + 1] = corner[1] + origin[1];
+				positions[p + 2] = corner[2] + origin[2];
+				normals[p + d] = sign;
+				uvs.set(faceUv(corner, d, sign), vert * 2);
+				shadeVertex(shade >> 8, occlusion[c]);
+				vert++;
+			});
+			// Split along the brighter diagonal so occlusion shades smoothly
+			const [c0, c1, c2, c3] =
+				occlusion[0] + occlusion[2] < occlusion[1] + occlusion[3]
+					? [1, 2, 3, 0]
+					: [0, 1, 2, 3];
+			// Counter-clockwise when seen from the side the normal points to
+			if (sign > 0) {
+				indices.set(
+					[c0, c1, c2, c0, c2, c3].map((c) => base + c),
+					idx
+				);
+			} else {
+				indices.set(
+					[c0, c2, c1, c0, c3, c2].map((c) => base + c),
+					idx
+				);
+			}
+			idx += 6;
+		}
+		const crosses = crossesByType.get(type) || [];
+		for (let o = 0; o < crosses.length; o += 3) {
+			const light = lights[volumeIndex(...crosses.slice(o, o + 3))];
+			const x = crosses[o] + origin[0];
+			const y = crosses[o + 1] + origin[1];
+			const z = crosses[o + 2] + origin[2];
+			for (const [x0, z0, x1, z1] of CROSS_DIAGONALS) {
+				const base = vert;
+				// Horizontal normal perpendicular to the diagonal; the material is double sided
+				const nx = -(z1 - z0) * Math.SQRT1_2;
+				const nz = (x1 - x0) * Math.SQRT1_2;
+				for (const [cx, cy, cz, cu] of [
+					[x0, 0, z0, 0],
+					[x1, 0, z1, 1],
+					[x1, 1, z1, 1],
+					[x0, 1, z0, 0]
+				]) {
+					const p = vert * 3;
+					positions[p] = x + cx;
+					positions[p + 1] = y + cy;
+					positions[p + 2] = z + cz;
+					normals[p] = nx;
+					normals[p + 2] = nz;
+					uvs[vert * 2] = cu;
+					uvs[vert * 2 + 1] = cy;
+					shadeVertex(light, 3);
+					vert++;
+				}
+				indices.set([base, base + 1, base + 2, base, base + 2, base + 3], idx);
+				idx += 6;
+			}
+		}
+		groups.push({ start, count: idx - start, materialIndex: type });
+	}
+
+	return {
+		positions,
+		normals,
+		uvs,
+		colors,
+		blockLight,
+		indices,
+		groups,
+		faceCount,
+		quadCount
+	};
+}
@@ -0,0 +1,176 @@
+/**
+ * Swept AABB collision against the voxel grid, used by the fixed-timestep
+ * player simulation in app.js. Boxes are { min: [x, y, z], max: [x, y, z] } in
+ * world units and `isSolid(x, y, z)` says whether an integer cell collides.
+ * Free of DOM and three.js so it can run headless.
+ */
+
+// Fixed simulation step in seconds
+export const PHYSICS_STEP = 1 / 60;
+
+// Faces closer than this count as touching, not overlapping
+const EPSILON = 1e-6;
+
+/** Box of a player standing with feet at (x, footY, z) */
+export function playerBox(x, footY, z, radius, height) {
+	return {
+		min: [x - radius, footY, z - radius],
+		max: [x + radius, footY + height, z + radius]
+	};
+}
+
+/**
+ * How far `box` can move along `axis` (0 = x, 1 = y, 2 = z), up to the signed
+ * `distance`, before its leading face touches a solid cell. Every cell the
+ * face passes is checked, so fast boxes can't tunnel through thin walls.
+ * Cells the box already overlaps are ignored, which lets it move out of them.
+ */
+export function sweepAxis(box, axis, distance, isSolid) {
+	if (distance === 0) return 0;
+	const u = (axis + 1) % 3;
+	const v = (axis + 2) % 3;
+	const u0 = Math.floor(box.min[u] + EPSILON);
+	const u1 = Math.floor(box.max[u] - EPSILON);
+	const v0 = Math.floor(box.min[v] + EPSILON);
+	const v1 = Math.floor(box.max[v] - EPSILON);
+	const cell = [0, 0, 0];
+
+	// Any solid cell in the slab at `c` along the axis?
+	const slabSolid = (c) => {
+		cell[axis] = c;
+		for (cell[u] = u0; cell[u] <= u1; cell[u]++) {
+			for (cell[v] = v0; cell[v] <= v1; cell[v]++) {
+				if (isSolid(cell[0], cell[1], cell[2])) return true;
+			}
+		}
+		return false;
+	};
+
+	if (distance > 0) {
+		const first = Math.floor(box.max[axis] - EPSILON) + 1;
+		const last = Math.floor(box.max[axis] + distance - EPSILON);
+		for (let c = first; c <= last; c++) {
+			if (slabSolid(c)) return Math.max(0, c - box.max[axis]);
+		}
+	} else {
+		const first = Math.floor(box.min[axis] + EPSILON) - 1;
+		const last = Math.floor(box.min[axis] + distance + EPSILON);
+		for (let c = first; c >= last; c--) {
+			if (slabSolid(c)) return Math.min(0, c + 1 - box.min[axis]);
+		}
+	}
+	return distance;
+}
+
+/**
+ * Move `box` by `delta` ([dx, dy, dz]), resolving one axis at a time (y, then
+ * x, then z) so the box slides along walls and lands on floors exactly.
+ * Mutates `box` and returns { moved: [dx, dy, dz], hit: [x, y, z] } where
+ * `hit` flags the axes whose movement was cut short by a collision.
+ */
+export function moveBox(box, delta, isSolid) {
+	const moved = [0, 0, 0];
+	const hit = [false, false, false];
+	for (const axis of [1, 0, 2]) {
+		const allowed = sweepAxis(box, axis, delta[axis], isSolid);
+		box.min[axis] += allowed;
+		box.max[axis] += allowed;
+		moved[axis] = allowed;
+		hit[axis] = allowed !== delta[axis];
+	}
+	return { moved, hit };
+}
+
+function copyBox(box) {
+	return { min: box.min.slice(), max: box.max.slice() };
+}
+
+/**
+ * moveBox with automatic step-up: if the horizontal move is blocked, also try
+ * it from up to `stepHeight` higher (ceiling permitting) and settle back down.
+ * The stepped move is used when it gets further and ends higher, so ledges up
+ * to `stepHeight` (half or whole blocks) are climbed without jumping.
+ * Returns moveBox's result plus `stepped`, the height climbed (0 if none).
+ */
+export function moveBoxWithStepUp(box, delta, stepHeight, isSolid) {
+	const start = copyBox(box);
+	const result = moveBox(box, delta, isSolid);
+	if (stepHeight <= 0 || !(result.hit[0] || result.hit[2])) {
+		return { ...result, stepped: 0 };
+	}
+
+	const raised = copyBox(start);
+	const rise = sweepAxis(raised, 1, stepHeight, isSolid);
+	raised.min[1] += rise;
+	raised.max[1] += rise;
+	const across = moveBox(raised, [delta[0], 0, delta[2]], isSolid);
+	const settle = sweepAxis(raised, 1, -rise, isSolid);
+	raised.min[1] += settle;
+	raised.max[1] += settle;
+
+	const climbed = rise + settle;
+	const plainDist = Math.hypot(result.moved[0], result.moved[2]);
+	const steppedDist = Math.hypot(across.moved[0], across.moved[2]);
+	if (climbed <= EPSILON || steppedDist <= plainDist + EPSILON) {
+		return { ...result, stepped: 0 };
+	}
+	for (let axis = 0; axis < 3; axis++) {
+		box.min[axis] = raised.min[axis];
+		box.max[axis] = raised.max[axis];
+	}
+	return {
+		moved: [across.moved[0], climbed, across.moved[2]],
+		hit: [across.hit[0], settle !== -rise, across.hit[2]],
+		stepped: climbed
+	};
+}
+
+// How far below the feet a block still counts as supporting the box
+const SUPPORT_DEPTH = 0.05;
+// Step used to shorten a move until the box stays supported
+const EDGE_STEP = 0.05;
+
+/** Is there a solid cell right under any part of the box's footprint? */
+export function isSupported(box, isSolid) {
+	const y = Math.floor(box.min[1] - SUPPORT_DEPTH);
+	const x0 = Math.floor(box.min[0] + EPSILON);
+	const x1 = Math.floor(box.max[0] - EPSILON);
+	const z0 = Math.floor(box.min[2] + EPSILON);
+	const z1 = Math.floor(box.max[2] - EPSILON);
+	for (let x = x0; x <= x1; x++) {
+		for (let z = z0; z <= z1; z++) {
+			if (isSolid(x, y, z)) return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Sneak-edge protection: shorten the horizontal part of `delta` so a box
+ * standing on the ground doesn't walk off an edge. Returns a new delta.
+ */
+export function limitToSupport(box, delta, isSolid) {
+	const limited = delta.slice();
+	const shifted = (dx, dz) => ({
+		min: [box.min[0] + dx, box.min[1], box.min[2] + dz],
+		max: [box.max[0] + dx, box.max[1], box.max[2] + dz]
+	});
+	const shrink = (d) =>
+		Math.abs(d) <= EDGE_STEP ? 0 : d - Math.sign(d) * EDGE_STEP;
+	while (limited[0] !== 0 && !isSupported(shifted(limited[0], 0), isSolid)) {
+		limited[0] = shrink(limited[0]);
+	}
+	while (limited[2] !== 0 && !isSupported(shifted(0, limited[2]), isSolid)) {
+		limited[2] = shrink(limited[2]);
+	}
+	// Each axis alone may be fine while the diagonal steps off a corner
+	while (
+		limited[0] !== 0 &&
+		limited[2] !== 0 &&
+		!isSupported(shifted(limited[0], limited[2]), isSolid)
+	) {
+		limited[0] = shrink(limited[0]);
+		limited[2] = shrink(limited[2]);
+	}
+	return limited;
+}
@@ -0,0 +1,76 @@
+/**
+ * The player entity: where the player is and how it moves, independent of the
+ * camera (see cameraRig.js for how the view follows it). The movement rules
+ * themselves live in app.js's fixed-timestep loop.
+ */
+import * as THREE from "three";
+import { playerBox } from "./physics.js";
+
+export const STANDING_HEIGHT = 1.8;
+export const PLAYER_RADIUS = 0.3;
+
+export class Player {
+	constructor() {
+		// Eye position, at the top of the box; the feet are `height` below
+		this.position = new THREE.Vector3();
+		// Position at the previous physics step, for interpolation
+		this.previousPosition = new THREE.Vector3();
+		// Interpolated eye position for the current frame
+		this.renderPosition = new THREE.Vector3();
+		this.velocity = new THREE.Vector3(); // blocks per second
+		this.yaw = 0; // facing, radians around +Y (0 = looking towards -Z)
+		this.height = STANDING_HEIGHT;
+		this.radius = PLAYER_RADIUS;
+		this.onGround = false;
+		this.flying = false; // creative flight, see app.js
+		// Was the last horizontal move cut short by a wall?
+		this.blockedHorizontally = false;
+	}
+
+	get feetY() {
+		return this.position.y - this.height;
+	}
+
+	/** Collision box ({ min, max }, see physics.js) at the current position */
+	getBox() {
+		return playerBox(
+			this.position.x,
+			this.feetY,
+			this.position.z,
+			this.radius,
+			this.height
+		);
+	}
+
+	/** Does the player's box overlap the unit cell at (x, y, z)? */
+	overlapsCell(x, y, z) {
+		const p = this.position;
+		return (
+			p.x - this.radius < x + 1 &&
+			p.x + this.radius > x &&
+			this.feetY < y + 1 &&
+			p.y > y &&
+			p.z - this.radius < z + 1 &&
+			p.z + this.radius > z
+		);
+	}
+
+	/** Move to eye position (x, y, z) without interpolating from the old spot */
+	teleport(x, y, z) {
+		this.position.set(x, y, z);
+		this.previousPosition.copy(this.position);
+		this.renderPosition.copy(this.position);
+		this.velocity.set(0, 0, 0);
+		this.onGround = false;
+		this.flying = false;
+	}
+
+	/** Blend the last two physics steps (`alpha` in 0..1) into renderPosition */
+	interpolate(alpha) {
+		return this.renderPosition.lerpVectors(
+			this.previousPosition,
+			this.position,
+			alpha
+		);
+	}
+}
@@ -0,0 +1,84 @@
+/**
+ * Exact voxel traversal (Amanatides & Woo, "A Fast Voxel Traversal Algorithm
+ * for Ray Tracing"): visits every unit cell the ray passes through, in order,
+ * so thin corners can't be skipped and the face normal is always exact.
+ * Pure math with no scene dependencies, so it can run headless.
+ */
+
+/**
+ * Cast a ray through the block grid.
+ * - origin, direction: [x, y, z] arrays (direction need not be normalized)
+ * - maxDistance: reach in blocks
+ * - isSolid(x, y, z): whether the ray stops at that cell
+ * Returns null on a miss, otherwise { pos, normal, point, placePos, dist } where
+ * pos is the hit cell, normal the face entered through, point the exact hit
+ * point and placePos the empty cell in front of that face. A ray starting
+ * inside a solid cell hits it at distance 0 with a zero normal and no placePos.
+ */
+export function raycastVoxels(origin, direction, maxDistance, isSolid) {
+	const [ox, oy, oz] = origin;
+	const length = Math.hypot(direction[0], direction[1], direction[2]);
+	if (!(length > 0)) return null;
+	const dx = direction[0] / length;
+	const dy = direction[1] / length;
+	const dz = direction[2] / length;
+
+	let x = Math.floor(ox);
+	let y = Math.floor(oy);
+	let z = Math.floor(oz);
+	if (isSolid(x, y, z)) {
+		return {
+			pos: [x, y, z],
+			normal: [0, 0, 0],
+			point: [ox, oy, oz],
+			placePos: null,
+			dist: 0
+		};
+	}
+
+	const stepX = Math.sign(dx);
+	const stepY = Math.sign(dy);
+	const stepZ = Math.sign(dz);
+	// Ray distance between successive cell boundaries on each axis
+	const tDeltaX = stepX !== 0 ? Math.abs(1 / dx) : Infinity;
+	const tDeltaY = stepY !== 0 ? Math.abs(1 / dy) : Infinity;
+	const tDeltaZ = stepZ !== 0 ? Math.abs(1 / dz) : Infinity;
+	// Ray distance to the first boundary crossed on each axis
+	let tMaxX =
+		stepX > 0 ? (x + 1 - ox) / dx : stepX < 0 ? (ox - x) / -dx : Infinity;
+	let tMaxY =
+		stepY > 0 ? (y + 1 - oy) / dy : stepY < 0 ? (oy - y) / -dy : Infinity;
+	let tMaxZ =
+		stepZ > 0 ? (z + 1 - oz) / dz : stepZ < 0 ? (oz - z) / -dz : Infinity;
+
+	let t = 0;
+	let normal;
+	for (;;) {
+		if (tMaxX < tMaxY && tMaxX < tMaxZ) {
+			x += stepX;
+			t = tMaxX;
+			tMaxX += tDeltaX;
+			normal = [-stepX, 0, 0];
+		} else if (tMaxY < tMaxZ) {
+			y += stepY;
+			t = tMaxY;
+			tMaxY += tDeltaY;
+			normal = [0, -stepY, 0];
+		} else {
+			z += stepZ;
+			t = tMaxZ;
+			tMaxZ += tDeltaZ;
+			normal = [0, 0, -stepZ];
+		}
+		if (t > maxDistance) return null;
+		if (isSolid(x, y, z)) {
+			return {
+				pos: [x, y, z],
+				normal,
+				point: [ox + dx * t, oy + dy * t, oz + dz * t],
+				placePos: [x + normal[0], y + normal[1], z + normal[2]],
+				dist: t
+			};
+		}
+	}
+}
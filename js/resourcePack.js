@@ -0,0 +1,166 @@
+/**
+ * Resource packs: a folder or zip holding a manifest.json and the images it
+ * names. The manifest maps block ids to images, one for every face or one
+ * per face:
+ *
+ *   {
+ *     "name": "My Pack",
+ *     "tileSize": 16,
+ *     "blocks": {
+ *       "1": { "top": "grass_top.png", "side": "grass_side.png", "bottom": "dirt.png" },
+ *       "4": "stone.png"
+ *     }
+ *   }
+ *
+ * Faces a pack leaves out keep their built-in textures, and ids this game
+ * doesn't know are skipped. `tileSize` is optional (the first image's width
+ * by default). Image paths are relative to the manifest. Free of DOM and
+ * three.js so it can run headless; app.js decodes the images.
+ */
+import { BLOCKS } from "./blocks.js";
+import { TILE_FACES } from "./textures.js";
+
+export const MANIFEST_FILE = "manifest.json";
+
+/**
+ * Folder (ending in "/", or "" at the top) holding the manifest among
+ * `paths`, the shallowest one if there are several; null if there is none.
+ */
+export function findPackRoot(paths) {
+	let root = null;
+	for (const path of paths) {
+		if (path !== MANIFEST_FILE && !path.endsWith(`/${MANIFEST_FILE}`)) continue;
+		const folder = path.slice(0, -MANIFEST_FILE.length);
+		if (root === null || folder.length < root.length) root = folder;
+	}
+	return root;
+}
+
+/**
+ * Check and normalise a manifest's JSON text into { name, tileSize (null if
+ * not given), faces: Map of block id -> { top, side, bottom } image paths,
+ * undefined for faces the pack leaves alone }. Throws on malformed manifests.
+ */
+export function parseManifest(text) {
+	let manifest;
+	try {
+		manifest = JSON.parse(text);
+	} catch (error) {
+		throw new Error(`${MANIFEST_FILE} isn't valid JSON: ${error.message}`);
+	}
+	if (!manifest?.blocks || typeof manifest.blocks !== "object") {
+		throw new Error(`${MANIFEST_FILE} has no "blocks" object`);
+	}
+	const tileSize = manifest.tileSize ?? null;
+	if (tileSize !== null && !(Number.isInteger(tileSize) && tileSize > 0)) {
+		throw new Error(
+			`${MANIFEST_FILE}: "tileSize" must be a positive whole number`
+		);
+	}
+
+	const faces = new Map();
+	for (const [key, entry] of Object.entries(manifest.blocks)) {
+		const id = Number(key);
+		if (!Number.isInteger(id) || !BLOCKS[id]) continue;
+		const images =
+			typeof entry === "string"
+				? Object.fromEntries(TILE_FACES.map((face) => [face, entry]))
+				: entry;
+		if (!images || typeof images !== "object") {
+			throw new Error(`${MANIFEST_FILE}: block ${key} needs an image path`);
+		}
+		const paths = {};
+		for (const face of TILE_FACES) {
+			const path = images[face];
+			if (path === undefined) continue;
+			if (typeof path !== "string" || path === "") {
+				throw new Error(`${MANIFEST_FILE}: block ${key} ${face} isn't a path`);
+			}
+			paths[face] = path.replace(/^\.?\//, "");
+		}
+		faces.set(id, paths);
+	}
+	return { name: String(manifest.name ?? "Unnamed pack"), tileSize, faces };
+}
+
+/** Every image path a parsed manifest uses, each once */
+export function manifestImages(manifest) {
+	const paths = new Set();
+	for (const images of manifest.faces.values()) {
+		for (const path of Object.values(images)) paths.add(path);
+	}
+	return [...paths];
+}
+
+// --- Zip Reading ---
+// Enough of the zip format for packs: stored and deflated entries, no zip64
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+function inflateRaw(bytes) {
+	const stream = new Blob([bytes])
+		.stream()
+		.pipeThrough(new DecompressionStream("deflate-raw"));
+	return new Response(stream)
+		.arrayBuffer()
+		.then((buffer) => new Uint8Array(buffer));
+}
+
+/**
+ * Read the files of a zip archive (an ArrayBuffer). Resolves to a Map of
+ * path -> Uint8Array contents; folders are left out.
+ */
+export function readZip(buffer) {
+	const view = new DataView(buffer);
+	const bytes = new Uint8Array(buffer);
+	// The end of directory record is last, followed by a comment of up to 64 KiB
+	let end = -1;
+	for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+		if (view.getUint32(i, true) === END_OF_DIRECTORY) {
+			end = i;
+			break;
+		}
+	}
+	if (end < 0) return Promise.reject(new Error("Not a zip file"));
+
+	const count = view.getUint16(end + 10, true);
+	let offset = view.getUint32(end + 16, true);
+	const decoder = new TextDecoder();
+	const files = [];
+	for (let n = 0; n < count; n++) {
+		if (view.getUint32(offset, true) !== DIRECTORY_ENTRY) {
+			return Promise.reject(new Error("Damaged zip directory"));
+		}
+		const method = view.getUint16(offset + 10, true);
+		const size = view.getUint32(offset + 20, true);
+		const nameLength = view.getUint16(offset + 28, true);
+		const extraLength = view.getUint16(offset + 30, true);
+		const commentLength = view.getUint16(offset + 32, true);
+		const local = view.getUint32(offset + 42, true);
+		const path = decoder.decode(
+			bytes.subarray(offset + 46, offset + 46 + nameLength)
+		);
+		offset += 46 + nameLength + extraLength + commentLength;
+		if (path.endsWith("/")) continue;
+		if (method !== 0 && method !== 8) {
+			return Promise.reject(
+				new Error(`${path} uses an unsupported zip compression`)
+			);
+		}
+		if (view.getUint32(local, true) !== LOCAL_HEADER) {
+			return Promise.reject(new Error(`Damaged zip entry ${path}`));
+		}
+		// The local header's name and extra field can differ from the directory's
+		const start =
+			local +
+			30 +
+			view.getUint16(local + 26, true) +
+			view.getUint16(local + 28, true);
+		const data = bytes.subarray(start, start + size);
+		files.push([path, method === 0 ? Promise.resolve(data) : inflateRaw(data)]);
+	}
+	return Promise.all(files.map(([, data]) => data)).then(
+		(contents) => new Map(files.map(([path], i) => [path, contents[i]]))
+	);
+}
@@ -0,0 +1,115 @@
+/**
+ * Survival rules: health, hunger and breath. Vitals only holds numbers and
+ * timers; app.js feeds it what happened (landings, time in water, food eaten)
+ * and draws the HUD.
+ */
+
+export const MAX_HEALTH = 20;
+export const MAX_HUNGER = 20;
+export const MAX_AIR = 10; // seconds of breath under water
+
+// Falls up to this many blocks are harmless; one point of damage per block beyond
+export const SAFE_FALL_HEIGHT = 4;
+
+const HUNGER_PER_SECOND = 1 / 30;
+const SPRINT_HUNGER_FACTOR = 3;
+// Full enough to heal, and how often health and starvation change
+const REGEN_MIN_HUNGER = 18;
+const REGEN_INTERVAL = 4; // seconds per health point
+const STARVE_INTERVAL = 4; // seconds per point of starvation damage
+const DROWN_INTERVAL = 1; // seconds per drowning hit once out of air
+const DROWN_DAMAGE = 2;
+
+/**
+ * Damage for landing at `impactSpeed` (blocks per second, downwards) under
+ * `gravity` (blocks per second squared): the speed is turned back into the
+ * height fallen, so the result doesn't depend on the frame rate.
+ */
+export function fallDamage(impactSpeed, gravity) {
+	const height = (impactSpeed * impactSpeed) / (2 * gravity);
+	return Math.max(0, Math.floor(height - SAFE_FALL_HEIGHT));
+}
+
+export class Vitals {
+	constructor() {
+		this.reset();
+	}
+
+	/** Full health, food and breath, as after respawning */
+	reset() {
+		this.health = MAX_HEALTH;
+		this.hunger = MAX_HUNGER;
+		this.air = MAX_AIR;
+		this.regenTimer = 0;
+		this.starveTimer = 0;
+		this.drownTimer = 0;
+		// What last hurt the player, for the death screen
+		this.lastDamageCause = null;
+	}
+
+	get dead() {
+		return this.health <= 0;
+	}
+
+	/** Lose `amount` health; returns true if this killed the player */
+	damage(amount, cause) {
+		if (amount <= 0 || this.dead) return false;
+		this.health = Math.max(0, this.health - amount);
+		this.lastDamageCause = cause;
+		return this.dead;
+	}
+
+	/** Restore `amount` hunger; returns false (eating nothing) when already full */
+	eat(amount) {
+		if (this.hunger >= MAX_HUNGER) return false;
+		this.hunger = Math.min(MAX_HUNGER, this.hunger + amount);
+		return true;
+	}
+
+	/**
+	 * Advance by `dt` seconds. `state.sprinting` burns food faster and
+	 * `state.headInWater` uses up breath. Returns true if the player died.
+	 */
+	tick(dt, state) {
+		if (this.dead) return false;
+		const drain =
+			HUNGER_PER_SECOND * (state.sprinting ? SPRINT_HUNGER_FACTOR : 1);
+		this.hunger = Math.max(0, this.hunger - drain * dt);
+
+		if (this.hunger >= REGEN_MIN_HUNGER && this.health < MAX_HEALTH) {
+			this.regenTimer += dt;
+			if (this.regenTimer >= REGEN_INTERVAL) {
+				this.regenTimer = 0;
+				this.health = Math.min(MAX_HEALTH, this.health + 1);
+			}
+		} else {
+			this.regenTimer = 0;
+		}
+
+		let died = false;
+		if (this.hunger <= 0) {
+			this.starveTimer += dt;
+			if (this.starveTimer >= STARVE_INTERVAL) {
+				this.starveTimer = 0;
+				died = this.damage(1, "starvation") || died;
+			}
+		} else {
+			this.starveTimer = 0;
+		}
+
+		if (state.headInWater) {
+			this.air = Math.max(0, this.air - dt);
+			if (this.air <= 0) {
+				this.drownTimer += dt;
+				if (this.drownTimer >= DROWN_INTERVAL) {
+					this.drownTimer = 0;
+					died = this.damage(DROWN_DAMAGE, "drowning") || died;
+				}
+			}
+		} else {
+			this.air = MAX_AIR;
+			this.drownTimer = 0;
+		}
+		return died;
+	}
+}
@@ -0,0 +1,427 @@
+/**
+ * Terrain generation shared by the main thread (collision, spawning, items) and
+ * the chunk mesher workers. Everything here must stay free of DOM and three.js
+ * imports so it can be loaded inside a module worker or headless.
+ */
+
+import { BLOCK_TYPES } from "./blocks.js";
+
+// --- World Dimensions ---
+export const CHUNK_SIZE = 16;
+export const CHUNK_HEIGHT = 128;
+// Open air at or below this height above the terrain surface is filled with water
+export const SEA_LEVEL = 40;
+
+// --- Perlin Noise Implementation ---
+/** Simplex noise by Stefan Gustavson, JavaScript version by Jonas Wagner (MIT license).
+ *  Source: https://github.com/jwagner/simplex-noise.js (adapted below for browser direct use)
+ */
+export class SimplexNoise {
+	constructor(seed) {
+		this.grad3 = new Float32Array([
+			1,
+			1,
+			0,
+			-1,
+			1,
+			0,
+			1,
+			-1,
+			0,
+			-1,
+			-1,
+			0,
+			1,
+			0,
+			1,
+			-1,
+			0,
+			1,
+			1,
+			0,
+			-1,
+			-1,
+			0,
+			-1,
+			0,
+			1,
+			1,
+			0,
+			-1,
+			1,
+			0,
+			1,
+			-1,
+			0,
+			-1,
+			-1
+		]);
+		this.p = this.buildPermutationTable(seed);
+		this.perm = new Uint8Array(512);
+		this.permMod12 = new Uint8Array(512);
+		for (let i = 0; i < 512; i++) {
+			this.perm[i] = this.p[i & 255];
+			this.permMod12[i] = this.perm[i] % 12;
+		}
+	}
+	buildPermutationTable(seed) {
+		let p = new Uint8Array(256);
+		for (let i = 0; i < 256; i++) p[i] = i;
+		// Fisher–Yates
+		let random = (() => {
+			let s = seed || 1337;
+			return () => (s = Math.imul(16807, s) % 2147483647) / 2147483647;
+		})();
+		for (let i = 255; i > 0; i--) {
+			const r = Math.floor(random() * (i + 1));
+			[p[i], p[r]] = [p[r], p[i]];
+		}
+		return p;
+	}
+	noise2D(xin, yin) {
+		let permMod12 = this.permMod12,
+			perm = this.perm,
+			grad3 = this.grad3;
+		let n0 = 0,
+			n1 = 0,
+			n2 = 0;
+		let F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
+		let s = (xin + yin) * F2;
+		let i = Math.floor(xin + s);
+		let j = Math.floor(yin + s);
+		let G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
+		let t = (i + j) * G2;
+		let X0 = i - t;
+		let Y0 = j - t;
+		let x0 = xin - X0;
+		let y0 = yin - Y0;
+		let i1, j1;
+		if (x0 > y0) {
+			i1 = 1;
+			j1 = 0;
+		} else {
+			i1 = 0;
+			j1 = 1;
+		}
+		let x1 = x0 - i1 + G2;
+		let y1 = y0 - j1 + G2;
+		let x2 = x0 - 1.0 + 2.0 * G2;
+		let y2 = y0 - 1.0 + 2.0 * G2;
+		let ii = i & 255;
+		let jj = j & 255;
+		let gi0 = permMod12[ii + perm[jj]] * 3;
+		let gi1 = permMod12[ii + i1 + perm[jj + j1]] * 3;
+		let gi2 = permMod12[ii + 1 + perm[jj + 1]] * 3;
+		let t0 = 0.5 - x0 * x0 - y0 * y0;
+		if (t0 >= 0) {
+			t0 *= t0;
+			n0 = t0 * t0 * (grad3[gi0] * x0 + grad3[gi0 + 1] * y0);
+		}
+		let t1 = 0.5 - x1 * x1 - y1 * y1;
+		if (t1 >= 0) {
+			t1 *= t1;
+			n1 = t1 * t1 * (grad3[gi1] * x1 + grad3[gi1 + 1] * y1);
+		}
+		let t2 = 0.5 - x2 * x2 - y2 * y2;
+		if (t2 >= 0) {
+			t2 *= t2;
+			n2 = t2 * t2 * (grad3[gi2] * x2 + grad3[gi2 + 1] * y2);
+		}
+		return 70.0 * (n0 + n1 + n2);
+	}
+	noise3D(xin, yin, zin) {
+		let permMod12 = this.permMod12,
+			perm = this.perm,
+			grad3 = this.grad3;
+		let n0 = 0,
+			n1 = 0,
+			n2 = 0,
+			n3 = 0;
+		let F3 = 1.0 / 3.0;
+		let G3 = 1.0 / 6.0;
+		let s = (xin + yin + zin) * F3;
+		let i = Math.floor(xin + s);
+		let j = Math.floor(yin + s);
+		let k = Math.floor(zin + s);
+		let t = (i + j + k) * G3;
+		let x0 = xin - (i - t);
+		let y0 = yin - (j - t);
+		let z0 = zin - (k - t);
+		// Which of the six tetrahedra of the skewed cube we are in
+		let i1, j1, k1, i2, j2, k2;
+		if (x0 >= y0) {
+			if (y0 >= z0) {
+				i1 = 1;
+				j1 = 0;
+				k1 = 0;
+				i2 = 1;
+				j2 = 1;
+				k2 = 0;
+			} else if (x0 >= z0) {
+				i1 = 1;
+				j1 = 0;
+				k1 = 0;
+				i2 = 1;
+				j2 = 0;
+				k2 = 1;
+			} else {
+				i1 = 0;
+				j1 = 0;
+				k1 = 1;
+				i2 = 1;
+				j2 = 0;
+				k2 = 1;
+			}
+		} else {
+			if (y0 < z0) {
+				i1 = 0;
+				j1 = 0;
+				k1 = 1;
+				i2 = 0;
+				j2 = 1;
+				k2 = 1;
+			} else if (x0 < z0) {
+				i1 = 0;
+				j1 = 1;
+				k1 = 0;
+				i2 = 0;
+				j2 = 1;
+				k2 = 1;
+			} else {
+				i1 = 0;
+				j1 = 1;
+				k1 = 0;
+				i2 = 1;
+				j2 = 1;
+				k2 = 0;
+			}
+		}
+		let x1 = x0 - i1 + G3;
+		let y1 = y0 - j1 + G3;
+		let z1 = z0 - k1 + G3;
+		let x2 = x0 - i2 + 2.0 * G3;
+		let y2 = y0 - j2 + 2.0 * G3;
+		let z2 = z0 - k2 + 2.0 * G3;
+		let x3 = x0 - 1.0 + 3.0 * G3;
+		let y3 = y0 - 1.0 + 3.0 * G3;
+		let z3 = z0 - 1.0 + 3.0 * G3;
+		let ii = i & 255;
+		let jj = j & 255;
+		let kk = k & 255;
+		let gi0 = permMod12[ii + perm[jj + perm[kk]]] * 3;
+		let gi1 = permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]] * 3;
+		let gi2 = permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]] * 3;
+		let gi3 = permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]] * 3;
+		let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+		if (t0 >= 0) {
+			t0 *= t0;
+			n0 =
+				t0 * t0 * (grad3[gi0] * x0 + grad3[gi0 + 1] * y0 + grad3[gi0 + 2] * z0);
+		}
+		let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+		if (t1 >= 0) {
+			t1 *= t1;
+			n1 =
+				t1 * t1 * (grad3[gi1] * x1 + grad3[gi1 + 1] * y1 + grad3[gi1 + 2] * z1);
+		}
+		let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+		if (t2 >= 0) {
+			t2 *= t2;
+			n2 =
+				t2 * t2 * (grad3[gi2] * x2 + grad3[gi2 + 1] * y2 + grad3[gi2 + 2] * z2);
+		}
+		let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+		if (t3 >= 0) {
+			t3 *= t3;
+			n3 =
+				t3 * t3 * (grad3[gi3] * x3 + grad3[gi3 + 1] * y3 + grad3[gi3 + 2] * z3);
+		}
+		return 32.0 * (n0 + n1 + n2 + n3);
+	}
+}
+
+// --- Biomes ---
+export const BIOME_TYPES = {
+	FOREST: { color: 0x228b22, name: "Forest" },
+	DESERT: { color: 0xffd700, name: "Desert" },
+	SNOW: { color: 0xffffff, name: "Snow" },
+	STONE: { color: 0x696969, name: "Stone" },
+	WATER: { color: 0x4169e1, name: "Water" }
+};
+
+// --- Terrain Strata ---
+/** Terrain block type at height `y` of a column with surface `height` in `biome` */
+export function blockTypeAt(y, height, biome) {
+	// Overhangs reach above the heightmap surface; they are bare rock
+	if (y > height) return BLOCK_TYPES.STONE;
+	if (y <= height - 5) return BLOCK_TYPES.STONE;
+	// River beds and sea floors
+	if (y === height && height < SEA_LEVEL) return BLOCK_TYPES.SAND;
+	if (y === height && biome === BIOME_TYPES.DESERT) return BLOCK_TYPES.SAND;
+	if (y === height && biome === BIOME_TYPES.SNOW) return BLOCK_TYPES.SNOW;
+	if (y < height) return BLOCK_TYPES.STONE;
+	return BLOCK_TYPES.GRASS;
+}
+
+// --- 3D Density (overhangs, caves, ravines, ores) ---
+// How far (in blocks) 3D noise may push the surface above or below the heightmap
+export const OVERHANG_RANGE = 6;
+// Lowest y that caves may carve; everything below stays solid
+const CAVE_FLOOR = 4;
+// Ore bands by depth: the first matching entry whose noise exceeds its threshold wins
+const ORE_BANDS = [
+	{
+		block: BLOCK_TYPES.CRYSTAL_ORE,
+		minY: 1,
+		maxY: 20,
+		scale: 0.16,
+		threshold: 0.8,
+		offset: 0
+	},
+	{
+		block: BLOCK_TYPES.IRON_ORE,
+		minY: 5,
+		maxY: 48,
+		scale: 0.13,
+		threshold: 0.76,
+		offset: 300
+	},
+	{
+		block: BLOCK_TYPES.COAL_ORE,
+		minY: 16,
+		maxY: 80,
+		scale: 0.11,
+		threshold: 0.7,
+		offset: 600
+	}
+];
+
+// --- Terrain Generator ---
+/** Seeded terrain: one instance per world seed, identical on every thread */
+export class TerrainGenerator {
+	constructor(seed) {
+		this.seed = seed;
+		this.simplex = new SimplexNoise(seed);
+	}
+	/** Pure noise‐based height computation */
+	computeHeight(x, z) {
+		const simplex = this.simplex;
+		// Layer 1: Base, mostly flat
+		let base =
+			simplex.noise2D(x * 0.006, z * 0.006) * 1.8 +
+			simplex.noise2D((x + 500) * 0.013, (z - 888) * 0.013) * 0.4;
+		base = base * 8 + 50;
+
+		// Layer 2: Sparse Mountains
+		let mountainNoise = simplex.noise2D(x * 0.0025 + 3000, z * 0.0025 - 735);
+		if (mountainNoise > 0.52) {
+			let m = Math.min((mountainNoise - 0.52) * 1.9, 1);
+			let detail = simplex.noise2D(x * 0.022, z * 0.022) * 0.7;
+			let cliff = Math.pow(m, 2.6);
+			base += cliff * 38 + detail * 2;
+		}
+
+		// Layer 3: Rivers (deeper, more defined)
+		let riverNoise = simplex.noise2D(x * 0.002, 9999 + z * 0.002);
+		let riverBand = Math.abs(riverNoise);
+		if (riverBand < 0.15) {
+			let t = Math.pow(riverBand / 0.15, 1.7);
+			let riverDepth =
+				(1 - t) * 24 + simplex.noise2D(x * 0.032, z * 0.032) * 2.5;
+			base -= riverDepth;
+		}
+
+		// Clamp and floor to [0, CHUNK_HEIGHT–1]
+		return Math.floor(Math.max(0, Math.min(base, CHUNK_HEIGHT - 1)));
+	}
+	/**
+	 * Everything about column (x, z) that doesn't depend on y: surface height,
+	 * biome, how strongly overhangs bend the surface and how deep a ravine cuts in.
+	 */
+	getColumn(x, z) {
+		const simplex = this.simplex;
+		const height = this.computeHeight(x, z);
+		// Overhangs only form on the cliffs of the mountain layer
+		const mountainNoise = simplex.noise2D(x * 0.0025 + 3000, z * 0.0025 - 735);
+		const overhang = Math.max(0, Math.min((mountainNoise - 0.45) * 6, 1));
+		// Ravines: narrow ridged-noise bands, only where a sparse mask allows them
+		let ravineDepth = 0;
+		if (simplex.noise2D(x * 0.004 - 2500, z * 0.004 + 1700) > 0.45) {
+			const band = Math.abs(simplex.noise2D(x * 0.009 + 4000, z * 0.009));
+			if (band < 0.03) ravineDepth = (1 - band / 0.03) * 32;
+		}
+		return { height, biome: this.getBiome(x, z), overhang, ravineDepth };
+	}
+	/** Density test: is (x, y, z) solid ground in `column` (from getColumn)? */
+	isSolid(x, y, z, column) {
+		if (y <= 0) return y === 0; // unbreakable-looking floor, never carved
+		const { height, overhang, ravineDepth } = column;
+		let density = height - y;
+		if (overhang > 0 && Math.abs(density) <= OVERHANG_RANGE) {
+			density +=
+				this.simplex.noise3D(x * 0.045, y * 0.06, z * 0.045) *
+				OVERHANG_RANGE *
+				overhang;
+		}
+		if (density < 0) return false;
+		if (ravineDepth > 0 && y > height - ravineDepth && y >= CAVE_FLOOR)
+			return false;
+		return !this.isCave(x, y, z);
+	}
+	/** Worm caves: tubes where two independent 3D noise fields are both near zero */
+	isCave(x, y, z) {
+		if (y < CAVE_FLOOR) return false;
+		const a = this.simplex.noise3D(x * 0.03, y * 0.05, z * 0.03);
+		if (Math.abs(a) > 0.12) return false;
+		const b = this.simplex.noise3D(x * 0.03 + 100, y * 0.05, z * 0.03 - 100);
+		return a * a + b * b < 0.012;
+	}
+	/** Ore that replaces stone at (x, y, z), or STONE if none does */
+	oreAt(x, y, z) {
+		for (const band of ORE_BANDS) {
+			if (y < band.minY || y > band.maxY) continue;
+			const n = this.simplex.noise3D(
+				x * band.scale + band.offset,
+				y * band.scale,
+				z * band.scale - band.offset
+			);
+			if (n > band.threshold) return band.block;
+		}
+		return BLOCK_TYPES.STONE;
+	}
+	getBiome(x, z) {
+		const temp = this.simplex.noise2D(x * 0.003, z * 0.003);
+		const humidity = this.simplex.noise2D(x * 0.004 + 1000, z * 0.004 + 1000);
+
+		if (temp < -0.3) return BIOME_TYPES.SNOW;
+		if (humidity < -0.2) return BIOME_TYPES.DESERT;
+		if (temp > 0.4 && humidity < 0.1) return BIOME_TYPES.STONE;
+		return BIOME_TYPES.FOREST;
+	}
+}
+
+/**
+ * Deterministic random numbers in [0, 1) for the chunk at (chunkX, chunkZ)
+ * of the world with `seed`: the same arguments give the same sequence. Used
+ * for things placed per chunk (loot, decorations) rather than by noise. Each
+ * of those passes its own `salt`, so they don't all draw the same numbers.
+ */
+export function chunkRandom(seed, chunkX, chunkZ, salt = 0) {
+	let h = Math.imul((seed | 0) ^ Math.imul(salt | 0, 0x27d4eb2f), 0x9e3779b1);
+	h = Math.imul(h ^ (chunkX | 0), 0x85ebca6b);
+	h = Math.imul(h ^ (chunkZ | 0), 0xc2b2ae35);
+	let state = (h ^ (h >>> 16)) >>> 0;
+	// mulberry32
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// --- Block Queries ---
+export function blockKey(x, y, z) {
+	return `${x},${y},${z}`;
+}
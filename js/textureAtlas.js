@@ -0,0 +1,81 @@
+/**
+ * Texture atlas: block tiles packed into one texture so a chunk mesh keeps
+ * one material per block type. Every tile sits in the middle of a cell twice
+ * its size and the padding around it repeats the tile, the way merged faces
+ * repeat it (the shader wraps UVs within the tile). Mipmaps stay clean down
+ * to the level where the padding is a single pixel (maxLod), so neighbouring
+ * tiles never bleed into each other. app.js uploads the pixels.
+ */
+
+// Cells per atlas row
+export const ATLAS_COLUMNS = 16;
+
+/** Tile size an atlas uses for tiles of `size` pixels: the next power of two */
+export function atlasTileSize(size) {
+	return 2 ** Math.ceil(Math.log2(Math.max(2, size)));
+}
+
+export class TextureAtlas {
+	/**
+	 * @param tileSize edge of every tile in pixels, rounded up by
+	 *   atlasTileSize so each mip level halves cells evenly
+	 */
+	constructor(tileSize) {
+		this.tileSize = atlasTileSize(tileSize);
+		this.cellSize = this.tileSize * 2;
+		this.tiles = []; // RGBA pixels, rows top to bottom
+		this.indexOf = new Map(); // tile name -> index
+	}
+
+	/** Highest mip level without bleeding: log2 of the padding */
+	get maxLod() {
+		return Math.log2(this.tileSize / 2);
+	}
+
+	/**
+	 * Index of tile `name`, adding it first if it isn't there yet. `draw()`
+	 * gives the tile's tileSize by tileSize RGBA pixels.
+	 */
+	add(name, draw) {
+		let index = this.indexOf.get(name);
+		if (index !== undefined) return index;
+		const pixels = draw();
+		if (pixels.length !== this.tileSize * this.tileSize * 4) {
+			throw new Error(`Tile "${name}" isn't ${this.tileSize}x${this.tileSize}`);
+		}
+		index = this.tiles.length;
+		this.tiles.push(pixels);
+		this.indexOf.set(name, index);
+		return index;
+	}
+
+	/**
+	 * The atlas as { data, width, height }: RGBA bytes with the bottom row
+	 * first, as WebGL reads them. Tile `i` is in cell (i % ATLAS_COLUMNS,
+	 * floor(i / ATLAS_COLUMNS)) counted from the bottom left, top side up.
+	 */
+	build() {
+		const { tileSize, cellSize } = this;
+		const rows = Math.max(1, Math.ceil(this.tiles.length / ATLAS_COLUMNS));
+		const width = ATLAS_COLUMNS * cellSize;
+		const height = rows * cellSize;
+		const data = new Uint8Array(width * height * 4);
+		const padding = tileSize / 2;
+		this.tiles.forEach((pixels, i) => {
+			const left = (i % ATLAS_COLUMNS) * cellSize;
+			const bottom = Math.floor(i / ATLAS_COLUMNS) * cellSize;
+			for (let cy = 0; cy < cellSize; cy++) {
+				// Tile row for this cell row, wrapping into the padding
+				const ty = (cy - padding + tileSize) % tileSize;
+				const sourceRow = tileSize - 1 - ty;
+				for (let cx = 0; cx < cellSize; cx++) {
+					const tx = (cx - padding + tileSize) % tileSize;
+					const from = (sourceRow * tileSize + tx) * 4;
+					const to = ((bottom + cy) * width + left + cx) * 4;
+					data.set(pixels.subarray(from, from + 4), to);
+				}
+			}
+		});
+		return { data, width, height };
+	}
+}
@@ -0,0 +1,190 @@
+/**
+ * Built-in block textures, drawn from code so the game needs no image files.
+ * Tiles are RGBA pixel arrays (rows top to bottom, 4 bytes per pixel) in
+ * the layout TextureAtlas takes. Each block names a tile per face with its
+ * `texture` (see blocks.js); resource packs replace them with images.
+ */
+import { chunkRandom } from "./terrain.js";
+
+// Size the built-in tiles are designed at; larger atlases scale them up
+export const BUILTIN_TILE_SIZE = 16;
+// Faces with their own tile, in the order blocks' tiles are listed
+export const TILE_FACES = ["top", "side", "bottom"];
+
+function hexToRgb(hex) {
+	return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+}
+
+// `color` ([r, g, b]) brightened or darkened by `factor`
+function shade(color, factor) {
+	return color.map((c) => Math.min(255, Math.round(c * factor)));
+}
+
+// Per-pixel colour of `hex` varied by up to ±`spread`
+function noisy(hex, spread) {
+	const color = hexToRgb(hex);
+	return (x, y, random) => shade(color, 1 + (random() * 2 - 1) * spread);
+}
+
+// `base` with pixels of `hex` scattered over it, for ores
+function speckled(base, hex, chance) {
+	const spot = noisy(hex, 0.15);
+	return (x, y, random) => {
+		const color = base(x, y, random);
+		return random() < chance ? spot(x, y, random) : color;
+	};
+}
+
+// Bricks with a pixel of mortar between them, every other row offset by half a brick
+function bricks(hex, mortarHex) {
+	const brick = noisy(hex, 0.08);
+	const mortar = noisy(mortarHex, 0.05);
+	return (x, y, random) => {
+		const row = Math.floor(y / 4);
+		const joint = (x + (row % 2) * 4) % 8 === 7;
+		return y % 4 === 3 || joint ? mortar(x, y, random) : brick(x, y, random);
+	};
+}
+
+// A flower: a stem with a round head of `petalHex` petals around a `centerHex` middle
+function flower(petalHex, centerHex) {
+	const petal = noisy(petalHex, 0.1);
+	const center = hexToRgb(centerHex);
+	const stem = noisy(0x3f8f2a, 0.1);
+	return (x, y, random) => {
+		const d = Math.hypot(x - 7.5, y - 5);
+		if (d < 1.2) return center;
+		if (d < 3.2) return petal(x, y, random);
+		if (y > 7 && (x === 7 || x === 8)) return stem(x, y, random);
+		if (y === 11 && (x === 6 || x === 9)) return stem(x, y, random);
+		return null;
+	};
+}
+
+const dirt = noisy(0x8b5a2b, 0.18);
+const grass = noisy(0x4c9a2a, 0.15);
+const stone = noisy(0x7b7b7b, 0.2);
+const bark = noisy(0x6b4423, 0.12);
+
+/**
+ * Built-in tiles by name: (x, y, random) -> [r, g, b] or [r, g, b, a] for the
+ * pixel at (x, y) of a BUILTIN_TILE_SIZE tile, null for a clear pixel.
+ * `random` is seeded per tile and called in pixel order.
+ */
+const BUILTIN_TILES = {
+	grass_top: grass,
+	grass_side: (x, y, random) => {
+		const color = dirt(x, y, random);
+		// Grass hangs over the top edge, a pixel further every few columns
+		return y < 3 + ((x * 7) % 3 === 0 ? 1 : 0) ? grass(x, y, random) : color;
+	},
+	dirt,
+	sand: noisy(0xdbc67b, 0.08),
+	snow: noisy(0xf2f6fa, 0.04),
+	stone,
+	water: noisy(0x3d66d8, 0.06),
+	log_side: (x, y, random) => {
+		const color = bark(x, y, random);
+		return x % 4 === 0 ? shade(color, 0.75) : color;
+	},
+	log_top: (x, y, random) => {
+		const d = Math.hypot(x - 7.5, y - 7.5);
+		if (d > 6.5) return bark(x, y, random);
+		const wood = shade(hexToRgb(0xb8875a), 1 + (random() - 0.5) * 0.1);
+		return Math.floor(d) % 2 === 0 ? shade(wood, 0.85) : wood;
+	},
+	coal_ore: speckled(stone, 0x222222, 0.12),
+	iron_ore: speckled(stone, 0xd8a47f, 0.12),
+	crystal_ore: speckled(stone, 0xff69b4, 0.12),
+	crystal: (x, y, random) => {
+		const color = noisy(0xff69b4, 0.06)(x, y, random);
+		// Diagonal facets catching the light
+		return (x + y) % 6 < 2 ? shade(color, 1.2) : color;
+	},
+	planks: (x, y, random) => {
+		const color = noisy(0xb88a55, 0.06)(x, y, random);
+		const board = Math.floor(y / 4);
+		const seam = y % 4 === 3 || x === (board * 5 + 3) % 16;
+		return seam ? shade(color, 0.7) : color;
+	},
+	stone_bricks: bricks(0x808080, 0x5a5a5a),
+	crystal_bricks: bricks(0xe08ac4, 0xa0508a),
+	crystal_lamp: (x, y, random) => {
+		const edge = x === 0 || y === 0 || x === 15 || y === 15;
+		return edge ? hexToRgb(0xb06a98) : noisy(0xffd8f2, 0.04)(x, y, random);
+	},
+	leaves: (x, y, random) => {
+		const color = noisy(0x2e7d32, 0.25)(x, y, random);
+		return random() < 0.15 ? shade(color, 0.6) : color;
+	},
+	cactus_side: (x, y, random) => {
+		const color = noisy(0x3f8f3a, 0.08)(x, y, random);
+		if (x % 4 !== 1) return color;
+		return y % 5 === 2 ? hexToRgb(0xe8e0b0) : shade(color, 1.2);
+	},
+	cactus_top: (x, y, random) => {
+		const color = noisy(0x4f9f4a, 0.08)(x, y, random);
+		const edge = x === 0 || y === 0 || x === 15 || y === 15;
+		return edge ? shade(color, 0.8) : color;
+	},
+	tall_grass: (x, y, random) => {
+		const color = noisy(0x5fa83a, 0.15)(x, y, random);
+		// Blades on every third column, taller towards the middle
+		if (x % 3 !== 1) return null;
+		const height = 9 + (x > 3 && x < 12 ? 5 : 0) - (x % 2);
+		return y >= 16 - height ? color : null;
+	},
+	red_flower: flower(0xd62828, 0xf4d03f),
+	yellow_flower: flower(0xf4d03f, 0xe07b1a)
+};
+
+/**
+ * Tile names of a block's faces in TILE_FACES order, from its `texture`:
+ * one name for every face or { top, side, bottom }, top and bottom falling
+ * back to the side. Blocks without a texture get a noisy tile of their
+ * colour, named "color:" plus the colour in hex.
+ */
+export function blockTileNames(def) {
+	const texture = def.texture ?? `color:${def.color.toString(16)}`;
+	if (typeof texture === "string") return TILE_FACES.map(() => texture);
+	return TILE_FACES.map((face) => texture[face] ?? texture.side);
+}
+
+/**
+ * Draw tile `name` (built-in or "color:" hex, see blockTileNames) as `size`
+ * by `size` RGBA pixels, scaled up from BUILTIN_TILE_SIZE without smoothing.
+ */
+export function drawTile(name, size = BUILTIN_TILE_SIZE) {
+	const paint = name.startsWith("color:")
+		? noisy(parseInt(name.slice(6), 16), 0.1)
+		: BUILTIN_TILES[name];
+	if (!paint) throw new Error(`Unknown tile "${name}"`);
+	// Same pixels every time: seeded from the name
+	let seed = 0;
+	for (const c of name) seed = Math.imul(seed, 31) + c.charCodeAt(0);
+	const random = chunkRandom(seed, 0, 0);
+
+	const base = new Uint8ClampedArray(BUILTIN_TILE_SIZE * BUILTIN_TILE_SIZE * 4);
+	for (let y = 0; y < BUILTIN_TILE_SIZE; y++) {
+		for (let x = 0; x < BUILTIN_TILE_SIZE; x++) {
+			const color = paint(x, y, random);
+			if (!color) continue;
+			base.set(
+				[...color.slice(0, 3), color[3] ?? 255],
+				(y * BUILTIN_TILE_SIZE + x) * 4
+			);
+		}
+	}
+	if (size === BUILTIN_TILE_SIZE) return base;
+
+	const pixels = new Uint8ClampedArray(size * size * 4);
+	for (let y = 0; y < size; y++) {
+		for (let x = 0; x < size; x++) {
+			const sx = Math.floor((x * BUILTIN_TILE_SIZE) / size);
+			const sy = Math.floor((y * BUILTIN_TILE_SIZE) / size);
+			const from = (sy * BUILTIN_TILE_SIZE + sx) * 4;
+			pixels.set(base.subarray(from, from + 4), (y * size + x) * 4);
+		}
+	}
+	return pixels;
+}
@@ -0,0 +1,120 @@
+/**
+ * Crafting recipes (crafting.js): parsing recipe data and matching shaped and
+ * shapeless recipes against the crafting grid.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { RecipeBook, parseRecipe, GRID_SIZE } from "../js/crafting.js";
+
+const RECIPES = JSON.parse(
+	readFileSync(new URL("../data/recipes.json", import.meta.url), "utf8")
+);
+
+function bookOf(list = RECIPES) {
+	const book = new RecipeBook();
+	assert.deepEqual(book.addAll(list), []);
+	return book;
+}
+
+// A crafting grid from rows of single-letter item codes, "." for empty
+const CODES = { W: "Wood", P: "Planks", S: "Stick", R: "Stone", C: "Crystal" };
+function gridOf(...rows) {
+	const grid = new Array(GRID_SIZE * GRID_SIZE).fill(null);
+	rows.forEach((row, y) => {
+		[...row].forEach((code, x) => {
+			if (code !== ".") grid[y * GRID_SIZE + x] = CODES[code];
+		});
+	});
+	return grid;
+}
+
+test("every recipe in data/recipes.json is valid", () => {
+	bookOf();
+});
+
+test("a shaped recipe matches wherever it sits in the grid", () => {
+	const book = bookOf();
+	for (const grid of [
+		gridOf("RR.", "RR.", "..."),
+		gridOf("...", ".RR", ".RR"),
+		gridOf(".RR", ".RR", "...")
+	]) {
+		assert.equal(book.find(grid)?.result.item, "Stone Bricks");
+	}
+	assert.equal(book.find(gridOf("P..", "...", "P..")), null);
+});
+
+test("a shaped recipe matches mirrored left to right", () => {
+	const book = bookOf();
+	assert.equal(
+		book.find(gridOf("PP.", "PS.", ".S.")).result.item,
+		"Wooden Axe"
+	);
+	assert.equal(
+		book.find(gridOf("PP.", "SP.", "S..")).result.item,
+		"Wooden Axe"
+	);
+	// Upside down is a different shape
+	assert.equal(book.find(gridOf(".S.", "PS.", "PP.")), null);
+});
+
+test("a shapeless recipe matches its ingredients in any order and place", () => {
+	const book = bookOf();
+	assert.equal(book.find(gridOf("...", ".W.", "...")).result.item, "Planks");
+	assert.equal(
+		book.find(gridOf("CR.", "...", "...")).result.item,
+		"Crystal Lamp"
+	);
+	assert.equal(
+		book.find(gridOf("R..", "...", "..C")).result.item,
+		"Crystal Lamp"
+	);
+	assert.equal(book.find(gridOf("RC.", "C..", "...")), null);
+});
+
+test("parseRecipe rejects a pattern symbol missing from the key", () => {
+	assert.throws(
+		() =>
+			parseRecipe({
+				pattern: ["PX"],
+				key: { P: "Planks" },
+				result: { item: "Stick" }
+			}),
+		/symbol "X" not in key/
+	);
+});
+
+test("parseRecipe rejects a result count that isn't a positive integer", () => {
+	for (const count of [0, -1, 1.5, "4"]) {
+		assert.throws(
+			() =>
+				parseRecipe({
+					type: "shapeless",
+					ingredients: ["Wood"],
+					result: { item: "Planks", count }
+				}),
+			/bad result count/
+		);
+	}
+});
+
+test("addAll skips invalid recipes and reports why", () => {
+	const book = new RecipeBook((name) => name !== "Unobtainium");
+	const errors = book.addAll([
+		RECIPES[0],
+		{ pattern: ["PX"], key: { P: "Planks" }, result: { item: "Stick" } },
+		{
+			type: "shapeless",
+			ingredients: ["Unobtainium"],
+			result: { item: "Stone" }
+		},
+		RECIPES[1]
+	]);
+	assert.equal(errors.length, 2);
+	assert.match(errors[1], /unknown item "Unobtainium"/);
+	assert.deepEqual(
+		book.recipes.map((recipe) => recipe.result.item),
+		["Planks", "Stick"]
+	);
+});
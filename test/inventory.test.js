@@ -0,0 +1,187 @@
+/**
+ * Inventory model (inventory.js): adding items, mouse clicks, splitting,
+ * shift-click quick moves and putting the held stack back.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	Inventory,
+	HOTBAR_SIZE,
+	BACKPACK_SIZE,
+	STACK_LIMIT
+} from "../js/inventory.js";
+
+// Tools hold one per slot, everything else STACK_LIMIT
+const maxStackOf = (name) => (name === "Pickaxe" ? 1 : STACK_LIMIT);
+
+// An inventory with `contents` ({ index: [type, count] }) in its slots
+function inventoryWith(contents = {}) {
+	const inventory = new Inventory(maxStackOf);
+	for (const [index, [type, count]] of Object.entries(contents)) {
+		Object.assign(inventory.slots[index], { type, count });
+	}
+	return inventory;
+}
+
+function assertSlot(slot, type, count) {
+	assert.deepEqual({ type: slot.type, count: slot.count }, { type, count });
+}
+
+test("add tops up stacks before filling empty slots, hotbar first", () => {
+	const inventory = inventoryWith({
+		3: ["Stone", 60],
+		[HOTBAR_SIZE]: ["Stone", 1]
+	});
+	assert.equal(inventory.add("Stone", 10), 0);
+	assertSlot(inventory.slots[3], "Stone", STACK_LIMIT);
+	assertSlot(inventory.slots[HOTBAR_SIZE], "Stone", 7);
+	assertSlot(inventory.slots[0], null, 0);
+	assert.equal(inventory.add("Pickaxe", 2), 0);
+	assertSlot(inventory.slots[0], "Pickaxe", 1);
+	assertSlot(inventory.slots[1], "Pickaxe", 1);
+});
+
+test("add reports what doesn't fit", () => {
+	const inventory = inventoryWith();
+	const slots = HOTBAR_SIZE + BACKPACK_SIZE;
+	assert.equal(inventory.roomFor("Sand"), slots * STACK_LIMIT);
+	assert.equal(inventory.add("Sand", slots * STACK_LIMIT + 5), 5);
+	assert.equal(inventory.roomFor("Sand"), 0);
+});
+
+test("removeFrom empties the slot with its last item", () => {
+	const inventory = inventoryWith({ 2: ["Berry", 2] });
+	assert.equal(inventory.removeFrom(2), 1);
+	assertSlot(inventory.slots[2], "Berry", 1);
+	assert.equal(inventory.removeFrom(2, 5), 1);
+	assertSlot(inventory.slots[2], null, 0);
+	assert.equal(inventory.removeFrom(2), 0);
+});
+
+test("clickSlot picks up a stack and puts it down elsewhere", () => {
+	const inventory = inventoryWith({ 0: ["Wood", 12] });
+	inventory.clickSlot(0);
+	assertSlot(inventory.cursor, "Wood", 12);
+	assertSlot(inventory.slots[0], null, 0);
+	inventory.clickSlot(5);
+	assertSlot(inventory.slots[5], "Wood", 12);
+	assertSlot(inventory.cursor, null, 0);
+});
+
+test("clickSlot merges into a matching stack up to its limit", () => {
+	const inventory = inventoryWith({ 0: ["Wood", 50], 1: ["Wood", 20] });
+	inventory.clickSlot(0);
+	inventory.clickSlot(1);
+	assertSlot(inventory.slots[1], "Wood", STACK_LIMIT);
+	assertSlot(inventory.cursor, "Wood", 6);
+});
+
+test("clickSlot swaps with a different stack", () => {
+	const inventory = inventoryWith({ 0: ["Wood", 5], 1: ["Stone", 9] });
+	inventory.clickSlot(0);
+	inventory.clickSlot(1);
+	assertSlot(inventory.slots[1], "Wood", 5);
+	assertSlot(inventory.cursor, "Stone", 9);
+});
+
+test("clickSlot swaps with a full stack of the same item", () => {
+	const inventory = inventoryWith({
+		0: ["Wood", 10],
+		1: ["Wood", STACK_LIMIT]
+	});
+	inventory.clickSlot(0);
+	inventory.clickSlot(1);
+	assertSlot(inventory.slots[1], "Wood", 10);
+	assertSlot(inventory.cursor, "Wood", STACK_LIMIT);
+
+	const tools = inventoryWith({ 0: ["Pickaxe", 1], 1: ["Pickaxe", 1] });
+	tools.clickSlot(0);
+	tools.clickSlot(1);
+	assertSlot(tools.slots[1], "Pickaxe", 1);
+	assertSlot(tools.cursor, "Pickaxe", 1);
+});
+
+test("rightClickSlot picks up half and puts down one at a time", () => {
+	const inventory = inventoryWith({ 0: ["Sand", 7], 1: ["Stone", 3] });
+	inventory.rightClickSlot(0);
+	assertSlot(inventory.cursor, "Sand", 4);
+	assertSlot(inventory.slots[0], "Sand", 3);
+	inventory.rightClickSlot(2);
+	inventory.rightClickSlot(2);
+	assertSlot(inventory.slots[2], "Sand", 2);
+	assertSlot(inventory.cursor, "Sand", 2);
+	// Not onto a different item
+	inventory.rightClickSlot(1);
+	assertSlot(inventory.slots[1], "Stone", 3);
+	assertSlot(inventory.cursor, "Sand", 2);
+	// Nor onto a full stack
+	inventory.slots[0].count = STACK_LIMIT;
+	inventory.rightClickSlot(0);
+	assertSlot(inventory.slots[0], "Sand", STACK_LIMIT);
+	assertSlot(inventory.cursor, "Sand", 2);
+});
+
+test("quickMove moves stacks between the hotbar and the backpack", () => {
+	const backpack = HOTBAR_SIZE;
+	const inventory = inventoryWith({
+		0: ["Wood", 30],
+		[backpack + 4]: ["Wood", 60]
+	});
+	inventory.quickMove(0);
+	// Tops up the backpack stack, then takes the first empty backpack slot
+	assertSlot(inventory.slots[backpack + 4], "Wood", STACK_LIMIT);
+	assertSlot(inventory.slots[backpack], "Wood", 26);
+	assertSlot(inventory.slots[0], null, 0);
+	inventory.quickMove(backpack + 4);
+	assertSlot(inventory.slots[0], "Wood", STACK_LIMIT);
+	assertSlot(inventory.slots[backpack + 4], null, 0);
+});
+
+test("quickMove leaves behind what doesn't fit", () => {
+	const inventory = inventoryWith({ [HOTBAR_SIZE]: ["Stone", 40] });
+	for (let i = 0; i < HOTBAR_SIZE; i++) {
+		Object.assign(inventory.slots[i], { type: "Dirt", count: 1 });
+	}
+	inventory.slots[2] = { type: "Stone", count: 50 };
+	inventory.quickMove(HOTBAR_SIZE);
+	assertSlot(inventory.slots[2], "Stone", STACK_LIMIT);
+	assertSlot(inventory.slots[HOTBAR_SIZE], "Stone", 26);
+});
+
+test("returnCursor puts the held stack back and keeps what doesn't fit", () => {
+	const inventory = inventoryWith({ 0: ["Wood", 10] });
+	inventory.clickSlot(0);
+	assert.equal(inventory.returnCursor(), 0);
+	assertSlot(inventory.slots[0], "Wood", 10);
+	assertSlot(inventory.cursor, null, 0);
+
+	const full = inventoryWith();
+	full.add("Sand", (HOTBAR_SIZE + BACKPACK_SIZE) * STACK_LIMIT);
+	full.cursor.type = "Wood";
+	full.cursor.count = 3;
+	assert.equal(full.returnCursor(), 3);
+	assertSlot(full.cursor, "Wood", 3);
+});
+
+test("hotbar selection keys and wheel stay on the hotbar", () => {
+	const inventory = inventoryWith();
+	inventory.select(3);
+	assert.equal(inventory.selectedSlot, 3);
+	inventory.select(HOTBAR_SIZE);
+	assert.equal(inventory.selectedSlot, 3);
+	inventory.scrollSelection(-4);
+	assert.equal(inventory.selectedSlot, HOTBAR_SIZE - 1);
+	inventory.scrollSelection(1);
+	assert.equal(inventory.selectedSlot, 0);
+});
+
+test("load returns a saved cursor stack to the slots", () => {
+	const inventory = inventoryWith({ 1: ["Wood", 4] });
+	inventory.clickSlot(1);
+	inventory.select(2);
+	const restored = new Inventory(maxStackOf);
+	restored.load(inventory.serialize());
+	assert.equal(restored.selectedSlot, 2);
+	assertSlot(restored.slots[0], "Wood", 4);
+	assertSlot(restored.cursor, null, 0);
+});
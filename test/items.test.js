@@ -0,0 +1,74 @@
+/**
+ * Items lying in the world (items.js): falling onto the ground, popping out of
+ * a block placed on top of them and merging into stacks.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	ItemEntity,
+	ITEM_HALF_SIZE,
+	MERGE_DISTANCE,
+	stepItem,
+	mergeItems
+} from "../js/items.js";
+
+// Seconds per step, as at 60 frames per second
+const DT = 1 / 60;
+
+function assertNear(actual, expected, message) {
+	assert.ok(
+		Math.abs(actual - expected) < 1e-6,
+		`${message}: ${actual} is not ${expected}`
+	);
+}
+
+// Run `item` for `seconds` against `isSolid`
+function simulate(item, seconds, isSolid) {
+	for (let t = 0; t < seconds; t += DT) stepItem(item, DT, isSolid);
+}
+
+test("an item falls and comes to rest on the floor", () => {
+	const floor = (x, y) => y < 0;
+	const item = new ItemEntity("Stone", 1, [0.5, 5, 0.5], [3, 0, 0]);
+	simulate(item, 3, floor);
+	assertNear(item.position[1], ITEM_HALF_SIZE, "resting height");
+	assert.equal(item.onGround, true);
+	assert.equal(item.velocity[1], 0);
+	// Friction stops it sliding
+	assert.ok(Math.abs(item.velocity[0]) < 1e-3);
+	const x = item.position[0];
+	simulate(item, 1, floor);
+	assertNear(item.position[0], x, "x after resting");
+});
+
+test("an item inside a solid block pops up on top of it", () => {
+	// One block at (0, 2, 0) over a floor; the item was under it when it was placed
+	const isSolid = (x, y, z) => y < 0 || (x === 0 && y === 2 && z === 0);
+	const item = new ItemEntity("Stone", 1, [0.5, 2.5, 0.5], [0, -5, 0]);
+	stepItem(item, DT, isSolid);
+	assertNear(item.position[1], 3 + ITEM_HALF_SIZE, "height after popping");
+	assert.deepEqual(item.velocity, [0, 0, 0]);
+	// And then rests on that block rather than falling back in
+	simulate(item, 1, isSolid);
+	assertNear(item.position[1], 3 + ITEM_HALF_SIZE, "resting height");
+	assert.equal(item.onGround, true);
+});
+
+test("nearby identical items merge while the stack fits", () => {
+	const maxStackOf = (type) => (type === "Pickaxe" ? 1 : 64);
+	const a = new ItemEntity("Stone", 40, [0, 0, 0]);
+	const b = new ItemEntity("Stone", 20, [0.5, 0, 0]);
+	const c = new ItemEntity("Stone", 10, [0, 0.5, 0]);
+	const far = new ItemEntity("Stone", 1, [MERGE_DISTANCE + 0.1, 0, 0]);
+	const dirt = new ItemEntity("Dirt", 1, [0, 0, 0.5]);
+	const picks = [
+		new ItemEntity("Pickaxe", 1, [5, 0, 0]),
+		new ItemEntity("Pickaxe", 1, [5, 0, 0])
+	];
+	const removed = mergeItems([a, b, c, far, dirt, ...picks], maxStackOf);
+	// 40 + 20 fits in 64, adding the 10 would not
+	assert.deepEqual(removed, [b]);
+	assert.equal(a.count, 60);
+	assert.equal(c.count, 10);
+	assert.equal(far.count, 1);
+});
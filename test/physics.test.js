@@ -0,0 +1,111 @@
+/**
+ * Swept AABB collision (physics.js) against small voxel worlds: no tunnelling
+ * at high speed, contact resolved per axis, step-up and sneak-edge limits.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	PHYSICS_STEP,
+	playerBox,
+	moveBox,
+	moveBoxWithStepUp,
+	limitToSupport
+} from "../js/physics.js";
+
+const RADIUS = 0.3;
+const HEIGHT = 1.8;
+
+function assertNear(actual, expected, message) {
+	assert.ok(
+		Math.abs(actual - expected) < 1e-9,
+		`${message}: ${actual} is not ${expected}`
+	);
+}
+
+test("a fast fall lands on a one block floor instead of tunnelling", () => {
+	// Floor one block thick at y = 10, open everywhere else
+	const isSolid = (x, y) => y === 10;
+	const box = playerBox(0.5, 60, 0.5, RADIUS, HEIGHT);
+	let velocity = 0;
+	let landed = false;
+	for (let step = 0; step < 600 && !landed; step++) {
+		// Far past terminal velocity: several blocks per step
+		velocity = Math.max(velocity - 400 * PHYSICS_STEP, -300);
+		const { hit } = moveBox(box, [0, velocity * PHYSICS_STEP, 0], isSolid);
+		landed = hit[1];
+		assert.ok(box.min[1] >= 11, `fell through to ${box.min[1]}`);
+	}
+	assert.ok(landed);
+	assertNear(box.min[1], 11, "feet");
+});
+
+test("a single huge move still stops at the floor", () => {
+	const isSolid = (x, y) => y === 10;
+	const box = playerBox(0.5, 60, 0.5, RADIUS, HEIGHT);
+	const { moved, hit } = moveBox(box, [0, -1000, 0], isSolid);
+	assert.deepEqual(hit, [false, true, false]);
+	assertNear(moved[1], -49, "moved");
+	assertNear(box.min[1], 11, "feet");
+});
+
+test("a wall stops only the axis that runs into it", () => {
+	// Wall filling x = 5
+	const isSolid = (x) => x === 5;
+	const box = playerBox(3.5, 1, 0.5, RADIUS, HEIGHT);
+	const { moved, hit } = moveBox(box, [2, 0, 0.75], isSolid);
+	assert.deepEqual(hit, [true, false, false]);
+	// Flush against the wall, still sliding along it
+	assertNear(moved[0], 1.2, "x");
+	assertNear(box.max[0], 5, "face");
+	assertNear(moved[2], 0.75, "z");
+	assertNear(box.min[2], 0.95, "slid");
+	// Pushing on into the wall doesn't move it, backing away does
+	assert.equal(moveBox(box, [0.5, 0, 0], isSolid).moved[0], 0);
+	assertNear(moveBox(box, [-0.5, 0, 0], isSolid).moved[0], -0.5, "back");
+});
+
+test("walls stop movement in negative directions too", () => {
+	// Wall filling z = -4
+	const isSolid = (x, y, z) => z === -4;
+	const box = playerBox(-2.5, 1, -1.5, RADIUS, HEIGHT);
+	const { moved, hit } = moveBox(box, [0, 0, -3], isSolid);
+	assert.deepEqual(hit, [false, false, true]);
+	assertNear(box.min[2], -3, "face");
+	assertNear(moved[2], -1.2, "z");
+});
+
+test("a box stuck inside a block can move out of it", () => {
+	const isSolid = (x, y, z) => x === 0 && y === 1 && z === 0;
+	const box = playerBox(0.5, 1, 0.5, RADIUS, HEIGHT);
+	const { moved, hit } = moveBox(box, [1, 0, 0], isSolid);
+	assert.deepEqual(hit, [false, false, false]);
+	assertNear(moved[0], 1, "x");
+});
+
+test("step-up climbs a one block ledge but not a two block wall", () => {
+	// Ground at y = 0, a ledge at x >= 2 one block up
+	const ledge = (x, y) => y === 0 || (x >= 2 && y === 1);
+	const box = playerBox(1.5, 1, 0.5, RADIUS, HEIGHT);
+	const result = moveBoxWithStepUp(box, [0.5, 0, 0], 1, ledge);
+	assertNear(result.stepped, 1, "stepped");
+	assertNear(box.min[1], 2, "feet");
+	assertNear(box.min[0], 1.7, "x");
+
+	const wall = (x, y) => y === 0 || (x >= 2 && y <= 2);
+	const blocked = playerBox(1.5, 1, 0.5, RADIUS, HEIGHT);
+	assert.equal(moveBoxWithStepUp(blocked, [0.5, 0, 0], 1, wall).stepped, 0);
+	assertNear(blocked.min[1], 1, "feet");
+	assertNear(blocked.max[0], 2, "face");
+});
+
+test("sneaking stops at the edge of the ground", () => {
+	// A floor under x < 2 only
+	const isSolid = (x, y) => y === 0 && x < 2;
+	const box = playerBox(1.5, 1, 0.5, RADIUS, HEIGHT);
+	const [dx, dy, dz] = limitToSupport(box, [1, 0, 0.25], isSolid);
+	assert.ok(dx < 1, "walked off the edge");
+	// Some of the footprint is still over the floor
+	assert.ok(box.min[0] + dx < 2);
+	assert.equal(dy, 0);
+	assert.equal(dz, 0.25);
+});
@@ -0,0 +1,164 @@
+/**
+ * raycastVoxels against small hand-built worlds: axis-aligned, diagonal and
+ * inside-block rays, exact corners and edges, negative directions and reach.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { raycastVoxels } from "../js/raycast.js";
+
+// isSolid for a world holding just `cells` ([x, y, z] each)
+function world(...cells) {
+	const solid = new Set(cells.map((cell) => cell.join(",")));
+	return (x, y, z) => solid.has(`${x},${y},${z}`);
+}
+
+function assertClose(actual, expected, message) {
+	actual.forEach((value, i) =>
+		assert.ok(
+			Math.abs(value - expected[i]) < 1e-9,
+			`${message}: [${actual}] is not [${expected}]`
+		)
+	);
+}
+
+// Check every field of a hit
+function assertHit(hit, { pos, normal, point, placePos, dist }) {
+	assert.ok(hit, "expected a hit");
+	assert.deepEqual(hit.pos, pos);
+	// -0 and 0 are the same normal
+	assert.deepEqual(
+		hit.normal.map((n) => n + 0),
+		normal
+	);
+	assertClose(hit.point, point, "point");
+	assert.deepEqual(hit.placePos, placePos);
+	assert.ok(
+		Math.abs(hit.dist - dist) < 1e-9,
+		`dist ${hit.dist} is not ${dist}`
+	);
+}
+
+test("axis-aligned rays hit the face they enter through", () => {
+	assertHit(raycastVoxels([0.5, 0.5, 0.5], [1, 0, 0], 6, world([3, 0, 0])), {
+		pos: [3, 0, 0],
+		normal: [-1, 0, 0],
+		point: [3, 0.5, 0.5],
+		placePos: [2, 0, 0],
+		dist: 2.5
+	});
+	assertHit(raycastVoxels([4.2, 10.7, 3.3], [0, -1, 0], 6, world([4, 7, 3])), {
+		pos: [4, 7, 3],
+		normal: [0, 1, 0],
+		point: [4.2, 8, 3.3],
+		placePos: [4, 8, 3],
+		dist: 2.7
+	});
+	assertHit(raycastVoxels([0.5, 0.5, 0.5], [0, 0, 1], 6, world([0, 0, 4])), {
+		pos: [0, 0, 4],
+		normal: [0, 0, -1],
+		point: [0.5, 0.5, 4],
+		placePos: [0, 0, 3],
+		dist: 3.5
+	});
+});
+
+test("negative directions step down through negative coordinates", () => {
+	assertHit(raycastVoxels([5.5, 1.5, 0.5], [-1, 0, 0], 6, world([2, 1, 0])), {
+		pos: [2, 1, 0],
+		normal: [1, 0, 0],
+		point: [3, 1.5, 0.5],
+		placePos: [3, 1, 0],
+		dist: 2.5
+	});
+	assertHit(
+		raycastVoxels([-0.5, 0.5, -0.5], [0, 0, -1], 6, world([-1, 0, -3])),
+		{
+			pos: [-1, 0, -3],
+			normal: [0, 0, 1],
+			point: [-0.5, 0.5, -2],
+			placePos: [-1, 0, -2],
+			dist: 1.5
+		}
+	);
+});
+
+test("a ray starting on a cell boundary enters the cell behind it", () => {
+	assertHit(raycastVoxels([2, 0.5, 0.5], [-1, 0, 0], 6, world([1, 0, 0])), {
+		pos: [1, 0, 0],
+		normal: [1, 0, 0],
+		point: [2, 0.5, 0.5],
+		placePos: [2, 0, 0],
+		dist: 0
+	});
+});
+
+test("diagonal rays visit every cell they cross", () => {
+	// Slope 1/2 reaches y = 1 at x = 1.5, so it hits [1, 1, 0], not [2, 1, 0]
+	const dir = [1, 0.5, 0];
+	const length = Math.hypot(...dir);
+	assertHit(
+		raycastVoxels([0.5, 0.5, 0.5], dir, 6, world([1, 1, 0], [2, 1, 0])),
+		{
+			pos: [1, 1, 0],
+			normal: [0, -1, 0],
+			point: [1.5, 1, 0.5],
+			placePos: [1, 0, 0],
+			dist: length
+		}
+	);
+	// A 3D diagonal hitting the far block of a cube from its corner cell
+	assertHit(raycastVoxels([0.5, 0.5, 0.5], [1, 1, 1], 6, world([1, 1, 1])), {
+		pos: [1, 1, 1],
+		normal: [-1, 0, 0],
+		point: [1, 1, 1],
+		placePos: [0, 1, 1],
+		dist: Math.sqrt(0.75)
+	});
+});
+
+test("a ray through an exact corner can't slip between two blocks", () => {
+	// [1, 0, 0] and [0, 1, 0] meet along an edge the ray passes through exactly
+	const hit = raycastVoxels(
+		[0.5, 0.5, 0.5],
+		[1, 1, 0],
+		6,
+		world([1, 0, 0], [0, 1, 0], [1, 1, 0])
+	);
+	assertHit(hit, {
+		pos: [0, 1, 0],
+		normal: [0, -1, 0],
+		point: [1, 1, 0.5],
+		placePos: [0, 0, 0],
+		dist: Math.SQRT1_2
+	});
+});
+
+test("a ray starting inside a block hits it at once", () => {
+	assertHit(raycastVoxels([3.5, 2.2, -1.5], [0, 0, 1], 6, world([3, 2, -2])), {
+		pos: [3, 2, -2],
+		normal: [0, 0, 0],
+		point: [3.5, 2.2, -1.5],
+		placePos: null,
+		dist: 0
+	});
+});
+
+test("reach cuts the ray off", () => {
+	const isSolid = world([5, 0, 0]);
+	assert.equal(raycastVoxels([0.5, 0.5, 0.5], [1, 0, 0], 4, isSolid), null);
+	assert.equal(raycastVoxels([0.5, 0.5, 0.5], [1, 0, 0], 4.49, isSolid), null);
+	// A face exactly at the reach is still hit
+	assert.equal(
+		raycastVoxels([0.5, 0.5, 0.5], [1, 0, 0], 4.5, isSolid).dist,
+		4.5
+	);
+	assert.equal(raycastVoxels([0.5, 0.5, 0.5], [-1, 0, 0], 6, isSolid), null);
+});
+
+test("direction need not be normalized, but must not be zero", () => {
+	const isSolid = world([0, 0, 3]);
+	const unit = raycastVoxels([0.5, 0.5, 0.5], [0, 0, 1], 6, isSolid);
+	const long = raycastVoxels([0.5, 0.5, 0.5], [0, 0, 40], 6, isSolid);
+	assert.deepEqual(long, unit);
+	assert.equal(raycastVoxels([0.5, 0.5, 0.5], [0, 0, 0], 6, isSolid), null);
+});
@@ -0,0 +1,128 @@
+/**
+ * The main thread answers block queries from TerrainGenerator (computeHeight,
+ * getColumn) while the chunk workers build voxels with generateChunkData, each
+ * from its own generator for the world seed. These check that both describe
+ * the same terrain, and that per-chunk random streams are stable.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+	TerrainGenerator,
+	CHUNK_SIZE,
+	CHUNK_HEIGHT,
+	OVERHANG_RANGE,
+	SEA_LEVEL,
+	blockTypeAt,
+	chunkRandom
+} from "../js/terrain.js";
+import { generateChunkData, voxelIndex } from "../js/chunkData.js";
+import { BLOCK_TYPES } from "../js/blocks.js";
+
+const SEEDS = [1, 42, 1234567];
+// Chunks spread over plains, rivers and mountains, including negative coordinates
+const CHUNKS = [
+	[0, 0],
+	[-3, 5],
+	[12, -7],
+	[-40, -22]
+];
+// Blocks the decoration pass may put into cells the terrain left empty
+const DECORATION_BLOCKS = new Set([
+	BLOCK_TYPES.WOOD,
+	BLOCK_TYPES.LEAVES,
+	BLOCK_TYPES.CACTUS,
+	BLOCK_TYPES.TALL_GRASS,
+	BLOCK_TYPES.RED_FLOWER,
+	BLOCK_TYPES.YELLOW_FLOWER,
+	BLOCK_TYPES.STONE
+]);
+
+test("generators with the same seed give the same heightmap", () => {
+	for (const seed of SEEDS) {
+		const main = new TerrainGenerator(seed);
+		const worker = new TerrainGenerator(seed);
+		for (const [chunkX, chunkZ] of CHUNKS) {
+			for (let i = 0; i < CHUNK_SIZE; i++) {
+				const x = chunkX * CHUNK_SIZE + i;
+				const z = chunkZ * CHUNK_SIZE + ((i * 7) % CHUNK_SIZE);
+				assert.equal(worker.computeHeight(x, z), main.computeHeight(x, z));
+				assert.deepEqual(worker.getColumn(x, z), main.getColumn(x, z));
+			}
+		}
+	}
+});
+
+test("getColumn reports computeHeight's surface", () => {
+	const terrain = new TerrainGenerator(42);
+	for (const [chunkX, chunkZ] of CHUNKS) {
+		const x = chunkX * CHUNK_SIZE;
+		const z = chunkZ * CHUNK_SIZE;
+		assert.equal(terrain.getColumn(x, z).height, terrain.computeHeight(x, z));
+	}
+});
+
+test("different seeds give different heightmaps", () => {
+	const heights = SEEDS.map((seed) => {
+		const terrain = new TerrainGenerator(seed);
+		return CHUNKS.map(([x, z]) =>
+			terrain.computeHeight(x * CHUNK_SIZE, z * CHUNK_SIZE)
+		);
+	});
+	assert.notDeepEqual(heights[0], heights[1]);
+	assert.notDeepEqual(heights[1], heights[2]);
+});
+
+test("worker chunk voxels match the main thread's columns", () => {
+	for (const seed of SEEDS) {
+		const main = new TerrainGenerator(seed);
+		const worker = new TerrainGenerator(seed);
+		for (const [chunkX, chunkZ] of CHUNKS) {
+			const voxels = generateChunkData(chunkX, chunkZ, worker, null);
+			for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+				for (let lz = 0; lz < CHUNK_SIZE; lz++) {
+					const x = chunkX * CHUNK_SIZE + lx;
+					const z = chunkZ * CHUNK_SIZE + lz;
+					const column = main.getColumn(x, z);
+					const where = `seed ${seed} at ${x},${z}`;
+					for (let y = 0; y < CHUNK_HEIGHT; y++) {
+						const id = voxels[voxelIndex(lx, y, lz)];
+						const solid =
+							y <= column.height + OVERHANG_RANGE &&
+							main.isSolid(x, y, z, column);
+						if (solid) {
+							assert.ok(
+								id !== BLOCK_TYPES.AIR && id !== BLOCK_TYPES.WATER,
+								`${where}: ${y} should be solid`
+							);
+							if (y === column.height) {
+								assert.equal(
+									id,
+									blockTypeAt(y, column.height, column.biome),
+									`${where}: wrong surface block`
+								);
+							}
+						} else if (y > column.height && y <= SEA_LEVEL) {
+							assert.equal(id, BLOCK_TYPES.WATER, `${where}: ${y} is dry`);
+						} else if (id !== BLOCK_TYPES.AIR) {
+							assert.ok(
+								DECORATION_BLOCKS.has(id),
+								`${where}: ${y} should be empty, holds ${id}`
+							);
+						}
+					}
+				}
+			}
+		}
+	}
+});
+
+test("chunkRandom streams differ by salt and repeat for the same arguments", () => {
+	const draw = (salt) => {
+		const random = chunkRandom(42, 3, -2, salt);
+		return Array.from({ length: 8 }, random);
+	};
+	assert.deepEqual(draw(1), draw(1));
+	assert.deepEqual(draw(0), draw(undefined));
+	assert.notDeepEqual(draw(0), draw(1));
+	assert.notDeepEqual(draw(1), draw(2));
+});